@@ -1,6 +1,9 @@
 
 import  jwt  from 'jsonwebtoken';
 
-export const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, { expiresIn: '30d' });
+// Access tokens are short-lived; clients renew them with their session's refresh token
+export const accessTokenTtl = () => process.env.ACCESS_TOKEN_TTL || '15m';
+
+export const generateToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: String(sessionId) }, process.env.JWT_SECRET, { expiresIn: accessTokenTtl() });
 };
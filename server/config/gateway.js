@@ -0,0 +1,56 @@
+import { getStripe } from "./stripe.js";
+import { createStripeGateway } from "../gateways/stripeGateway.js";
+import { getFakeGateway } from "../gateways/fakeGateway.js";
+
+// Payment gateways, selected with PAYMENT_GATEWAY (default "stripe").
+//
+// Every adapter implements the same methods. Objects and webhook events use Stripe's
+// shapes (PaymentIntent, Subscription, Invoice, Refund, ...), which the rest of the app
+// stores; an adapter for another provider translates its own objects into them.
+//
+//   name, signatureHeader
+//   ensureCustomer(user)                    → customer id (created on first use)
+//   ensurePlanPrice(plan, currency)         → recurring price id for checkout
+//   createCheckoutSession(params)           → checkout session
+//   retrieveCheckoutSession(id)
+//   createPaymentIntent(params)             → payment intent
+//   retrievePaymentIntent(id)               → payment intent with charges.data
+//   createRefund(params, { idempotencyKey })
+//   listRefunds(chargeId)                   → refunds of a charge
+//   retrieveCharge(id), retrieveInvoice(id)
+//   listCharges({ from, to })              → async iterable over charges created in the range
+//   listInvoices({ from, to }), listSubscriptions({ from, to })  (subscriptions of any status)
+//   retrieveSubscription(id)
+//   updateSubscription(id, params)
+//   cancelSubscription(id, params)
+//   constructEvent(rawBody, signature)      → verified event; throws on a bad signature
+//
+// Stripe-only features (billing portal, saved cards, coupons, plan changes through
+// subscription schedules, product/price sync) still use getStripe() directly.
+const GATEWAYS = {
+  stripe: () => {
+    const stripe = getStripe();
+    return stripe ? createStripeGateway(stripe) : null;
+  },
+  fake: () => getFakeGateway(),
+};
+
+export function gatewayName() {
+  return (process.env.PAYMENT_GATEWAY || "stripe").toLowerCase();
+}
+
+// The configured gateway, or null if it is unknown or not configured.
+// The fake gateway charges nothing, so it is refused in production.
+export function getGateway() {
+  const name = gatewayName();
+  const factory = GATEWAYS[name];
+  if (!factory) {
+    console.error(`❌ Unknown PAYMENT_GATEWAY "${name}"`);
+    return null;
+  }
+  if (name === "fake" && process.env.NODE_ENV === "production") {
+    console.error("❌ PAYMENT_GATEWAY=fake is not allowed in production");
+    return null;
+  }
+  return factory();
+}
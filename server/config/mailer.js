@@ -0,0 +1,60 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import nodemailer from "nodemailer";
+
+// SMTP connection, created on first use from SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER and SMTP_PASS
+let smtpTransporter = null;
+function getSmtpTransporter() {
+  if (!smtpTransporter) {
+    if (!process.env.SMTP_HOST) throw new Error("SMTP_HOST not set");
+    smtpTransporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    });
+  }
+  return smtpTransporter;
+}
+
+// Mail transports keyed by name. Each transport receives { to, subject, text, html }.
+const transports = {
+  // Print messages to stdout (default for local development)
+  console: async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text || ""}`);
+  },
+
+  // Write each message as a JSON file so it can be inspected offline
+  file: async (message) => {
+    const dir = process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), "subscription-mail");
+    await fs.mkdir(dir, { recursive: true });
+    const file = path.join(dir, `${Date.now()}-${String(message.to).replace(/[^a-z0-9@._-]/gi, "_")}.json`);
+    await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+    console.log(`📧 Mail to ${message.to} written to ${file}`);
+  },
+
+  // Send through an SMTP server
+  smtp: async (message) => {
+    await getSmtpTransporter().sendMail(message);
+    console.log(`📧 Mail to ${message.to} sent over SMTP`);
+  },
+};
+
+// Register (or replace) a transport, e.g. a provider's HTTP API
+export const registerMailTransport = (name, send) => {
+  transports[name] = send;
+};
+
+// Escape text interpolated into an HTML mail body
+export const escapeHtml = (value) =>
+  String(value ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+
+export const sendMail = async (message) => {
+  const name = process.env.MAIL_TRANSPORT || "console";
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport "${name}"`);
+  }
+  return transport({ from: process.env.MAIL_FROM || "no-reply@localhost", ...message });
+};
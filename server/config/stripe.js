@@ -0,0 +1,28 @@
+import Stripe from "stripe";
+
+// Initialize Stripe
+export function getStripe() {
+  const stripeSecret =
+    process.env.STRIPE_SECRET_KEY ||
+    process.env.secret_key ||
+    process.env.SECRET_KEY;
+
+  if (!stripeSecret) {
+    console.error("❌ STRIPE_SECRET_KEY not found in environment");
+    return null;
+  }
+  
+  try {
+    // STRIPE_API_HOST/PORT/PROTOCOL point the client elsewhere, e.g. at stripe-mock (localhost, 12111, http)
+    const stripe = new Stripe(stripeSecret, {
+      ...(process.env.STRIPE_API_HOST ? { host: process.env.STRIPE_API_HOST } : {}),
+      ...(process.env.STRIPE_API_PORT ? { port: Number(process.env.STRIPE_API_PORT) } : {}),
+      ...(process.env.STRIPE_API_PROTOCOL ? { protocol: process.env.STRIPE_API_PROTOCOL } : {}),
+    });
+    console.log("✅ Stripe initialized successfully");
+    return stripe;
+  } catch (err) {
+    console.error("❌ Error initializing Stripe:", err.message);
+    return null;
+  }
+}
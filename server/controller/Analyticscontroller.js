@@ -0,0 +1,136 @@
+import {
+  failedPaymentRate,
+  mrrAt,
+  mrrSeries,
+  monthsBetween,
+  revenueByCurrency,
+  subscriberMovement,
+  subscribersByPlan
+} from "../services/analyticsService.js";
+
+// Month-by-month reports run one query per month, so keep ranges bounded
+const MAX_RANGE_MONTHS = 36;
+const DEFAULT_RANGE_MONTHS = 12;
+
+// Read ?from=&to= (ISO dates). Defaults to the last 12 calendar months up to now.
+// Sends a 400 and returns null when the range is invalid.
+function parseRange(req, res) {
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from
+    ? new Date(req.query.from)
+    : new Date(Date.UTC(to.getUTCFullYear(), to.getUTCMonth() - (DEFAULT_RANGE_MONTHS - 1), 1));
+
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    res.status(400).json({ success: false, message: "from and to must be valid dates" });
+    return null;
+  }
+  if (from > to) {
+    res.status(400).json({ success: false, message: "from must be before to" });
+    return null;
+  }
+  if (monthsBetween(from, to).length > MAX_RANGE_MONTHS) {
+    res.status(400).json({ success: false, message: `Date range can span at most ${MAX_RANGE_MONTHS} months` });
+    return null;
+  }
+  return { from, to };
+}
+
+// Read ?at= (ISO date), defaulting to now
+function parseAt(req, res) {
+  const at = req.query.at ? new Date(req.query.at) : new Date();
+  if (Number.isNaN(at.getTime())) {
+    res.status(400).json({ success: false, message: "at must be a valid date" });
+    return null;
+  }
+  return at;
+}
+
+// ============================================
+// Admin: MRR/ARR per currency, now and at each month end in the range
+// ============================================
+export const getMrr = async (req, res) => {
+  try {
+    const range = parseRange(req, res);
+    if (!range) return;
+
+    const [current, series] = await Promise.all([mrrAt(range.to), mrrSeries(range.from, range.to)]);
+
+    return res.json({ success: true, ...range, current, series });
+
+  } catch (err) {
+    console.error("❌ getMrr:", err);
+    return res.status(500).json({ success: false, message: "Failed to compute MRR", error: err.message });
+  }
+};
+
+// ============================================
+// Admin: new vs churned subscribers per month
+// ============================================
+export const getSubscriberMovement = async (req, res) => {
+  try {
+    const range = parseRange(req, res);
+    if (!range) return;
+
+    const months = await subscriberMovement(range.from, range.to);
+
+    return res.json({ success: true, ...range, months });
+
+  } catch (err) {
+    console.error("❌ getSubscriberMovement:", err);
+    return res.status(500).json({ success: false, message: "Failed to compute subscriber movement", error: err.message });
+  }
+};
+
+// ============================================
+// Admin: live subscribers per plan (?at=, default now)
+// ============================================
+export const getSubscribersByPlan = async (req, res) => {
+  try {
+    const at = parseAt(req, res);
+    if (!at) return;
+
+    const plans = await subscribersByPlan(at);
+
+    return res.json({ success: true, at, plans });
+
+  } catch (err) {
+    console.error("❌ getSubscribersByPlan:", err);
+    return res.status(500).json({ success: false, message: "Failed to compute plan mix", error: err.message });
+  }
+};
+
+// ============================================
+// Admin: failed-payment rate
+// ============================================
+export const getFailedPaymentRate = async (req, res) => {
+  try {
+    const range = parseRange(req, res);
+    if (!range) return;
+
+    const stats = await failedPaymentRate(range.from, range.to);
+
+    return res.json({ success: true, ...range, ...stats });
+
+  } catch (err) {
+    console.error("❌ getFailedPaymentRate:", err);
+    return res.status(500).json({ success: false, message: "Failed to compute failed-payment rate", error: err.message });
+  }
+};
+
+// ============================================
+// Admin: revenue by currency
+// ============================================
+export const getRevenueByCurrency = async (req, res) => {
+  try {
+    const range = parseRange(req, res);
+    if (!range) return;
+
+    const revenue = await revenueByCurrency(range.from, range.to);
+
+    return res.json({ success: true, ...range, ...revenue });
+
+  } catch (err) {
+    console.error("❌ getRevenueByCurrency:", err);
+    return res.status(500).json({ success: false, message: "Failed to compute revenue", error: err.message });
+  }
+};
@@ -0,0 +1,144 @@
+import { getStripe } from "../config/stripe.js";
+import { ensureStripeCustomer, summarizePaymentMethod } from "../services/customerService.js";
+import { getActiveSubscription } from "../services/subscriptionService.js";
+
+// Resolve Stripe and the caller's customer id, or send an error and return null
+async function loadCustomer(req, res, { create = false } = {}) {
+  const stripe = getStripe();
+  if (!stripe) {
+    res.status(500).json({ success: false, message: "Stripe not configured" });
+    return null;
+  }
+
+  const customerId = create ? await ensureStripeCustomer(stripe, req.user) : req.user.stripeCustomerId;
+  if (!customerId) {
+    res.status(404).json({ success: false, message: "No billing account yet" });
+    return null;
+  }
+
+  return { stripe, customerId };
+}
+
+// Retrieve a payment method and make sure it belongs to the customer
+async function findOwnPaymentMethod(stripe, customerId, paymentMethodId) {
+  try {
+    const pm = await stripe.paymentMethods.retrieve(paymentMethodId);
+    const owner = typeof pm.customer === "string" ? pm.customer : pm.customer?.id;
+    return owner === customerId ? pm : null;
+  } catch (err) {
+    if (err.statusCode === 404) return null;
+    throw err;
+  }
+}
+
+// ============================================
+// List saved payment methods (cards, UPI)
+// ============================================
+export const listPaymentMethods = async (req, res) => {
+  try {
+    if (!req.user.stripeCustomerId) {
+      return res.json({ success: true, paymentMethods: [], defaultPaymentMethodId: null });
+    }
+
+    const ctx = await loadCustomer(req, res);
+    if (!ctx) return;
+    const { stripe, customerId } = ctx;
+
+    const [customer, methods] = await Promise.all([
+      stripe.customers.retrieve(customerId),
+      stripe.customers.listPaymentMethods(customerId, { limit: 100 }),
+    ]);
+
+    const defaultPaymentMethodId = customer.invoice_settings?.default_payment_method || null;
+
+    return res.json({
+      success: true,
+      defaultPaymentMethodId,
+      paymentMethods: methods.data.map((pm) => summarizePaymentMethod(pm, defaultPaymentMethodId)),
+    });
+
+  } catch (err) {
+    console.error("❌ listPaymentMethods error:", err && err.message ? err.message : err);
+    return res.status(500).json({ success: false, message: "Failed to list payment methods", error: err && err.message ? err.message : String(err) });
+  }
+};
+
+// ============================================
+// Set the default payment method for future invoices
+// ============================================
+export const setDefaultPaymentMethod = async (req, res) => {
+  try {
+    const ctx = await loadCustomer(req, res);
+    if (!ctx) return;
+    const { stripe, customerId } = ctx;
+
+    const pm = await findOwnPaymentMethod(stripe, customerId, req.params.paymentMethodId);
+    if (!pm) return res.status(404).json({ success: false, message: "Payment method not found" });
+
+    await stripe.customers.update(customerId, { invoice_settings: { default_payment_method: pm.id } });
+
+    // Checkout pins a payment method on the subscription itself, which overrides the customer default
+    const subscription = await getActiveSubscription(req.user._id);
+    if (subscription?.stripeSubscriptionId) {
+      await stripe.subscriptions.update(subscription.stripeSubscriptionId, { default_payment_method: pm.id });
+    }
+
+    return res.json({ success: true, message: "Default payment method updated", paymentMethod: summarizePaymentMethod(pm, pm.id) });
+
+  } catch (err) {
+    console.error("❌ setDefaultPaymentMethod error:", err && err.message ? err.message : err);
+    return res.status(500).json({ success: false, message: "Failed to set default payment method", error: err && err.message ? err.message : String(err) });
+  }
+};
+
+// ============================================
+// Detach (remove) a saved payment method
+// ============================================
+export const detachPaymentMethod = async (req, res) => {
+  try {
+    const ctx = await loadCustomer(req, res);
+    if (!ctx) return;
+    const { stripe, customerId } = ctx;
+
+    const pm = await findOwnPaymentMethod(stripe, customerId, req.params.paymentMethodId);
+    if (!pm) return res.status(404).json({ success: false, message: "Payment method not found" });
+
+    // Don't strand a paid subscription without a way to pay its next invoice
+    const customer = await stripe.customers.retrieve(customerId);
+    const subscription = await getActiveSubscription(req.user._id);
+    if (subscription?.stripeSubscriptionId && customer.invoice_settings?.default_payment_method === pm.id) {
+      return res.status(409).json({ success: false, message: "Set another default payment method before removing this one" });
+    }
+
+    await stripe.paymentMethods.detach(pm.id);
+
+    return res.json({ success: true, message: "Payment method removed" });
+
+  } catch (err) {
+    console.error("❌ detachPaymentMethod error:", err && err.message ? err.message : err);
+    return res.status(500).json({ success: false, message: "Failed to remove payment method", error: err && err.message ? err.message : String(err) });
+  }
+};
+
+// ============================================
+// Open a Stripe billing portal session
+// ============================================
+export const createBillingPortalSession = async (req, res) => {
+  try {
+    const ctx = await loadCustomer(req, res, { create: true });
+    if (!ctx) return;
+    const { stripe, customerId } = ctx;
+
+    const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
+    const session = await stripe.billingPortal.sessions.create({
+      customer: customerId,
+      return_url: req.body?.returnUrl?.startsWith(frontendUrl) ? req.body.returnUrl : `${frontendUrl}/account`,
+    });
+
+    return res.status(201).json({ success: true, url: session.url });
+
+  } catch (err) {
+    console.error("❌ createBillingPortalSession error:", err && err.message ? err.message : err);
+    return res.status(500).json({ success: false, message: "Failed to open billing portal", error: err && err.message ? err.message : String(err) });
+  }
+};
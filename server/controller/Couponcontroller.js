@@ -0,0 +1,144 @@
+import mongoose from "mongoose";
+import Coupon from "../model/Coupon.js";
+import Plan from "../model/Plan.js";
+import { getStripe } from "../config/stripe.js";
+import { discountFor, findRedeemableCoupon, syncCouponToStripe } from "../services/couponService.js";
+import { getPlanPrice, resolveCurrency } from "../services/planService.js";
+
+// Fields an admin may set when creating a coupon
+const COUPON_FIELDS = [
+  "code",
+  "name",
+  "discountType",
+  "percentOff",
+  "amountOff",
+  "currency",
+  "duration",
+  "durationInMonths",
+  "maxRedemptions",
+  "expiresAt",
+  "plans"
+];
+
+// ============================================
+// Admin: create a coupon and sync it to Stripe
+// ============================================
+export const createCoupon = async (req, res) => {
+  try {
+    const data = {};
+    for (const field of COUPON_FIELDS) {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    }
+
+    const coupon = new Coupon(data);
+    await coupon.validate();
+
+    if (await Coupon.exists({ code: coupon.code })) {
+      return res.status(409).json({ success: false, message: "A coupon with this code already exists" });
+    }
+
+    const stripe = getStripe();
+    if (!stripe) return res.status(500).json({ success: false, message: "Stripe not configured" });
+
+    await coupon.save();
+
+    try {
+      await syncCouponToStripe(stripe, coupon);
+    } catch (stripeError) {
+      // Keep local and Stripe state in step: drop the coupon if Stripe rejected it
+      await coupon.deleteOne();
+      console.error("❌ Error creating Stripe coupon:", stripeError.message);
+      return res.status(500).json({ success: false, message: "Failed to create Stripe coupon", error: stripeError.message });
+    }
+
+    return res.status(201).json({ success: true, coupon });
+
+  } catch (err) {
+    if (err instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    console.error("❌ createCoupon:", err);
+    return res.status(500).json({ success: false, message: "Failed to create coupon", error: err.message });
+  }
+};
+
+// ============================================
+// Admin: list coupons
+// ============================================
+export const getCoupons = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.active !== undefined) filter.active = req.query.active === "true";
+
+    const coupons = await Coupon.find(filter)
+      .populate("plans", "PlanName")
+      .sort({ createdAt: -1 });
+
+    return res.json({ success: true, coupons, count: coupons.length });
+
+  } catch (err) {
+    console.error("❌ getCoupons:", err);
+    return res.status(500).json({ success: false, message: "Failed to retrieve coupons" });
+  }
+};
+
+// ============================================
+// Admin: deactivate a coupon (here and in Stripe)
+// ============================================
+export const deactivateCoupon = async (req, res) => {
+  try {
+    const coupon = mongoose.isValidObjectId(req.params.id) ? await Coupon.findById(req.params.id) : null;
+    if (!coupon) return res.status(404).json({ success: false, message: "Coupon not found" });
+
+    if (coupon.stripePromotionCodeId) {
+      const stripe = getStripe();
+      if (!stripe) return res.status(500).json({ success: false, message: "Stripe not configured" });
+      await stripe.promotionCodes.update(coupon.stripePromotionCodeId, { active: false });
+    }
+
+    coupon.active = false;
+    await coupon.save();
+
+    return res.json({ success: true, message: "Coupon deactivated", coupon });
+
+  } catch (err) {
+    console.error("❌ deactivateCoupon:", err);
+    return res.status(500).json({ success: false, message: "Failed to deactivate coupon", error: err.message });
+  }
+};
+
+// ============================================
+// Check a code against a plan before checkout
+// ============================================
+export const validateCoupon = async (req, res) => {
+  try {
+    const { planId } = req.query;
+    const plan = mongoose.isValidObjectId(planId) ? await Plan.findById(planId) : null;
+    if (!plan) return res.status(404).json({ success: false, message: "Plan not found" });
+
+    const { currency, error: currencyError } = resolveCurrency(req, plan);
+    if (currencyError) return res.status(400).json({ success: false, valid: false, message: currencyError });
+
+    const { coupon, error } = await findRedeemableCoupon(req.params.code, plan, currency);
+    if (error) return res.status(400).json({ success: false, valid: false, message: error });
+
+    const price = getPlanPrice(plan, currency).amount;
+    const discountAmount = discountFor(coupon, price);
+
+    return res.json({
+      success: true,
+      valid: true,
+      code: coupon.code,
+      discountType: coupon.discountType,
+      duration: coupon.duration,
+      durationInMonths: coupon.durationInMonths,
+      currency,
+      discountAmount,
+      finalPrice: Math.round((price - discountAmount) * 100) / 100,
+    });
+
+  } catch (err) {
+    console.error("❌ validateCoupon:", err);
+    return res.status(500).json({ success: false, message: "Failed to validate coupon" });
+  }
+};
@@ -0,0 +1,75 @@
+import { buildPaymentFilter } from "../services/paymentQueryService.js";
+import {
+  EXPORT_FORMATS,
+  PAYMENT_COLUMNS,
+  SUBSCRIPTION_COLUMNS,
+  buildSubscriptionFilter,
+  paymentExportCursor,
+  streamExport,
+  subscriptionExportCursor
+} from "../services/exportService.js";
+
+// Validate ?format= (csv by default); sends a 400 and returns null when unsupported
+function parseFormat(req, res) {
+  const format = String(req.query.format || "csv").toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    res.status(400).json({ success: false, message: `format must be one of: ${EXPORT_FORMATS.join(", ")}` });
+    return null;
+  }
+  return format;
+}
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Once streaming has started the status line is gone; all we can do is cut the response short
+function failExport(res, name, err) {
+  console.error(`❌ ${name}:`, err);
+  if (!res.headersSent) return res.status(500).json({ success: false, message: "Export failed", error: err.message });
+  res.destroy(err);
+}
+
+// ============================================
+// Admin: export payments (?format=csv|ndjson&from=&to=&status=&currency=&plan=)
+// ============================================
+export const exportPayments = async (req, res) => {
+  try {
+    const format = parseFormat(req, res);
+    if (!format) return;
+
+    const { filter, error } = buildPaymentFilter(req.query);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const rows = await streamExport(res, paymentExportCursor(filter), {
+      columns: PAYMENT_COLUMNS,
+      format,
+      filename: `payments-${today()}`,
+    });
+    console.log(`✅ Exported ${rows} payments as ${format}`);
+
+  } catch (err) {
+    failExport(res, "exportPayments", err);
+  }
+};
+
+// ============================================
+// Admin: export subscriptions (same query parameters)
+// ============================================
+export const exportSubscriptions = async (req, res) => {
+  try {
+    const format = parseFormat(req, res);
+    if (!format) return;
+
+    const { filter, error } = buildSubscriptionFilter(req.query);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const rows = await streamExport(res, subscriptionExportCursor(filter), {
+      columns: SUBSCRIPTION_COLUMNS,
+      format,
+      filename: `subscriptions-${today()}`,
+    });
+    console.log(`✅ Exported ${rows} subscriptions as ${format}`);
+
+  } catch (err) {
+    failExport(res, "exportSubscriptions", err);
+  }
+};
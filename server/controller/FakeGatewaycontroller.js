@@ -0,0 +1,67 @@
+import { getFakeGateway } from "../gateways/fakeGateway.js";
+
+// Development-only endpoints that play the customer's side of the fake gateway.
+// Mounted only when PAYMENT_GATEWAY=fake outside production.
+
+const sendError = (res, err, message) => {
+  const status = err.statusCode === 404 ? 404 : 400;
+  return res.status(status).json({ success: false, message, error: err.message });
+};
+
+// ============================================
+// Hosted checkout page: pays (or declines) the session and redirects like Stripe Checkout
+// query: paymentMethod (e.g. pm_card_chargeDeclined), cancel=true
+// ============================================
+export const completeFakeCheckout = async (req, res) => {
+  const gateway = getFakeGateway();
+  try {
+    const session = await gateway.retrieveCheckoutSession(req.params.sessionId);
+    const withSessionId = (url) => String(url || "").replace("{CHECKOUT_SESSION_ID}", session.id);
+
+    if (req.query.cancel === "true") return res.redirect(withSessionId(session.cancel_url));
+
+    const result = await gateway.completeCheckoutSession(session.id, { paymentMethod: req.query.paymentMethod });
+    if (!result.paid) {
+      return res.status(402).json({ success: false, message: result.error || "Payment declined", session: result.session });
+    }
+
+    return res.redirect(withSessionId(session.success_url));
+  } catch (err) {
+    return sendError(res, err, "Failed to complete checkout");
+  }
+};
+
+// ============================================
+// Confirm a PaymentIntent, as the Payment Element would
+// body: { paymentMethod? }
+// ============================================
+export const confirmFakePaymentIntent = async (req, res) => {
+  try {
+    const paymentIntent = await getFakeGateway().confirmPaymentIntent(req.params.id, { paymentMethod: req.body?.paymentMethod });
+    return res.json({ success: paymentIntent.status === "succeeded", paymentIntent });
+  } catch (err) {
+    return sendError(res, err, "Failed to confirm payment intent");
+  }
+};
+
+// ============================================
+// Bill the next period of a subscription (or retry its failed invoice)
+// body: { paymentMethod? }
+// ============================================
+export const renewFakeSubscription = async (req, res) => {
+  try {
+    const result = await getFakeGateway().renewSubscription(req.params.id, { paymentMethod: req.body?.paymentMethod });
+    return res.json({ success: true, ...result });
+  } catch (err) {
+    return sendError(res, err, "Failed to renew subscription");
+  }
+};
+
+// ============================================
+// Events emitted so far, newest first
+// ============================================
+export const getFakeGatewayEvents = async (req, res) => {
+  const events = getFakeGateway().events().reverse();
+  const type = req.query.type;
+  return res.json({ success: true, events: type ? events.filter((e) => e.type === type) : events });
+};
@@ -0,0 +1,88 @@
+import mongoose from "mongoose";
+import Invoice from "../model/Invoice.js";
+import { renderInvoicePdf } from "../services/invoicePdf.js";
+
+const MAX_PAGE_SIZE = 100;
+
+// Load an invoice the caller owns (admins may read any); sends 404 otherwise
+async function loadInvoice(req, res) {
+  const { id } = req.params;
+  const invoice = mongoose.isValidObjectId(id) ? await Invoice.findById(id) : null;
+
+  if (!invoice || (req.user.role !== "admin" && String(invoice.user) !== String(req.user._id))) {
+    res.status(404).json({ success: false, message: "Invoice not found" });
+    return null;
+  }
+  return invoice;
+}
+
+// ============================================
+// The caller's invoices, newest first
+// ============================================
+export const getMyInvoices = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_PAGE_SIZE);
+    const filter = { user: req.user._id };
+
+    const [invoices, total] = await Promise.all([
+      Invoice.find(filter)
+        .select("number financialYear currency total issuedAt paidAt plan")
+        .populate("plan", "PlanName")
+        .sort({ issuedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Invoice.countDocuments(filter),
+    ]);
+
+    return res.json({
+      success: true,
+      invoices,
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+    });
+
+  } catch (err) {
+    console.error("❌ getMyInvoices:", err);
+    return res.status(500).json({ success: false, message: "Failed to retrieve invoices" });
+  }
+};
+
+// ============================================
+// Invoice details
+// ============================================
+export const getInvoice = async (req, res) => {
+  try {
+    const invoice = await loadInvoice(req, res);
+    if (!invoice) return;
+
+    return res.json({ success: true, invoice });
+
+  } catch (err) {
+    console.error("❌ getInvoice:", err);
+    return res.status(500).json({ success: false, message: "Failed to retrieve invoice" });
+  }
+};
+
+// ============================================
+// Download the invoice as a PDF
+// ============================================
+export const downloadInvoicePdf = async (req, res) => {
+  try {
+    const invoice = await loadInvoice(req, res);
+    if (!invoice) return;
+
+    const pdf = renderInvoicePdf(invoice);
+    const filename = `${invoice.number.replace(/[^A-Za-z0-9-]+/g, "-")}.pdf`;
+
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Length": pdf.length,
+      "Content-Disposition": `attachment; filename="${filename}"`,
+    });
+    return res.send(pdf);
+
+  } catch (err) {
+    console.error("❌ downloadInvoicePdf:", err);
+    return res.status(500).json({ success: false, message: "Failed to render invoice" });
+  }
+};
@@ -0,0 +1,52 @@
+import { jobNames, listJobs, runJobNow, setJobEnabled } from "../services/jobScheduler.js";
+
+const unknownJob = (res) =>
+  res.status(404).json({ success: false, message: `Unknown job; expected one of: ${jobNames().join(", ")}` });
+
+// ============================================
+// Admin: background jobs and their last run
+// ============================================
+export const getJobs = async (req, res) => {
+  try {
+    const jobs = await listJobs();
+    return res.json({ success: true, jobs });
+  } catch (err) {
+    console.error("❌ getJobs:", err);
+    return res.status(500).json({ success: false, message: "Failed to fetch jobs" });
+  }
+};
+
+// ============================================
+// Admin: run a job now, outside its schedule
+// ============================================
+export const runJob = async (req, res) => {
+  try {
+    const job = await runJobNow(req.params.name);
+    if (job === undefined) return unknownJob(res);
+    if (job === null) return res.status(409).json({ success: false, message: "Job is already running" });
+
+    return res.json({ success: job.lastStatus === "succeeded", job });
+  } catch (err) {
+    console.error("❌ runJob:", err);
+    return res.status(500).json({ success: false, message: "Failed to run job", error: err.message });
+  }
+};
+
+// ============================================
+// Admin: pause or resume a job's schedule
+// body: { enabled: boolean }
+// ============================================
+export const updateJob = async (req, res) => {
+  try {
+    const { enabled } = req.body || {};
+    if (typeof enabled !== "boolean") return res.status(400).json({ success: false, message: "enabled must be true or false" });
+
+    const job = await setJobEnabled(req.params.name, enabled);
+    if (!job) return unknownJob(res);
+
+    return res.json({ success: true, message: enabled ? "Job enabled" : "Job paused", job });
+  } catch (err) {
+    console.error("❌ updateJob:", err);
+    return res.status(500).json({ success: false, message: "Failed to update job" });
+  }
+};
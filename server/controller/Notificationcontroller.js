@@ -0,0 +1,71 @@
+import mongoose from "mongoose";
+import Notification from "../model/Notification.js";
+import { retryNotification } from "../services/notificationService.js";
+
+const MAX_PAGE_SIZE = 100;
+const STATUSES = Notification.schema.path("status").enumValues;
+
+// ============================================
+// Admin: outbox messages, newest first
+// query: status, email, template, page, limit
+// ============================================
+export const getNotifications = async (req, res) => {
+  try {
+    const { status, email, template } = req.query;
+    if (status && !STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: `status must be one of: ${STATUSES.join(", ")}` });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_PAGE_SIZE);
+    const filter = {};
+    if (status) filter.status = status;
+    if (email) filter.to = String(email).toLowerCase();
+    if (template) filter.template = String(template);
+
+    const [notifications, total] = await Promise.all([
+      Notification.find(filter)
+        .select("-html -text")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Notification.countDocuments(filter),
+    ]);
+
+    return res.json({
+      success: true,
+      notifications,
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+    });
+
+  } catch (err) {
+    console.error("❌ getNotifications:", err);
+    return res.status(500).json({ success: false, message: "Failed to retrieve notifications" });
+  }
+};
+
+// ============================================
+// Admin: queue a failed message for another round of attempts
+// ============================================
+export const retryNotificationById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({ success: false, message: "Notification not found" });
+    }
+
+    const notification = await retryNotification(id);
+    if (!notification) {
+      const exists = await Notification.exists({ _id: id });
+      return exists
+        ? res.status(409).json({ success: false, message: "Only failed notifications can be retried" })
+        : res.status(404).json({ success: false, message: "Notification not found" });
+    }
+
+    return res.json({ success: true, message: "Notification queued for delivery", notification });
+
+  } catch (err) {
+    console.error("❌ retryNotificationById:", err);
+    return res.status(500).json({ success: false, message: "Failed to retry notification", error: err.message });
+  }
+};
@@ -0,0 +1,280 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Organization from "../model/Organization.js";
+import Invitation from "../model/Invitation.js";
+import { escapeHtml, sendMail } from "../config/mailer.js";
+import { getOrganizationSubscription } from "../services/subscriptionService.js";
+import { seatLimit, seatsInUse, syncSeats } from "../services/organizationService.js";
+
+const INVITATION_TTL_DAYS = 7;
+
+const hashInvitationToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Load an organization the caller belongs to (optionally requiring one of `roles`).
+// Sends the error response and returns null when not allowed.
+async function loadOrganization(req, res, roles = null) {
+  const { id } = req.params;
+  const org = mongoose.isValidObjectId(id) ? await Organization.findById(id) : null;
+  const role = org?.roleOf(req.user._id);
+
+  if (!org || !role) {
+    res.status(404).json({ success: false, message: "Organization not found" });
+    return null;
+  }
+  if (roles && !roles.includes(role)) {
+    res.status(403).json({ success: false, message: "Access denied: organization admins only" });
+    return null;
+  }
+  return org;
+}
+
+// ============================================
+// Create an organization owned by the caller
+// ============================================
+export const createOrganization = async (req, res) => {
+  try {
+    const { name } = req.body || {};
+    if (!name) return res.status(400).json({ success: false, message: "name is required" });
+
+    const organization = await Organization.create({
+      name,
+      owner: req.user._id,
+      members: [{ user: req.user._id, role: "owner" }],
+    });
+
+    return res.status(201).json({ success: true, organization });
+
+  } catch (err) {
+    console.error("❌ createOrganization:", err);
+    return res.status(500).json({ success: false, message: "Failed to create organization", error: err.message });
+  }
+};
+
+// ============================================
+// Organizations the caller belongs to
+// ============================================
+export const getMyOrganizations = async (req, res) => {
+  try {
+    const organizations = await Organization.find({ "members.user": req.user._id }).sort({ createdAt: -1 });
+
+    return res.json({
+      success: true,
+      organizations: organizations.map((org) => ({
+        _id: org._id,
+        name: org.name,
+        role: org.roleOf(req.user._id),
+        memberCount: org.members.length,
+      })),
+    });
+
+  } catch (err) {
+    console.error("❌ getMyOrganizations:", err);
+    return res.status(500).json({ success: false, message: "Failed to retrieve organizations" });
+  }
+};
+
+// ============================================
+// Organization details: members, seats and pending invitations
+// ============================================
+export const getOrganization = async (req, res) => {
+  try {
+    const org = await loadOrganization(req, res);
+    if (!org) return;
+
+    await org.populate("members.user", "email fullName");
+    const subscription = await getOrganizationSubscription(org._id);
+    const invitations = await Invitation.find({ organization: org._id, status: "pending", expiresAt: { $gt: new Date() } })
+      .select("email role expiresAt createdAt");
+
+    const limit = seatLimit(subscription?.plan);
+
+    return res.json({
+      success: true,
+      organization: org,
+      subscription,
+      seats: {
+        used: org.members.length,
+        pendingInvitations: invitations.length,
+        limit: Number.isFinite(limit) ? limit : null,
+      },
+      invitations,
+    });
+
+  } catch (err) {
+    console.error("❌ getOrganization:", err);
+    return res.status(500).json({ success: false, message: "Failed to retrieve organization" });
+  }
+};
+
+// ============================================
+// Invite someone by email (owner/admin)
+// body: { email, role?: "admin" | "member" }
+// ============================================
+export const inviteMember = async (req, res) => {
+  try {
+    const org = await loadOrganization(req, res, ["owner", "admin"]);
+    if (!org) return;
+
+    const email = String(req.body?.email || "").trim().toLowerCase();
+    const role = req.body?.role || "member";
+    if (!/\S+@\S+\.\S+/.test(email)) return res.status(400).json({ success: false, message: "A valid email is required" });
+    if (!["admin", "member"].includes(role)) return res.status(400).json({ success: false, message: "role must be admin or member" });
+
+    await org.populate("members.user", "email");
+    if (org.members.some((m) => m.user?.email === email)) {
+      return res.status(409).json({ success: false, message: "User is already a member" });
+    }
+
+    const subscription = await getOrganizationSubscription(org._id);
+    const limit = seatLimit(subscription?.plan);
+    if ((await seatsInUse(org)) + 1 > limit) {
+      return res.status(403).json({
+        success: false,
+        code: "QUOTA_EXCEEDED",
+        message: `Your plan allows ${limit} users`,
+        resource: "users",
+        limit,
+      });
+    }
+
+    // Re-inviting replaces any earlier pending invitation for the same address
+    await Invitation.updateMany({ organization: org._id, email, status: "pending" }, { status: "revoked" });
+
+    const token = crypto.randomBytes(32).toString("hex");
+    const invitation = await Invitation.create({
+      organization: org._id,
+      email,
+      role,
+      tokenHash: hashInvitationToken(token),
+      invitedBy: req.user._id,
+      expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000),
+    });
+
+    const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
+    const acceptUrl = `${frontendUrl}/invitations/${token}`;
+
+    try {
+      await sendMail({
+        to: email,
+        subject: `You're invited to join ${org.name}`,
+        text: `${req.user.fullName} invited you to join ${org.name}.\n\nAccept the invitation: ${acceptUrl}\n\nThis link expires in ${INVITATION_TTL_DAYS} days.`,
+        html: `<p>${escapeHtml(req.user.fullName)} invited you to join <strong>${escapeHtml(org.name)}</strong>.</p><p><a href="${acceptUrl}">Accept the invitation</a></p><p>This link expires in ${INVITATION_TTL_DAYS} days.</p>`,
+      });
+    } catch (err) {
+      // Nobody received the link, so don't let the invitation hold a seat
+      await Invitation.updateOne({ _id: invitation._id }, { status: "revoked" });
+      throw err;
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: "Invitation sent",
+      invitation: { _id: invitation._id, email, role, expiresAt: invitation.expiresAt },
+    });
+
+  } catch (err) {
+    console.error("❌ inviteMember:", err);
+    return res.status(500).json({ success: false, message: "Failed to send invitation", error: err.message });
+  }
+};
+
+// ============================================
+// Accept an invitation as the logged-in user
+// ============================================
+export const acceptInvitation = async (req, res) => {
+  try {
+    const invitation = await Invitation.findOne({
+      tokenHash: hashInvitationToken(req.params.token),
+      status: "pending",
+      expiresAt: { $gt: new Date() },
+    });
+
+    if (!invitation) return res.status(400).json({ success: false, message: "Invitation is invalid or has expired" });
+    if (invitation.email !== req.user.email) {
+      return res.status(403).json({ success: false, message: "This invitation was sent to a different email address" });
+    }
+
+    let org = await Organization.findById(invitation.organization);
+    if (!org) return res.status(404).json({ success: false, message: "Organization not found" });
+
+    if (!org.roleOf(req.user._id)) {
+      // The invitation already holds a reserved seat, so only members count against the limit here.
+      // The seat check and the push happen in one update so concurrent accepts can't overfill.
+      const subscription = await getOrganizationSubscription(org._id);
+      const limit = seatLimit(subscription?.plan);
+      const joined = await Organization.findOneAndUpdate(
+        {
+          _id: org._id,
+          "members.user": { $ne: req.user._id },
+          ...(Number.isFinite(limit) ? { $expr: { $lt: [{ $size: "$members" }, limit] } } : {})
+        },
+        { $push: { members: { user: req.user._id, role: invitation.role } } },
+        { new: true }
+      );
+
+      if (!joined) {
+        // Either a concurrent accept of ours won, or the seats ran out
+        org = await Organization.findById(org._id);
+        if (!org?.roleOf(req.user._id)) {
+          return res.status(403).json({ success: false, code: "QUOTA_EXCEEDED", message: "The organization has no free seats" });
+        }
+      } else {
+        org = joined;
+        try {
+          await syncSeats(org);
+        } catch (err) {
+          // Don't grant a seat we could not bill for
+          await Organization.updateOne({ _id: org._id }, { $pull: { members: { user: req.user._id } } });
+          throw err;
+        }
+      }
+    }
+
+    invitation.status = "accepted";
+    invitation.acceptedAt = new Date();
+    await invitation.save();
+
+    return res.json({ success: true, message: `You joined ${org.name}`, organizationId: org._id });
+
+  } catch (err) {
+    console.error("❌ acceptInvitation:", err);
+    return res.status(500).json({ success: false, message: "Failed to accept invitation", error: err.message });
+  }
+};
+
+// ============================================
+// Remove a member (owner/admin), or leave (self)
+// ============================================
+export const removeMember = async (req, res) => {
+  try {
+    const leaving = String(req.params.userId) === String(req.user._id);
+    const org = await loadOrganization(req, res, leaving ? null : ["owner", "admin"]);
+    if (!org) return;
+
+    const targetRole = org.roleOf(req.params.userId);
+    if (!targetRole) return res.status(404).json({ success: false, message: "Member not found" });
+    if (targetRole === "owner") {
+      return res.status(400).json({ success: false, message: "The owner cannot be removed from the organization" });
+    }
+
+    // Pull just this member so someone joining at the same moment isn't dropped
+    const removed = org.members.find((m) => String(m.user) === String(req.params.userId));
+    const updated = await Organization.findOneAndUpdate(
+      { _id: org._id },
+      { $pull: { members: { user: removed.user, role: { $ne: "owner" } } } },
+      { new: true }
+    );
+
+    try {
+      await syncSeats(updated || org);
+    } catch (err) {
+      console.error("❌ Could not reduce seats after removing member:", err.message);
+    }
+
+    return res.json({ success: true, message: leaving ? "You left the organization" : "Member removed" });
+
+  } catch (err) {
+    console.error("❌ removeMember:", err);
+    return res.status(500).json({ success: false, message: "Failed to remove member", error: err.message });
+  }
+};
@@ -1,29 +1,21 @@
+import mongoose from "mongoose";
 import Plan from "../model/Plan.js";
 import Payment from "../model/Payment.js";
-import Stripe from "stripe";
+import { getGateway } from "../config/gateway.js";
+import Subscription from "../model/Subscription.js";
 import User from "../model/User.js";
-
-// Initialize Stripe
-function getStripe() {
-  const stripeSecret =
-    process.env.STRIPE_SECRET_KEY ||
-    process.env.secret_key ||
-    process.env.SECRET_KEY;
-
-  if (!stripeSecret) {
-    console.error("❌ STRIPE_SECRET_KEY not found in environment");
-    return null;
-  }
-  
-  try {
-    const stripe = new Stripe(stripeSecret);
-    console.log("✅ Stripe initialized successfully");
-    return stripe;
-  } catch (err) {
-    console.error("❌ Error initializing Stripe:", err.message);
-    return null;
-  }
-}
+import WebhookEvent from "../model/WebhookEvent.js";
+import Organization from "../model/Organization.js";
+import { getPlanPrice, resolveCurrency } from "../services/planService.js";
+import { issueInvoiceForPayment } from "../services/invoiceService.js";
+import { sendRenewalReminder, sendTrialReminder } from "../services/reminderService.js";
+import { notifyPaymentFailed, notifyPaymentSucceeded, notifySubscriptionCanceled } from "../services/notificationService.js";
+import { publishPaymentEvent } from "../services/outboundWebhookService.js";
+import { REFUNDED_STATUSES, findPaymentForCharge, markPaymentsSucceeded, recordRefund } from "../services/refundService.js";
+import { CUSTOMER_PAYMENT_PROJECTION, buildPaymentFilter, listPayments } from "../services/paymentQueryService.js";
+import { computePeriodEnd, fromUnix, getOrganizationSubscription, publishSubscriptionChange, recordCancellationPayment, recordPaymentFailure, resolvePlanId, syncStripeSubscription } from "../services/subscriptionService.js";
+import { seatLimit } from "../services/organizationService.js";
+import { couponCodeForPromotion, discountFor, findRedeemableCoupon, redeemCoupon } from "../services/couponService.js";
 
 // ============================================
 // Create Stripe Checkout Session
@@ -36,58 +28,48 @@ export const createCheckoutSession = async (req, res) => {
     const plan = await Plan.findById(planId);
 
     if (!plan) return res.status(404).json({ success: false, message: "Plan not found" });
+    if (!plan.IsActive) return res.status(400).json({ success: false, message: "Plan is no longer available" });
+
+    const gateway = getGateway();
+    if (!gateway) return res.status(500).json({ success: false, message: "Payment gateway not configured" });
 
-    const stripe = getStripe();
-    if (!stripe) return res.status(500).json({ success: false, message: "Stripe secret key missing" });
+    // Charge in the requested or locale currency when the plan is priced in it
+    const { currency, error: currencyError } = resolveCurrency(req, plan);
+    if (currencyError) return res.status(400).json({ success: false, message: currencyError });
+    const price = getPlanPrice(plan, currency);
 
-    const amount = Math.round(parseFloat(plan.Price) * 100);
-    const currency = (process.env.STRIPE_CURRENCY || "inr").toLowerCase();
+    const amount = Math.round(price.amount * 100);
     const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
 
-    let stripePriceId = plan.stripePriceId;
+    // Team purchase: the organization owns the subscription and pays one seat per member
+    const { organizationId } = req.body || {};
+    let organization = null;
+    let quantity = 1;
+    if (organizationId) {
+      organization = mongoose.isValidObjectId(organizationId) ? await Organization.findById(organizationId) : null;
+      if (!organization || !["owner", "admin"].includes(organization.roleOf(req.user._id))) {
+        return res.status(403).json({ success: false, message: "Only organization owners/admins can buy a subscription for it" });
+      }
+      if (await getOrganizationSubscription(organization._id)) {
+        return res.status(409).json({ success: false, message: "Organization already has an active subscription" });
+      }
+
+      quantity = Math.max(organization.members.length, 1);
+      if (quantity > seatLimit(plan)) {
+        return res.status(400).json({ success: false, message: `Plan allows ${plan.MaxUsers} users but the organization has ${quantity}` });
+      }
+    }
 
     // If plan is free (amount 0), skip Stripe and create a local payment activation
     if (amount === 0) {
       try {
-        // compute period start/end based on plan tenure
-        const now = new Date();
-        let periodStart = now;
-        let periodEnd = new Date(now);
-        try {
-          const bp = (plan.BillingPeriod || "monthly").toString().toLowerCase();
-          const interval = Number(plan.BillingInterval) || 1;
-          if (bp === "monthly") {
-            periodEnd.setMonth(periodEnd.getMonth() + interval);
-          } else {
-            // treat anything else as yearly
-            periodEnd.setFullYear(periodEnd.getFullYear() + interval);
-          }
-        } catch (e) {
-          periodEnd = new Date(now);
-          periodEnd.setMonth(periodEnd.getMonth() + 1);
-        }
-
-        const paymentData = {
-          plan: planId,
-          amount: 0,
-          currency: (process.env.STRIPE_CURRENCY || "INR").toUpperCase(),
-          status: "succeeded",
-          periodStart,
-          periodEnd,
-          stripeRaw: { note: "free plan activation - no Stripe session created" }
-        };
-
-        // Attach user if available
-        if (req.user && req.user._id) paymentData.user = req.user._id;
-
-        const payment = await Payment.create(paymentData);
-
-        // Update plan's stored dates so the plan reflects last activation window
-        await Plan.findByIdAndUpdate(planId, {
-          planStartDate: periodStart,
-          planEndDate: periodEnd,
-          currentPeriodStart: periodStart,
-          currentPeriodEnd: periodEnd
+        const { payment, subscription } = await activateWithoutPayment({
+          user: req.user,
+          plan,
+          currency,
+          organization,
+          quantity,
+          note: "free plan activation - no Stripe session created",
         });
 
         return res.status(201).json({
@@ -95,6 +77,7 @@ export const createCheckoutSession = async (req, res) => {
           free: true,
           message: "Free plan activated",
           payment,
+          subscription,
         });
       } catch (err) {
         console.error("❌ createCheckoutSession (free plan) error:", err);
@@ -103,78 +86,93 @@ export const createCheckoutSession = async (req, res) => {
     }
 
 
-    // If no Stripe price ID exists, create a recurring price
-    if (!stripePriceId) {
-      try {
-        // Create or get Stripe product
-        let stripeProductId = plan.stripeProductId;
-        if (!stripeProductId) {
-          const product = await stripe.products.create({
-            name: plan.PlanName,
-            description: plan.Description || `${plan.BillingPeriod} subscription plan`,
-            metadata: {
-              planId: plan._id.toString(),
-              planNumber: plan.Id,
-            },
-          });
-          stripeProductId = product.id;
-          await Plan.findByIdAndUpdate(planId, { stripeProductId });
-        }
+    // Optional discount code, applied through its Stripe promotion code
+    const { couponCode } = req.body || {};
+    let coupon = null;
+    if (couponCode) {
+      const result = await findRedeemableCoupon(couponCode, plan, currency);
+      if (result.error) return res.status(400).json({ success: false, message: result.error });
+      coupon = result.coupon;
+    }
 
-        // Create recurring price
-        const recurringPrice = await stripe.prices.create({
-          product: stripeProductId,
-          unit_amount: amount,
-          currency,
-          recurring: {
-            interval: plan.BillingPeriod.toLowerCase() === "monthly" ? "month" : "year",
-            interval_count: plan.BillingInterval,
+    // Recurring price for the plan in this currency, created on the gateway the first time
+    let priceId;
+    try {
+      priceId = await gateway.ensurePlanPrice(plan, currency);
+    } catch (gatewayError) {
+      console.error("❌ Error creating gateway price:", gatewayError.message);
+      console.error("❌ Gateway Error Details:", {
+        type: gatewayError.type,
+        code: gatewayError.code,
+        param: gatewayError.param,
+        statusCode: gatewayError.statusCode,
+        message: gatewayError.message
+      });
+      return res.status(500).json({ 
+        success: false, 
+        message: "Failed to create plan price",
+        error: gatewayError.message 
+      });
+    }
+
+    // Free trial, offered only to users who have never had one. The trial is claimed on the
+    // user atomically so parallel checkouts can't each get one, and given back if the session
+    // expires unused; subscriptions from before trialUsedAt existed still count.
+    const trialDays = Number(plan.TrialPeriodDays) || 0;
+    let trialClaimedAt = null;
+    if (trialDays > 0 && !(await Subscription.exists({ user: req.user._id, trialStart: { $ne: null } }))) {
+      const now = new Date();
+      const claimed = await User.updateOne({ _id: req.user._id, trialUsedAt: null }, { $set: { trialUsedAt: now } });
+      if (claimed.modifiedCount === 1) trialClaimedAt = now;
+    }
+    const offerTrial = trialClaimedAt !== null;
+    const skipCard = offerTrial && !plan.TrialRequiresPaymentMethod;
+
+    // Attach the checkout to the user's gateway customer so cards and subscriptions stay linked
+    let session;
+    try {
+      const customerId = await gateway.ensureCustomer(req.user);
+
+      session = await gateway.createCheckoutSession({
+        customer: customerId,
+        // UPI only settles in rupees
+        payment_method_types: currency === "INR" ? ["card", "upi"] : ["card"],
+        line_items: [
+          {
+            price: priceId,
+            quantity,
           },
+        ],
+        mode: "subscription",
+        success_url: `${frontendUrl}/success?planId=${planId}&sessionId={CHECKOUT_SESSION_ID}`,
+        cancel_url: `${frontendUrl}/error?cancelled=true&sessionId={CHECKOUT_SESSION_ID}`,
+        client_reference_id: req.user?._id?.toString(),
+        discounts: coupon ? [{ promotion_code: coupon.stripePromotionCodeId }] : undefined,
+        // Without a card up front, the subscription is canceled if none is added by trial end
+        payment_method_collection: skipCard ? "if_required" : undefined,
+        metadata: {
+          planId: plan._id.toString(),
+          ...(coupon ? { couponCode: coupon.code } : {}),
+          // Lets checkout.session.expired give the trial back
+          ...(trialClaimedAt ? { trialClaimedAt: trialClaimedAt.toISOString() } : {}),
+        },
+        subscription_data: {
+          trial_period_days: offerTrial ? trialDays : undefined,
+          trial_settings: skipCard ? { end_behavior: { missing_payment_method: "cancel" } } : undefined,
           metadata: {
             planId: plan._id.toString(),
+            ...(req.user?._id ? { userId: req.user._id.toString() } : {}),
+            ...(organization ? { organizationId: organization._id.toString() } : {}),
+            ...(coupon ? { couponCode: coupon.code } : {}),
           },
-        });
-
-        stripePriceId = recurringPrice.id;
-        await Plan.findByIdAndUpdate(planId, { stripePriceId });
-      } catch (stripeError) {
-        console.error("❌ Error creating Stripe price:", stripeError.message);
-        console.error("❌ Stripe Error Details:", {
-          type: stripeError.type,
-          code: stripeError.code,
-          param: stripeError.param,
-          statusCode: stripeError.statusCode,
-          message: stripeError.message
-        });
-        return res.status(500).json({ 
-          success: false, 
-          message: "Failed to create Stripe price",
-          error: stripeError.message 
-        });
-      }
-    }
-
-    const session = await stripe.checkout.sessions.create({
-      payment_method_types: [ "card",
-    "upi"
-    
-    ],
-      line_items: [
-        {
-          price: stripePriceId,
-          quantity: 1,
         },
-      ],
-      mode: "subscription",
-      success_url: `${frontendUrl}/success?planId=${planId}&sessionId={CHECKOUT_SESSION_ID}`,
-      cancel_url: `${frontendUrl}/error?cancelled=true&sessionId={CHECKOUT_SESSION_ID}`,
-      metadata: {
-        planId: plan._id.toString(),
-      },
-    });
-
+      });
+    } catch (err) {
+      // No checkout was created, so the trial is still unused
+      if (trialClaimedAt) await User.updateOne({ _id: req.user._id, trialUsedAt: trialClaimedAt }, { $set: { trialUsedAt: null } });
+      throw err;
+    }
 
-    
     return res.status(201).json({
       success: true,
       sessionUrl: session.url,
@@ -183,29 +181,45 @@ export const createCheckoutSession = async (req, res) => {
 
   } catch (err) {
     console.error("❌ createCheckoutSession:", err);
-    return res.status(500).json({ success: false, message: "Failed to create Stripe session" });
+    return res.status(500).json({ success: false, message: "Failed to create checkout session" });
   }
 };
 
 
 // ============================================
-// Get Payment History
+// Payment history: the caller's own, or (admin) any user's
+// query: status, plan, currency, from, to, cursor, limit
 // ============================================
+async function sendPaymentPage(req, res, userId, projection) {
+  const { filter, error } = buildPaymentFilter(req.query);
+  if (error) return res.status(400).json({ success: false, message: error });
+
+  const page = await listPayments({ ...filter, user: userId }, { cursor: req.query.cursor, limit: req.query.limit, projection });
+  if (page.error) return res.status(400).json({ success: false, message: page.error });
+
+  return res.json({
+    success: true,
+    payments: page.payments,
+    count: page.payments.length,
+    nextCursor: page.nextCursor,
+  });
+}
+
+export const getMyPayments = async (req, res) => {
+  try {
+    return await sendPaymentPage(req, res, req.user._id, CUSTOMER_PAYMENT_PROJECTION);
+  } catch (err) {
+    console.error("❌ getMyPayments:", err);
+    return res.status(500).json({ success: false, message: "Failed to retrieve payment history" });
+  }
+};
+
 export const getPaymentHistory = async (req, res) => {
   try {
     const { userId } = req.params;
+    if (!mongoose.isValidObjectId(userId)) return res.status(400).json({ success: false, message: "Invalid user id" });
 
-    const payments = await Payment.find({ user: userId })
-      .populate("plan", "PlanName Price BillingPeriod")
-      .populate("user", "email fullName")
-      .sort({ createdAt: -1 });
-
-    return res.json({
-      success: true,
-      payments,
-      count: payments.length,
-    });
-
+    return await sendPaymentPage(req, res, userId);
   } catch (err) {
     console.error("❌ getPaymentHistory:", err);
     return res.status(500).json({ success: false, message: "Failed to retrieve payment history" });
@@ -220,10 +234,10 @@ export const getPaymentSession = async (req, res) => {
     const { sessionId } = req.params;
     const { planId } = req.query;
 
-    const stripe = getStripe();
-    if (!stripe) return res.status(500).json({ success: false, message: "Stripe not configured" });
+    const gateway = getGateway();
+    if (!gateway) return res.status(500).json({ success: false, message: "Payment gateway not configured" });
 
-    const session = await stripe.checkout.sessions.retrieve(sessionId);
+    const session = await gateway.retrieveCheckoutSession(sessionId);
 
     let plan = null;
     if (planId) {
@@ -249,26 +263,61 @@ export const createCustomer = async (req, res) => {
       return res.json({ success: true, customerId: user.stripeCustomerId });
     }
 
-    const stripe = getStripe();
-    if (!stripe) return res.status(500).json({ success: false, message: "Stripe not configured" });
-
-    const customer = await stripe.customers.create({
-      email: user.email,
-      name: user.fullName || user.name || undefined,
-      metadata: { userId: user._id.toString() },
-    });
+    const gateway = getGateway();
+    if (!gateway) return res.status(500).json({ success: false, message: "Payment gateway not configured" });
 
-    // Save customer id on user record
-    user.stripeCustomerId = customer.id;
-    await user.save();
+    const customerId = await gateway.ensureCustomer(user);
 
-    return res.json({ success: true, customerId: customer.id });
+    return res.json({ success: true, customerId });
   } catch (err) {
     console.error("❌ createCustomer error:", err && err.message ? err.message : err);
     return res.status(500).json({ success: false, message: "Failed to create customer", error: err && err.message ? err.message : String(err) });
   }
 };
 
+// Grant a plan that costs nothing (a free plan, or a 100%-off coupon): record a zero-amount
+// Payment and an active local Subscription for the period, without going through the gateway
+async function activateWithoutPayment({ user, plan, currency, organization = null, quantity = 1, coupon = null, discountAmount = 0, note }) {
+  const periodStart = new Date();
+  const periodEnd = computePeriodEnd(plan, periodStart);
+
+  const payment = await Payment.create({
+    user: user?._id || null,
+    plan: plan._id,
+    amount: 0,
+    currency,
+    status: "succeeded",
+    periodStart,
+    periodEnd,
+    couponCode: coupon?.code || null,
+    discountAmount,
+    stripeRaw: { note }
+  });
+
+  if (coupon) await redeemCoupon(coupon.code, `payment:${payment._id}`);
+
+  const subscription = await startPlanPeriod({ user, plan, currency, organization, quantity, unitAmount: 0, periodStart, periodEnd });
+  return { payment, subscription };
+}
+
+// Record a plan bought outside Stripe subscriptions (free, fully discounted or paid with a
+// one-off PaymentIntent) as an active subscription for the buyer or their organization
+async function startPlanPeriod({ user, plan, currency, organization = null, quantity = 1, unitAmount, periodStart, periodEnd }) {
+  const subscription = await Subscription.create({
+    user: user?._id || null,
+    plan: plan._id,
+    organization: organization?._id || null,
+    quantity,
+    unitAmount,
+    currency,
+    status: "active",
+    currentPeriodStart: periodStart,
+    currentPeriodEnd: periodEnd
+  });
+  await publishSubscriptionChange(null, subscription);
+  return subscription;
+}
+
 // Create PaymentIntent with automatic payment methods enabled (Payment Element + wallets)
 export const createPaymentIntent = async (req, res) => {
   try {
@@ -277,30 +326,61 @@ export const createPaymentIntent = async (req, res) => {
 
     const plan = await Plan.findById(planId);
     if (!plan) return res.status(404).json({ success: false, message: "Plan not found" });
+    if (!plan.IsActive) return res.status(400).json({ success: false, message: "Plan is no longer available" });
+
+    const gateway = getGateway();
+    if (!gateway) return res.status(500).json({ success: false, message: "Payment gateway not configured" });
+
+    const { currency: planCurrency, error: currencyError } = resolveCurrency(req, plan);
+    if (currencyError) return res.status(400).json({ success: false, message: currencyError });
+
+    let amount = Math.round(getPlanPrice(plan, planCurrency).amount * 100);
+    const currency = planCurrency.toLowerCase();
+
+    // Optional discount code, taken off the PaymentIntent amount
+    const { couponCode } = req.body || {};
+    let coupon = null;
+    let discountAmount = 0;
+    if (couponCode && amount > 0) {
+      const result = await findRedeemableCoupon(couponCode, plan, currency);
+      if (result.error) return res.status(400).json({ success: false, message: result.error });
+      coupon = result.coupon;
+      discountAmount = discountFor(coupon, amount / 100);
+      amount = Math.round((amount / 100 - discountAmount) * 100);
+    }
 
-    const stripe = getStripe();
-    if (!stripe) return res.status(500).json({ success: false, message: "Stripe not configured" });
-
-    const amount = Math.round(parseFloat(plan.Price) * 100);
-    const currency = (process.env.STRIPE_CURRENCY || "inr").toLowerCase();
-
-    // If plan is free, do not create a PaymentIntent — frontend should skip Payment Element wallets
+    // Nothing to charge: no PaymentIntent (the frontend skips the Payment Element). A coupon
+    // that covers the whole price still has to grant the plan.
     if (amount === 0) {
-      return res.json({ success: true, free: true, message: "Free plan - no PaymentIntent created" });
-    }
+      if (!coupon) {
+        return res.json({ success: true, free: true, message: "Free plan - no PaymentIntent created" });
+      }
 
-    // If user is logged in and has a Stripe customer, attach to the PaymentIntent
-    let customerId = null;
-    if (req.user && req.user.stripeCustomerId) {
-      customerId = req.user.stripeCustomerId;
+      const { payment, subscription } = await activateWithoutPayment({
+        user: req.user,
+        plan,
+        currency: planCurrency,
+        coupon,
+        discountAmount,
+        note: `coupon ${coupon.code} covers the full price - no PaymentIntent created`,
+      });
+      return res.status(201).json({ success: true, free: true, message: "Plan activated with coupon", payment, subscription });
     }
 
-    const paymentIntent = await stripe.paymentIntents.create({
+    // Attach the PaymentIntent to the buyer's gateway customer; payment_intent.succeeded
+    // links the payment to the user in the metadata and starts their plan period
+    const customerId = await gateway.ensureCustomer(req.user);
+
+    const paymentIntent = await gateway.createPaymentIntent({
       amount,
       currency,
       automatic_payment_methods: { enabled: true },
-      customer: customerId || undefined,
-      metadata: { planId: plan._id.toString() },
+      customer: customerId,
+      metadata: {
+        planId: plan._id.toString(),
+        userId: req.user._id.toString(),
+        ...(coupon ? { couponCode: coupon.code, discountAmount: String(discountAmount) } : {}),
+      },
     });
 
     return res.json({ success: true, clientSecret: paymentIntent.client_secret, paymentIntentId: paymentIntent.id });
@@ -328,13 +408,14 @@ export const saveFrontendSession = async (req, res) => {
     const plan = await Plan.findById(planId);
     if (!plan) return res.status(404).json({ success: false, message: "Plan not found" });
 
-    const stripe = getStripe();
+    const gateway = getGateway();
     const sessionId = session?.id || null;
     const paymentIntentId = session?.payment_intent || null;
+    const subscriptionId = typeof session?.subscription === "string" ? session.subscription : session?.subscription?.id || null;
 
     const amount = session?.amount_total ? session.amount_total / 100 : plan.Price;
     const currency = session?.currency || process.env.STRIPE_CURRENCY || "inr";
-    const status = session?.payment_status === "paid" ? "succeeded" : "pending";
+    let status = session?.payment_status === "paid" ? "succeeded" : "pending";
     const userId = null;
 
     // Initialize paymentData with all required fields
@@ -342,9 +423,11 @@ export const saveFrontendSession = async (req, res) => {
       plan: planId,
       amount: Number(amount) || 0,
       currency,
-      status,
       stripeCheckoutSessionId: sessionId || null,
       stripePaymentIntentId: paymentIntentId || null,
+      stripeSubscriptionId: subscriptionId,
+      couponCode: session?.metadata?.couponCode || null,
+      discountAmount: (session?.total_details?.amount_discount || 0) / 100,
       stripePaymentMethodId: session?.payment_method?.id || null,
       stripeChargeId: null,
       cardBrand: null,
@@ -366,14 +449,14 @@ export const saveFrontendSession = async (req, res) => {
     }
 
     // If we have a payment intent, retrieve it to get full charge & card details
-    if (stripe && paymentIntentId) {
+    if (gateway && paymentIntentId) {
       try {
-        const pi = await stripe.paymentIntents.retrieve(paymentIntentId);
+        const pi = await gateway.retrievePaymentIntent(paymentIntentId);
         if (pi) {
           // Update amount and currency from PaymentIntent if available
           if (pi.amount) paymentData.amount = pi.amount / 100;
           if (pi.currency) paymentData.currency = pi.currency;
-          if (pi.status === "succeeded") paymentData.status = "succeeded";
+          if (pi.status === "succeeded") status = "succeeded";
 
           const charge = pi.charges?.data?.[0];
           if (charge) {
@@ -404,26 +487,23 @@ export const saveFrontendSession = async (req, res) => {
       ].filter(Boolean)
     };
 
-    const payment = await Payment.findOneAndUpdate(
+    // Status only moves forward: an existing row is never set back to pending, and a refunded one stays refunded
+    let payment = await Payment.findOneAndUpdate(
       filter,
-      { $set: paymentData },
+      { $set: paymentData, $setOnInsert: { status: "pending" } },
       { upsert: true, new: true, setDefaultsOnInsert: true }
     );
+    if (status === "succeeded") payment = await markPaymentSucceeded(payment);
 
     console.log(`✅ Frontend save: Payment record ${payment._id ? "created" : "updated"} with all fields for plan ${planId}`);
 
-    if (status === "succeeded") {
+    if (status === "succeeded" && gateway && subscriptionId) {
       try {
-        const updateData = {};
-        if (payment.periodStart) updateData.planStartDate = payment.periodStart, updateData.currentPeriodStart = payment.periodStart;
-        if (payment.periodEnd) updateData.planEndDate = payment.periodEnd, updateData.currentPeriodEnd = payment.periodEnd;
-
-        if (Object.keys(updateData).length > 0) {
-          await Plan.findByIdAndUpdate(planId, updateData);
-          console.log(`✅ Plan ${planId} updated from frontend session with period dates`);
-        }
+        const stripeSub = await gateway.retrieveSubscription(subscriptionId);
+        await syncStripeSubscription(stripeSub, { plan: planId });
+        console.log(`✅ Subscription ${subscriptionId} synced from frontend session`);
       } catch (e) {
-        console.warn("⚠️ Could not update Plan from frontend session:", e && e.message ? e.message : e);
+        console.warn("⚠️ Could not sync Subscription from frontend session:", e && e.message ? e.message : e);
       }
     }
 
@@ -441,11 +521,11 @@ export const markSessionCanceled = async (req, res) => {
     const { sessionId } = req.params;
     if (!sessionId) return res.status(400).json({ success: false, message: "sessionId required" });
 
-    const stripe = getStripe();
-    if (!stripe) return res.status(500).json({ success: false, message: "Stripe not configured" });
+    const gateway = getGateway();
+    if (!gateway) return res.status(500).json({ success: false, message: "Payment gateway not configured" });
 
-    // Retrieve the session from Stripe
-    const session = await stripe.checkout.sessions.retrieve(sessionId);
+    // Retrieve the session from the gateway
+    const session = await gateway.retrieveCheckoutSession(sessionId);
     if (!session) return res.status(404).json({ success: false, message: "Session not found" });
 
     // Build a minimal payment record with canceled status
@@ -481,26 +561,40 @@ function normalizeFunding(f) {
   return "unknown";
 }
 
+// checkout.session.expired: the buyer never finished checkout, so the trial claimed for
+// the session is unused. Only that claim is released, not one from a later checkout.
+async function handleCheckoutSessionExpired(session) {
+  console.log("⌛ checkout.session.expired:", session.id);
+
+  const claimedAt = new Date(session.metadata?.trialClaimedAt);
+  const userId = session.client_reference_id;
+  if (session.subscription || Number.isNaN(claimedAt.getTime()) || !mongoose.isValidObjectId(userId)) return;
+
+  const { modifiedCount } = await User.updateOne({ _id: userId, trialUsedAt: claimedAt }, { $set: { trialUsedAt: null } });
+  if (modifiedCount > 0) console.log(`✅ Trial released for user ${userId}`);
+}
+
 // Main webhook entry
 // ======================
 // STRIPE WEBHOOK HANDLER
 // ======================
 
-export const handleWebhook = async (req, res) => {
-  const sig = req.headers["stripe-signature"];
-  const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+// How long one attempt at an event may run before a redelivery may take it over
+const WEBHOOK_PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
 
-  if (!sig) {
-    console.error("❌ Missing Stripe Signature");
-    return res.status(400).send("Missing Stripe Signature");
+export const handleWebhook = async (req, res) => {
+  const gateway = getGateway();
+  if (!gateway) {
+    console.error("❌ Payment gateway not configured");
+    return res.status(500).send("Payment gateway not configured");
   }
 
-  if (!webhookSecret) {
-    console.error("❌ STRIPE_WEBHOOK_SECRET missing");
-    return res.status(500).send("Webhook secret missing");
+  const sig = req.headers[gateway.signatureHeader];
+  if (!sig) {
+    console.error("❌ Missing webhook signature");
+    return res.status(400).send("Missing webhook signature");
   }
 
-  const stripe = getStripe();
   let event;
 
   try {
@@ -508,81 +602,224 @@ export const handleWebhook = async (req, res) => {
       ? req.body
       : Buffer.from(JSON.stringify(req.body || {}));
 
-    event = stripe.webhooks.constructEvent(rawBody, sig, webhookSecret);
+    event = gateway.constructEvent(rawBody, sig);
 
     console.log(`✅ Webhook verified → ${event.type}`);
   } catch (err) {
+    // A missing webhook secret is our misconfiguration, not a bad request
+    if (err.statusCode === 500) {
+      console.error(`❌ ${err.message}`);
+      return res.status(500).send("Webhook secret missing");
+    }
     console.error("❌ Signature verification failed:", err.message);
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
 
+  // Persist the event first; redeliveries of the same id reuse this record
+  let record;
   try {
-    switch (event.type) {
-
-      // REQUIRED PAYMENT EVENTS
-      case "invoice.payment_succeeded":
-        await handleInvoicePaymentSucceeded(event.data.object, stripe);
-        break;
-
-      case "payment_intent.succeeded":
-        await handlePaymentIntentSucceeded(event.data.object, stripe);
-        break;
-
-      case "charge.succeeded":
-        await handleChargeSucceeded(event.data.object, stripe);
-        break;
-
-      case "invoice.paid":
-        await handleInvoicePaid(event.data.object, stripe);
-        break;
-
-      // OPTIONAL - subscription info
-      case "customer.subscription.created":
-        await handleSubscriptionCreated(event.data.object, stripe);
-        break;
-        break;
-
-      case "customer.subscription.updated":
-        console.log("🔄 Subscription updated:", event.data.object.id);
-        break;
-
-      // Subscription Schedule events
-      case "subscription_schedule.created":
-        await handleSubscriptionScheduleCreated(event.data.object);
-        break;
-
-      case "subscription_schedule.completed":
-        await handleSubscriptionScheduleCompleted(event.data.object);
-        break;
-
-      case "subscription_schedule.canceled":
-        await handleSubscriptionScheduleCanceled(event.data.object);
-        break;
-
-      case "subscription_schedule.released":
-        await handleSubscriptionScheduleReleased(event.data.object);
-        break;
-
-      case "subscription_schedule.updated":
-        await handleSubscriptionScheduleUpdated(event.data.object);
-        break;
-
-      case "subscription_schedule.expiring":
-        await handleSubscriptionScheduleExpiring(event.data.object);
-        break;
-
-      default:
-        console.log(`ℹ️ Skipped event → ${event.type}`);
-    }
+    record = await WebhookEvent.findOneAndUpdate(
+      { eventId: event.id },
+      { $setOnInsert: { eventId: event.id, type: event.type, payload: event, receivedAt: new Date() } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  } catch (err) {
+    console.error("❌ Could not store webhook event:", err.message);
+    return res.status(500).json({ success: false });
+  }
 
-    return res.status(200).json({ success: true });
+  // Atomically claim the event so a retry or concurrent delivery is processed only once.
+  // An attempt stuck in "processing" past the timeout (the process died) is taken over.
+  const now = new Date();
+  const claimed = await WebhookEvent.findOneAndUpdate(
+    {
+      _id: record._id,
+      $or: [
+        { status: { $in: ["received", "failed"] } },
+        { status: "processing", processingStartedAt: { $not: { $gt: new Date(now.getTime() - WEBHOOK_PROCESSING_TIMEOUT_MS) } } }
+      ]
+    },
+    { $set: { status: "processing", processingStartedAt: now }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    console.log(`ℹ️ Duplicate event ${event.id} (${record.status}) → skipped`);
+    return res.status(200).json({ success: true, duplicate: true });
+  }
 
+  try {
+    await runWebhookEvent(claimed, gateway);
+    return res.status(200).json({ success: true });
   } catch (err) {
     console.error(`❌ Error processing event ${event.type}:`, err);
     return res.status(500).json({ success: false });
   }
 };
 
+// Dispatch a verified Stripe event to its handler
+async function dispatchWebhookEvent(event, gateway) {
+  switch (event.type) {
+
+    // REQUIRED PAYMENT EVENTS
+    case "invoice.payment_succeeded":
+      await handleInvoicePaymentSucceeded(event.data.object, gateway);
+      break;
+
+    case "payment_intent.succeeded":
+      await handlePaymentIntentSucceeded(event.data.object, gateway);
+      break;
+
+    case "charge.succeeded":
+      await handleChargeSucceeded(event.data.object, gateway);
+      break;
+
+    case "invoice.paid":
+      await handleInvoicePaid(event.data.object, gateway);
+      break;
+
+    // REFUNDS
+    case "charge.refunded":
+      await handleChargeRefunded(event.data.object, gateway);
+      break;
+
+    case "refund.updated":
+      await handleRefundUpdated(event.data.object);
+      break;
+
+    // OPTIONAL - subscription info
+    case "customer.subscription.created":
+      await handleSubscriptionCreated(event.data.object, gateway, event);
+      break;
+
+    case "customer.subscription.updated":
+      await handleSubscriptionUpdated(event.data.object, event);
+      break;
+
+    case "customer.subscription.trial_will_end":
+      await handleTrialWillEnd(event.data.object, event);
+      break;
+
+    case "checkout.session.expired":
+      await handleCheckoutSessionExpired(event.data.object);
+      break;
+
+    case "customer.subscription.deleted":
+      await handleSubscriptionDeleted(event.data.object, event);
+      break;
+
+    // DUNNING
+    case "invoice.payment_failed":
+      await handleInvoicePaymentFailed(event.data.object, gateway);
+      break;
+
+    // Subscription Schedule events
+    case "subscription_schedule.created":
+      await handleSubscriptionScheduleCreated(event.data.object);
+      break;
+
+    case "subscription_schedule.completed":
+      await handleSubscriptionScheduleCompleted(event.data.object);
+      break;
+
+    case "subscription_schedule.canceled":
+      await handleSubscriptionScheduleCanceled(event.data.object);
+      break;
+
+    case "subscription_schedule.released":
+      await handleSubscriptionScheduleReleased(event.data.object);
+      break;
+
+    case "subscription_schedule.updated":
+      await handleSubscriptionScheduleUpdated(event.data.object);
+      break;
+
+    case "subscription_schedule.expiring":
+      await handleSubscriptionScheduleExpiring(event.data.object);
+      break;
+
+    default:
+      console.log(`ℹ️ Skipped event → ${event.type}`);
+  }
+}
+
+// Run a claimed WebhookEvent and record the outcome on it
+async function runWebhookEvent(record, gateway) {
+  try {
+    await dispatchWebhookEvent(record.payload, gateway);
+    record.status = "processed";
+    record.processedAt = new Date();
+    record.lastError = null;
+    await record.save();
+  } catch (err) {
+    record.status = "failed";
+    record.lastError = err && err.message ? err.message : String(err);
+    await record.save();
+    throw err;
+  }
+}
+
+// ============================================
+// Admin: list failed webhook events
+// ============================================
+export const getFailedWebhookEvents = async (req, res) => {
+  try {
+    const status = req.query.status || "failed";
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    const filter = { status };
+    if (req.query.type) filter.type = req.query.type;
+
+    const events = await WebhookEvent.find(filter)
+      .select("-payload")
+      .sort({ receivedAt: -1 })
+      .limit(limit);
+
+    return res.json({ success: true, events, count: events.length });
+  } catch (err) {
+    console.error("❌ getFailedWebhookEvents:", err);
+    return res.status(500).json({ success: false, message: "Failed to retrieve webhook events" });
+  }
+};
+
+// ============================================
+// Admin: replay a stored webhook event
+// ============================================
+export const replayWebhookEvent = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const force = req.query.force === "true";
+
+    const gateway = getGateway();
+    if (!gateway) return res.status(500).json({ success: false, message: "Payment gateway not configured" });
+
+    // Processed events are only replayed on request; "processing" covers a handler that crashed mid-way
+    const statuses = force ? ["received", "processing", "failed", "processed"] : ["received", "processing", "failed"];
+    const record = await WebhookEvent.findOneAndUpdate(
+      { eventId, status: { $in: statuses } },
+      { $set: { status: "processing", processingStartedAt: new Date() }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+
+    if (!record) {
+      const exists = await WebhookEvent.exists({ eventId });
+      if (!exists) return res.status(404).json({ success: false, message: "Webhook event not found" });
+      return res.status(409).json({ success: false, message: "Event already processed; pass force=true to replay" });
+    }
+
+    try {
+      await runWebhookEvent(record, gateway);
+    } catch (err) {
+      return res.status(500).json({ success: false, message: "Replay failed", error: record.lastError });
+    }
+
+    return res.json({ success: true, message: "Event replayed", event: { eventId: record.eventId, type: record.type, status: record.status, attempts: record.attempts } });
+  } catch (err) {
+    console.error("❌ replayWebhookEvent:", err);
+    return res.status(500).json({ success: false, message: "Failed to replay webhook event" });
+  }
+};
+
 
 
 // ======================
@@ -590,153 +827,305 @@ export const handleWebhook = async (req, res) => {
 // ======================
 
 
+// Mark a saved payment succeeded unless it was refunded since (a late, redelivered or
+// replayed event must not undo a refund). Returns the up-to-date payment.
+async function markPaymentSucceeded(payment) {
+  return (await Payment.findOneAndUpdate(
+    { _id: payment._id, status: { $nin: REFUNDED_STATUSES } },
+    { $set: { status: "succeeded" } },
+    { new: true }
+  )) || payment;
+}
+
+// Upsert the payment for a paid invoice or PaymentIntent; new rows start out succeeded
+async function savePaidPayment(filter, fields) {
+  const payment = await Payment.findOneAndUpdate(
+    filter,
+    { $set: fields, $setOnInsert: { status: "succeeded" } },
+    { upsert: true, new: true }
+  );
+  return markPaymentSucceeded(payment);
+}
+
 // 1️⃣ invoice.payment_succeeded
-async function handleInvoicePaymentSucceeded(invoice, stripe) {
+async function handleInvoicePaymentSucceeded(invoice, gateway) {
   console.log("💰 invoice.payment_succeeded:", invoice.id);
 
-  const paymentIntentId = invoice.payment_intent;
+  const paymentIntentId = invoice.payment_intent || null;
 
-  const pi = await stripe.paymentIntents.retrieve(paymentIntentId);
-  const charge = pi.charges.data[0];
+  // $0 invoices (e.g. the one that starts a free trial) have no PaymentIntent or charge
+  let charge = null;
+  if (paymentIntentId) {
+    const pi = await gateway.retrievePaymentIntent(paymentIntentId);
+    charge = pi.charges.data[0] || null;
+  }
+  const paymentFilter = paymentIntentId ? { stripePaymentIntentId: paymentIntentId } : { stripeInvoiceId: invoice.id };
 
   const paymentData = {
     amount: invoice.amount_paid / 100,
     currency: invoice.currency,
-    status: "succeeded",
+    stripeInvoiceId: invoice.id,
     stripePaymentIntentId: paymentIntentId,
-    stripeChargeId: charge.id,
+    stripeChargeId: charge?.id || null,
     stripeSubscriptionId: invoice.subscription,
-    customerId: invoice.customer,
-    cardBrand: charge.payment_method_details.card.brand,
-    cardLast4: charge.payment_method_details.card.last4,
+    stripeCustomerId: invoice.customer,
+    cardBrand: charge?.payment_method_details?.card?.brand || null,
+    cardLast4: charge?.payment_method_details?.card?.last4 || null,
     createdAt: new Date(invoice.created * 1000),
+    discountAmount: (invoice.total_discount_amounts || []).reduce((sum, d) => sum + d.amount, 0) / 100,
+    couponCode: await couponCodeForPromotion(invoice.discount?.promotion_code),
     stripeRaw: invoice,
   };
 
+  // Count the redemption once, on the invoice that started the subscription
+  if (paymentData.couponCode && invoice.billing_reason === "subscription_create") {
+    await redeemCoupon(paymentData.couponCode, `invoice:${invoice.id}`);
+  }
+
   // If this invoice is tied to a subscription, fetch subscription to get period dates and plan metadata
+  let payment;
   try {
     if (invoice.subscription) {
-      const subscription = await stripe.subscriptions.retrieve(invoice.subscription);
+      const subscription = await gateway.retrieveSubscription(invoice.subscription);
 
       // extract period dates from subscription
-      if (subscription.current_period_start) paymentData.periodStart = new Date(subscription.current_period_start * 1000);
-      if (subscription.current_period_end) paymentData.periodEnd = new Date(subscription.current_period_end * 1000);
-
-      // prefer metadata on subscription, then on price item
-      let planId = subscription.metadata?.planId || null;
-      if (!planId) {
-        const item = subscription.items?.data?.[0];
-        planId = item?.price?.metadata?.planId || null;
-      }
+      if (subscription.current_period_start) paymentData.periodStart = fromUnix(subscription.current_period_start);
+      if (subscription.current_period_end) paymentData.periodEnd = fromUnix(subscription.current_period_end);
+      if (subscription.trial_start) paymentData.trialStart = fromUnix(subscription.trial_start);
+      if (subscription.trial_end) paymentData.trialEnd = fromUnix(subscription.trial_end);
+
+      const planId = resolvePlanId(subscription);
+      if (planId) paymentData.plan = planId;
+
+      // Keep the subscriber's own Subscription record in step with the renewal
+      const localSub = await syncStripeSubscription(subscription);
+      if (localSub?.user) paymentData.user = localSub.user;
 
       // Save or update payment record including period dates
-      const payment = await Payment.findOneAndUpdate(
-        { stripePaymentIntentId: paymentIntentId },
-        paymentData,
-        { upsert: true, new: true }
-      );
-
-      // If we can determine a plan id, update Plan's period fields accordingly
-      if (planId) {
-        const updateData = {};
-        if (paymentData.periodStart) updateData.planStartDate = paymentData.periodStart, updateData.currentPeriodStart = paymentData.periodStart;
-        if (paymentData.periodEnd) updateData.planEndDate = paymentData.periodEnd, updateData.currentPeriodEnd = paymentData.periodEnd;
-
-        if (Object.keys(updateData).length > 0) {
-          await Plan.findByIdAndUpdate(planId, updateData);
-          console.log(`✅ Plan ${planId} updated with period from invoice.payment_succeeded`);
-        }
-      }
+      payment = await savePaidPayment(paymentFilter, paymentData);
     } else {
       // Not a subscription invoice — simply upsert payment
-      await Payment.findOneAndUpdate(
-        { stripePaymentIntentId: paymentIntentId },
-        paymentData,
-        { upsert: true, new: true }
-      );
+      payment = await savePaidPayment(paymentFilter, paymentData);
     }
 
     console.log("✅ Payment saved from invoice.payment_succeeded");
   } catch (err) {
     console.error("❌ Error processing invoice.subscription data:", err && err.stack ? err.stack : err);
     // fallback: still save payment without period info
-    await Payment.findOneAndUpdate(
-      { stripePaymentIntentId: paymentIntentId },
-      paymentData,
-      { upsert: true, new: true }
-    );
+    payment = await savePaidPayment(paymentFilter, paymentData);
+  }
+
+  const invoiceDoc = await issueInvoiceForPayment(payment);
+  await notifyPaymentSucceeded(payment, invoiceDoc);
+  if (payment.amount > 0) {
+    await publishPaymentEvent("payment.succeeded", payment, { dedupeKey: `payment.succeeded:${payment._id}` });
   }
 }
 
 
-// When a subscription is created in Stripe, update the linked plan with period dates
-async function handleSubscriptionCreated(subscription, stripe) {
-  try {
-    console.log("📅 customer.subscription.created:", subscription.id);
+// When a subscription is created in Stripe, record it against the subscribing user
+async function handleSubscriptionCreated(subscription, gateway, event) {
+  console.log("📅 customer.subscription.created:", subscription.id);
 
-    // Try to get planId from several possible places
-    let planId = subscription.metadata?.planId || null;
+  const localSub = await syncStripeSubscription(subscription, {}, { eventAt: fromUnix(event?.created) });
+  if (!localSub) {
+    console.warn(`⚠️ Subscription ${subscription.id} has no planId metadata; not recorded`);
+    return;
+  }
 
-    if (!planId) {
-      // Try items -> price -> metadata
-      const item = subscription.items?.data?.[0];
-      planId = item?.price?.metadata?.planId || null;
+  // Update Payment(s) that reference this subscription
+  await Payment.updateMany(
+    { stripeSubscriptionId: subscription.id },
+    {
+      periodStart: localSub.currentPeriodStart,
+      periodEnd: localSub.currentPeriodEnd,
+      ...(localSub.user ? { user: localSub.user } : {}),
     }
+  );
+  if (subscription.status === "active") await markPaymentsSucceeded({ stripeSubscriptionId: subscription.id });
 
-    // Update Payment(s) that reference this subscription
-    if (subscription.id) {
-      const periodStart = subscription.current_period_start ? new Date(subscription.current_period_start * 1000) : null;
-      const periodEnd = subscription.current_period_end ? new Date(subscription.current_period_end * 1000) : null;
-
-      await Payment.updateMany(
-        { stripeSubscriptionId: subscription.id },
-        {
-          stripeSubscriptionId: subscription.id,
-          periodStart,
-          periodEnd,
-          status: subscription.status === "active" ? "succeeded" : undefined,
-          stripeRaw: subscription
-        }
-      );
+  console.log(`✅ Subscription ${subscription.id} saved for plan ${localSub.plan}`);
+}
 
-      if (planId) {
-        const updateData = {};
-        if (periodStart) updateData.planStartDate = periodStart, updateData.currentPeriodStart = periodStart;
-        if (periodEnd) updateData.planEndDate = periodEnd, updateData.currentPeriodEnd = periodEnd;
 
-        if (Object.keys(updateData).length > 0) {
-          await Plan.findByIdAndUpdate(planId, updateData);
-          console.log(`✅ Plan ${planId} updated from subscription.created with dates`);
-        }
-      }
+
+// Keep the local subscription in step with Stripe (status, period, cancellation flags)
+async function handleSubscriptionUpdated(subscription, event) {
+  console.log("🔄 customer.subscription.updated:", subscription.id, "→", subscription.status);
+
+  const localSub = await syncStripeSubscription(subscription, {}, { eventAt: fromUnix(event?.created) });
+  if (localSub) console.log(`✅ Subscription ${subscription.id} is now ${localSub.status}`);
+}
+
+// Sent by Stripe three days before a trial ends: record the trial window and remind the user
+async function handleTrialWillEnd(subscription, event) {
+  console.log("⏳ customer.subscription.trial_will_end:", subscription.id);
+
+  const localSub = await syncStripeSubscription(subscription, {}, { eventAt: fromUnix(event?.created) });
+  if (!localSub) return;
+
+  // Skipped if the trial-reminders job already sent it
+  await sendTrialReminder(localSub, { needsCard: !subscription.default_payment_method });
+}
+
+// Subscription ended in Stripe (canceled by user/admin or after exhausted retries)
+async function handleSubscriptionDeleted(subscription, event) {
+  console.log("🛑 customer.subscription.deleted:", subscription.id);
+
+  const localSub = await syncStripeSubscription(
+    subscription,
+    { status: "canceled", canceledAt: fromUnix(subscription.canceled_at || subscription.ended_at) || new Date() },
+    { eventAt: fromUnix(event?.created) }
+  );
+  if (localSub) {
+    await recordCancellationPayment(localSub, "subscription ended in Stripe");
+    await notifySubscriptionCanceled(localSub);
+    console.log(`✅ Subscription ${subscription.id} marked canceled`);
+  }
+}
+
+// invoice.payment_failed: record the failed attempt and start/continue dunning
+async function handleInvoicePaymentFailed(invoice, gateway) {
+  console.log("⚠️ invoice.payment_failed:", invoice.id, "attempt", invoice.attempt_count);
+
+  // Stripe sets next_payment_attempt to null once it has given up retrying
+  const retriesExhausted = !invoice.next_payment_attempt;
+
+  let errorMessage = null;
+  if (invoice.payment_intent) {
+    try {
+      const pi = await gateway.retrievePaymentIntent(invoice.payment_intent);
+      errorMessage = pi.last_payment_error?.message || null;
+    } catch (err) {
+      console.warn(`⚠️ Could not retrieve PaymentIntent ${invoice.payment_intent}:`, err.message);
     }
-  } catch (err) {
-    console.error("❌ handleSubscriptionCreated error:", err && err.stack ? err.stack : err);
   }
+
+  let localSub = null;
+  if (invoice.subscription) {
+    localSub = await recordPaymentFailure(invoice.subscription, { error: errorMessage, retriesExhausted });
+  }
+
+  if (localSub) {
+    await notifyPaymentFailed(localSub, {
+      invoiceId: invoice.id,
+      attempt: invoice.attempt_count,
+      amount: invoice.amount_due / 100,
+      currency: invoice.currency,
+      reason: errorMessage,
+      final: retriesExhausted,
+    });
+  }
+
+  if (invoice.payment_intent) {
+    const paymentData = {
+      amount: invoice.amount_due / 100,
+      currency: invoice.currency,
+      status: retriesExhausted ? "failed" : "past_due",
+      stripePaymentIntentId: invoice.payment_intent,
+      stripeSubscriptionId: invoice.subscription || null,
+      stripeRaw: invoice,
+    };
+    if (localSub) {
+      paymentData.plan = localSub.plan;
+      if (localSub.user) paymentData.user = localSub.user;
+    }
+
+    const payment = await Payment.findOneAndUpdate(
+      { stripePaymentIntentId: invoice.payment_intent },
+      paymentData,
+      { upsert: true, new: true }
+    );
+
+    await publishPaymentEvent("payment.failed", payment, {
+      extra: { attempt: invoice.attempt_count, final: retriesExhausted, reason: errorMessage },
+      dedupeKey: `payment.failed:${invoice.id}:${invoice.attempt_count}`,
+    });
+  }
+
+  console.log(`✅ Payment failure recorded (${retriesExhausted ? "retries exhausted" : "will retry"})`);
+}
+
+
+
+// The charge behind a PaymentIntent. Webhook payloads (API 2022-11-15 and later) only carry
+// latest_charge; PaymentIntents from gateway.retrievePaymentIntent also have charges.data.
+async function chargeOfPaymentIntent(pi, gateway) {
+  if (pi.charges?.data?.length) return pi.charges.data[0];
+  if (!pi.latest_charge) return null;
+  return typeof pi.latest_charge === "object" ? pi.latest_charge : gateway.retrieveCharge(pi.latest_charge);
 }
 
+// Start the plan period a one-off payment bought. The period is claimed on the payment
+// first, so a redelivered event doesn't grant the plan twice; refunded payments grant nothing.
+async function startPurchasedPeriod(payment) {
+  const plan = await Plan.findById(payment.plan);
+  if (!plan) {
+    console.warn(`⚠️ Payment ${payment._id} is for a plan that no longer exists; no period started`);
+    return payment;
+  }
 
+  const periodStart = new Date();
+  const periodEnd = computePeriodEnd(plan, periodStart);
+  const claimed = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: "succeeded", periodStart: null },
+    { $set: { periodStart, periodEnd } },
+    { new: true }
+  );
+  if (!claimed) return payment;
+
+  const currency = String(claimed.currency).toUpperCase();
+  await startPlanPeriod({
+    user: { _id: claimed.user },
+    plan,
+    currency,
+    unitAmount: getPlanPrice(plan, currency)?.amount ?? claimed.amount,
+    periodStart,
+    periodEnd,
+  });
+  console.log(`✅ Plan ${plan._id} started for user ${claimed.user} from payment ${claimed._id}`);
+  return claimed;
+}
 
 // 2️⃣ payment_intent.succeeded
-async function handlePaymentIntentSucceeded(pi, stripe) {
+async function handlePaymentIntentSucceeded(pi, gateway) {
   console.log("💳 payment_intent.succeeded:", pi.id);
 
-  const charge = pi.charges.data[0];
+  const charge = await chargeOfPaymentIntent(pi, gateway);
+  // UPI and other non-card methods have no card details
+  const card = charge?.payment_method_details?.card;
 
-  await Payment.findOneAndUpdate(
+  const { planId, userId } = pi.metadata || {};
+  const customerId = typeof pi.customer === "string" ? pi.customer : pi.customer?.id;
+
+  let payment = await savePaidPayment(
     { stripePaymentIntentId: pi.id },
     {
       amount: pi.amount / 100,
       currency: pi.currency,
-      status: "succeeded",
-      stripeChargeId: charge.id,
-      cardBrand: charge.payment_method_details.card.brand,
-      cardLast4: charge.payment_method_details.card.last4,
+      ...(mongoose.isValidObjectId(planId) ? { plan: planId } : {}),
+      ...(mongoose.isValidObjectId(userId) ? { user: userId } : {}),
+      ...(customerId ? { stripeCustomerId: customerId } : {}),
+      ...(charge ? { stripeChargeId: charge.id } : {}),
+      ...(card ? { cardBrand: card.brand, cardLast4: card.last4 } : {}),
+      couponCode: pi.metadata?.couponCode || null,
+      discountAmount: Number(pi.metadata?.discountAmount) || 0,
       stripeRaw: pi,
-    },
-    { upsert: true }
+    }
   );
 
+  if (pi.metadata?.couponCode) await redeemCoupon(pi.metadata.couponCode, `payment_intent:${pi.id}`);
+
+  // A plan bought with a one-off PaymentIntent (createPaymentIntent) starts its period here
+  if (!pi.invoice && payment.plan && payment.user) payment = await startPurchasedPeriod(payment);
+
+  // Subscription invoices are issued from invoice.payment_succeeded, which carries tax and line details
+  if (!pi.invoice) {
+    const invoiceDoc = await issueInvoiceForPayment(payment);
+    await notifyPaymentSucceeded(payment, invoiceDoc);
+    await publishPaymentEvent("payment.succeeded", payment, { dedupeKey: `payment.succeeded:${payment._id}` });
+  }
+
   console.log("✅ Payment updated from payment_intent.succeeded");
 }
 
@@ -746,17 +1135,21 @@ async function handlePaymentIntentSucceeded(pi, stripe) {
 async function handleChargeSucceeded(charge) {
   console.log("💸 charge.succeeded:", charge.id);
 
+  const card = charge.payment_method_details?.card;
+
   await Payment.findOneAndUpdate(
     { stripeChargeId: charge.id },
     {
-      stripePaymentIntentId: charge.payment_intent,
-      status: "succeeded",
-      cardBrand: charge.payment_method_details.card.brand,
-      cardLast4: charge.payment_method_details.card.last4,
-      stripeRaw: charge,
+      $set: {
+        stripePaymentIntentId: charge.payment_intent,
+        ...(card ? { cardBrand: card.brand, cardLast4: card.last4 } : {}),
+        stripeRaw: charge,
+      },
+      $setOnInsert: { status: "succeeded" },
     },
     { upsert: true }
   );
+  await markPaymentsSucceeded({ stripeChargeId: charge.id });
 
   console.log("✅ Charge saved");
 }
@@ -767,159 +1160,169 @@ async function handleChargeSucceeded(charge) {
 async function handleInvoicePaid(invoice) {
   console.log("🧾 invoice.paid:", invoice.id);
 
-  await Payment.findOneAndUpdate(
-    { stripePaymentIntentId: invoice.payment_intent },
-    { status: "succeeded" }
-  );
+  // $0 invoices have no PaymentIntent to match on
+  if (invoice.payment_intent) await markPaymentsSucceeded({ stripePaymentIntentId: invoice.payment_intent });
 
   console.log("✅ Invoice marked as paid");
 }
 
+// charge.refunded: record every refund on the charge (including ones made in the Dashboard)
+async function handleChargeRefunded(charge, gateway) {
+  console.log("↩️ charge.refunded:", charge.id, charge.amount_refunded);
+
+  const payment = await findPaymentForCharge({ chargeId: charge.id, paymentIntentId: charge.payment_intent });
+  if (!payment) {
+    console.warn(`⚠️ No payment found for refunded charge ${charge.id}`);
+    return;
+  }
+
+  // Newer API versions no longer embed the refunds list in the charge
+  const refunds = charge.refunds?.data || (await gateway.listRefunds(charge.id));
+  let updated = payment;
+  for (const refund of refunds) {
+    updated = (await recordRefund(payment, refund)) || updated;
+  }
+
+  console.log(`✅ Payment ${payment._id} is now ${updated.status} (${updated.amountRefunded} refunded)`);
+}
+
+// refund.updated: a refund moved to succeeded, failed or canceled
+async function handleRefundUpdated(refund) {
+  console.log("↩️ refund.updated:", refund.id, "→", refund.status);
+
+  const payment = await findPaymentForCharge({ chargeId: refund.charge, paymentIntentId: refund.payment_intent });
+  if (!payment) {
+    console.warn(`⚠️ No payment found for refund ${refund.id}`);
+    return;
+  }
+
+  await recordRefund(payment, refund);
+  console.log(`✅ Refund ${refund.id} recorded on payment ${payment._id}`);
+}
+
 // ============================
 // Subscription Schedule Handlers
 // ============================
 
 async function handleSubscriptionScheduleCreated(schedule) {
-  try {
-    console.log(`📘 subscription_schedule.created: id=${schedule.id}`);
-    const planId = schedule.metadata?.planId;
-    if (planId) {
-      console.log(`→ metadata.planId: ${planId}`);
-      // Extract current period dates if available in phases
-      if (schedule.phases && schedule.phases.length > 0) {
-        const currentPhase = schedule.phases[0];
-        const updateData = {};
-        
-        if (currentPhase.start_date) {
-          updateData.currentPeriodStart = new Date(currentPhase.start_date * 1000);
-          console.log(`→ currentPeriodStart: ${updateData.currentPeriodStart.toISOString()}`);
-        }
-        
-        if (currentPhase.end_date) {
-          updateData.currentPeriodEnd = new Date(currentPhase.end_date * 1000);
-          console.log(`→ currentPeriodEnd: ${updateData.currentPeriodEnd.toISOString()}`);
-        }
+  console.log(`📘 subscription_schedule.created: id=${schedule.id}`);
+  const planId = schedule.metadata?.planId;
+  if (planId) {
+    console.log(`→ metadata.planId: ${planId}`);
+    // Extract current period dates if available in phases
+    if (schedule.phases && schedule.phases.length > 0) {
+      const currentPhase = schedule.phases[0];
+      const updateData = {};
+      
+      if (currentPhase.start_date) {
+        updateData.currentPeriodStart = new Date(currentPhase.start_date * 1000);
+        console.log(`→ currentPeriodStart: ${updateData.currentPeriodStart.toISOString()}`);
+      }
+      
+      if (currentPhase.end_date) {
+        updateData.currentPeriodEnd = new Date(currentPhase.end_date * 1000);
+        console.log(`→ currentPeriodEnd: ${updateData.currentPeriodEnd.toISOString()}`);
+      }
 
-        if (Object.keys(updateData).length > 0) {
-          await Plan.findByIdAndUpdate(planId, updateData);
-          console.log(`✅ Plan ${planId} updated with period dates`);
-        }
+      if (Object.keys(updateData).length > 0 && schedule.subscription) {
+        await Subscription.findOneAndUpdate({ stripeSubscriptionId: schedule.subscription }, updateData);
+        console.log(`✅ Subscription ${schedule.subscription} updated with period dates`);
       }
     }
-  } catch (err) {
-    console.error("❌ handleSubscriptionScheduleCreated error:", err && err.stack ? err.stack : err);
   }
 }
 
 async function handleSubscriptionScheduleCompleted(schedule) {
-  try {
-    console.log(`✅ subscription_schedule.completed: id=${schedule.id}`);
-    const planId = schedule.metadata?.planId;
-    if (planId) {
-      console.log(`→ metadata.planId: ${planId}`);
-      // On completion, update period dates from the released subscription
-      if (schedule.phases && schedule.phases.length > 0) {
-        const updateData = {};
-        
-        // Use the first phase's dates
-        const phase = schedule.phases[0];
-        if (phase.start_date) {
-          updateData.currentPeriodStart = new Date(phase.start_date * 1000);
-        }
-        if (phase.end_date) {
-          updateData.currentPeriodEnd = new Date(phase.end_date * 1000);
-        }
+  console.log(`✅ subscription_schedule.completed: id=${schedule.id}`);
+  const planId = schedule.metadata?.planId;
+  if (planId) {
+    console.log(`→ metadata.planId: ${planId}`);
+    // On completion, update period dates from the released subscription
+    if (schedule.phases && schedule.phases.length > 0) {
+      const updateData = {};
+      
+      // Use the first phase's dates
+      const phase = schedule.phases[0];
+      if (phase.start_date) {
+        updateData.currentPeriodStart = new Date(phase.start_date * 1000);
+      }
+      if (phase.end_date) {
+        updateData.currentPeriodEnd = new Date(phase.end_date * 1000);
+      }
 
-        if (Object.keys(updateData).length > 0) {
-          await Plan.findByIdAndUpdate(planId, updateData);
-          console.log(`✅ Plan ${planId} updated with completed period dates`);
-        }
+      if (Object.keys(updateData).length > 0 && schedule.subscription) {
+        await Subscription.findOneAndUpdate({ stripeSubscriptionId: schedule.subscription }, updateData);
+        console.log(`✅ Subscription ${schedule.subscription} updated with completed period dates`);
       }
     }
-  } catch (err) {
-    console.error("❌ handleSubscriptionScheduleCompleted error:", err && err.stack ? err.stack : err);
   }
 }
 
 async function handleSubscriptionScheduleCanceled(schedule) {
-  try {
-    console.log(`❌ subscription_schedule.canceled: id=${schedule.id}`);
-    if (schedule.canceled_at) console.log(`→ canceled_at: ${new Date(schedule.canceled_at * 1000).toISOString()}`);
-    const planId = schedule.metadata?.planId;
-    if (planId) {
-      console.log(`→ metadata.planId: ${planId}`);
-      // Optionally clear period dates on cancellation or mark a status field
-      // For now, just log — you can add status field if needed
-    }
-  } catch (err) {
-    console.error("❌ handleSubscriptionScheduleCanceled error:", err && err.stack ? err.stack : err);
+  console.log(`❌ subscription_schedule.canceled: id=${schedule.id}`);
+  if (schedule.canceled_at) console.log(`→ canceled_at: ${fromUnix(schedule.canceled_at).toISOString()}`);
+  const planId = schedule.metadata?.planId;
+  if (planId) {
+    console.log(`→ metadata.planId: ${planId}`);
+    // Optionally clear period dates on cancellation or mark a status field
+    // For now, just log — you can add status field if needed
   }
 }
 
 async function handleSubscriptionScheduleReleased(schedule) {
-  try {
-    console.log(`📤 subscription_schedule.released: id=${schedule.id}`);
-    const planId = schedule.metadata?.planId;
-    if (planId) {
-      console.log(`→ metadata.planId: ${planId}`);
-      // Extract period dates from the released subscription
-      if (schedule.subscription) {
-        // subscription field contains the active subscription; can query Stripe for billing period
-        // For now, log the subscription ID
-        console.log(`→ subscription: ${schedule.subscription}`);
-      }
+  console.log(`📤 subscription_schedule.released: id=${schedule.id}`);
+  const planId = schedule.metadata?.planId;
+  if (planId) {
+    console.log(`→ metadata.planId: ${planId}`);
+    // Extract period dates from the released subscription
+    if (schedule.subscription) {
+      // subscription field contains the active subscription; can query Stripe for billing period
+      // For now, log the subscription ID
+      console.log(`→ subscription: ${schedule.subscription}`);
     }
-  } catch (err) {
-    console.error("❌ handleSubscriptionScheduleReleased error:", err && err.stack ? err.stack : err);
   }
 }
 
 async function handleSubscriptionScheduleUpdated(schedule) {
-  try {
-    console.log(`🔁 subscription_schedule.updated: id=${schedule.id}`);
-    const planId = schedule.metadata?.planId;
-    if (planId) {
-      console.log(`→ metadata.planId: ${planId}`);
-      // On update, refresh period dates
-      if (schedule.phases && schedule.phases.length > 0) {
-        const updateData = {};
-        const phase = schedule.phases[0];
-        
-        if (phase.start_date) {
-          updateData.currentPeriodStart = new Date(phase.start_date * 1000);
-        }
-        if (phase.end_date) {
-          updateData.currentPeriodEnd = new Date(phase.end_date * 1000);
-        }
+  console.log(`🔁 subscription_schedule.updated: id=${schedule.id}`);
+  const planId = schedule.metadata?.planId;
+  if (planId) {
+    console.log(`→ metadata.planId: ${planId}`);
+    // On update, refresh period dates
+    if (schedule.phases && schedule.phases.length > 0) {
+      const updateData = {};
+      const phase = schedule.phases[0];
+      
+      if (phase.start_date) {
+        updateData.currentPeriodStart = new Date(phase.start_date * 1000);
+      }
+      if (phase.end_date) {
+        updateData.currentPeriodEnd = new Date(phase.end_date * 1000);
+      }
 
-        if (Object.keys(updateData).length > 0) {
-          await Plan.findByIdAndUpdate(planId, updateData);
-          console.log(`✅ Plan ${planId} updated with new period dates`);
-        }
+      if (Object.keys(updateData).length > 0 && schedule.subscription) {
+        await Subscription.findOneAndUpdate({ stripeSubscriptionId: schedule.subscription }, updateData);
+        console.log(`✅ Subscription ${schedule.subscription} updated with new period dates`);
       }
     }
-  } catch (err) {
-    console.error("❌ handleSubscriptionScheduleUpdated error:", err && err.stack ? err.stack : err);
   }
 }
 
 async function handleSubscriptionScheduleExpiring(schedule) {
-  try {
-    console.log(`⏳ subscription_schedule.expiring: id=${schedule.id}`);
-    const planId = schedule.metadata?.planId;
-    if (planId) {
-      console.log(`→ metadata.planId: ${planId}`);
-      // 7 days before expiry — you can send customer notification here
-      if (schedule.phases && schedule.phases.length > 0) {
-        const phase = schedule.phases[schedule.phases.length - 1];
-        if (phase.end_date) {
-          const expiryDate = new Date(phase.end_date * 1000);
-          console.log(`→ Subscription expiring at: ${expiryDate.toISOString()}`);
-          // TODO: send renewal reminder email to customer
-        }
+  console.log(`⏳ subscription_schedule.expiring: id=${schedule.id}`);
+  const planId = schedule.metadata?.planId;
+  if (planId) {
+    console.log(`→ metadata.planId: ${planId}`);
+    // 7 days before expiry — remind the customer (once per period, shared with the renewal-reminders job)
+    if (schedule.phases && schedule.phases.length > 0) {
+      const phase = schedule.phases[schedule.phases.length - 1];
+      if (phase.end_date && schedule.subscription) {
+        const expiryDate = new Date(phase.end_date * 1000);
+        console.log(`→ Subscription expiring at: ${expiryDate.toISOString()}`);
+
+        const localSub = await Subscription.findOne({ stripeSubscriptionId: schedule.subscription }).populate("plan", "PlanName");
+        if (localSub) await sendRenewalReminder(localSub, expiryDate);
       }
     }
-  } catch (err) {
-    console.error("❌ handleSubscriptionScheduleExpiring error:", err && err.stack ? err.stack : err);
   }
 }
\ No newline at end of file
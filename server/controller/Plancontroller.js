@@ -1,4 +1,42 @@
+import mongoose from "mongoose";
 import Plan from "../model/Plan.js";
+import Payment from "../model/Payment.js";
+import Subscription from "../model/Subscription.js";
+import { getStripe } from "../config/stripe.js";
+import {
+  PRICING_FIELDS,
+  PRODUCT_FIELDS,
+  currencyFromLocale,
+  getPlanPrice,
+  localizePrice,
+  preferredLocale,
+  rotateStripePrice,
+  stripePriceIds
+} from "../services/planService.js";
+
+// Fields an admin may change through updateplan
+const EDITABLE_FIELDS = [
+  "PlanName",
+  "Description",
+  "Price",
+  "Currency",
+  "Prices",
+  "BillingPeriod",
+  "BillingInterval",
+  "MaxUsers",
+  "AllowCustomDomain",
+  "TrialPeriodDays",
+  "TrialRequiresPaymentMethod",
+  "IsActive"
+];
+
+const findPlan = (id) => (mongoose.isValidObjectId(id) ? Plan.findById(id) : null);
+
+// Keep only what an admin may set on extra-currency prices; Stripe price ids are ours to manage
+const sanitizePrices = (prices) =>
+  Array.isArray(prices)
+    ? prices.map((p) => ({ currency: String(p?.currency || "").trim().toUpperCase(), amount: Number(p?.amount) }))
+    : prices;
 
 
 
@@ -7,13 +45,17 @@ export const createplan = async (req, res) => {
 
     const {
       PlanName,
+      slug,
       Description,
       Price,
       Currency,
+      Prices,
       BillingPeriod,
       BillingInterval,
       MaxUsers,
       AllowCustomDomain,
+      TrialPeriodDays,
+      TrialRequiresPaymentMethod,
       IsActive
     } = req.body;
 
@@ -27,13 +69,17 @@ export const createplan = async (req, res) => {
     // Create Plan (MongoDB auto-generates _id)
     const data = await Plan.create({
       PlanName,
+      slug,
       Description,
       Price,
       Currency,
+      Prices: sanitizePrices(Prices),
       BillingPeriod,
       BillingInterval,
       MaxUsers,
       AllowCustomDomain,
+      TrialPeriodDays,
+      TrialRequiresPaymentMethod,
       IsActive
     });
 
@@ -44,6 +90,16 @@ export const createplan = async (req, res) => {
     });
 
   } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).send({
+        message: "A plan with this slug already exists"
+      });
+    }
+    if (error instanceof mongoose.Error.ValidationError) {
+      return res.status(400).send({
+        message: error.message
+      });
+    }
     console.error("fail to submit data:", error);
     return res.status(500).send({
       message: "Internal server error",
@@ -53,13 +109,110 @@ export const createplan = async (req, res) => {
 };
 
 
+// Sortable fields for the catalog; prefix with "-" for descending
+const SORT_FIELDS = ["Price", "PlanName", "BillingInterval", "createdAt"];
+const MAX_PAGE_SIZE = 100;
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Build the Mongo filter for the catalog from query params
+const buildCatalogFilter = (query) => {
+  const filter = {};
+
+  // Inactive (archived) plans are hidden unless explicitly requested
+  if (query.includeInactive !== "true") filter.IsActive = true;
+
+  if (query.BillingPeriod) filter.BillingPeriod = new RegExp(`^${escapeRegex(query.BillingPeriod)}$`, "i");
+  const minPrice = Number(query.minPrice);
+  const maxPrice = Number(query.maxPrice);
+  const range = {};
+  if (query.minPrice !== undefined && !Number.isNaN(minPrice)) range.$gte = minPrice;
+  if (query.maxPrice !== undefined && !Number.isNaN(maxPrice)) range.$lte = maxPrice;
+  const hasRange = Object.keys(range).length > 0;
+
+  // A plan matches a currency if it is its base currency or one of its extra prices;
+  // a price range then applies to the price in that currency
+  if (query.Currency) {
+    const currency = String(query.Currency).toUpperCase();
+    filter.$or = [
+      { Currency: currency, ...(hasRange ? { Price: range } : {}) },
+      { Prices: { $elemMatch: { currency, ...(hasRange ? { amount: range } : {}) } } }
+    ];
+  } else if (hasRange) {
+    filter.Price = range;
+  }
+
+  return filter;
+};
+
+// A plan's price in `currency` (its base price or the matching extra price), for sorting by it
+const priceIn = (currency) => ({
+  $cond: [
+    { $eq: ["$Currency", currency] },
+    "$Price",
+    {
+      $arrayElemAt: [
+        {
+          $map: {
+            input: { $filter: { input: { $ifNull: ["$Prices", []] }, cond: { $eq: ["$$this.currency", currency] } } },
+            in: "$$this.amount"
+          }
+        },
+        0
+      ]
+    }
+  ]
+});
+
 export const getallplans = async (req, res) => {
     try {
-        const data = await Plan.find();
+        const filter = buildCatalogFilter(req.query);
+
+        const sortParam = String(req.query.sort || "Price");
+        const sortField = sortParam.replace(/^-/, "");
+        if (!SORT_FIELDS.includes(sortField)) {
+            return res.status(400).send({
+                message: `sort must be one of: ${SORT_FIELDS.join(", ")}`
+            });
+        }
+        const sort = { [sortField]: sortParam.startsWith("-") ? -1 : 1, _id: 1 };
+
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_PAGE_SIZE);
+
+        // With a currency filter, sort by the price in that currency (the one shown) rather than the base price
+        const findPlans = sortField === "Price" && req.query.Currency
+            ? Plan.aggregate([
+                { $match: filter },
+                { $addFields: { sortPrice: priceIn(String(req.query.Currency).toUpperCase()) } },
+                { $sort: { sortPrice: sort.Price, _id: 1 } },
+                { $skip: (page - 1) * limit },
+                { $limit: limit },
+                { $project: { sortPrice: 0 } }
+            ]).then((rows) => rows.map((row) => Plan.hydrate(row)))
+            : Plan.find(filter).sort(sort).skip((page - 1) * limit).limit(limit);
+
+        const [data, total] = await Promise.all([
+            findPlans,
+            Plan.countDocuments(filter)
+        ]);
+
+        // Show each plan in the requested currency, else the visitor's locale currency, else its base price
+        const locale = req.query.locale || preferredLocale(req.headers["accept-language"]);
+        const wanted = req.query.Currency || currencyFromLocale(locale);
 
         return res.status(200).send({
             message: "Plans fetched successfully",
-            data
+            data: data.map((plan) => ({
+                ...plan.toObject(),
+                localizedPrice: localizePrice(getPlanPrice(plan, wanted) || getPlanPrice(plan), locale)
+            })),
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
         });
 
     } catch (error) {
@@ -81,8 +234,14 @@ export const getplanbyid = async (req, res) => {
             });
         }
 
-        // Convert id to number since the schema expects Id as Number
-        const data = await Plan.findOne({ Id: Number(id) });
+        // Accept either a Mongo ObjectId or the plan's URL slug
+        let data = null;
+        if (/^[0-9a-f]{24}$/i.test(id)) {
+            data = await Plan.findById(id);
+        }
+        if (!data) {
+            data = await Plan.findOne({ slug: id.toLowerCase() });
+        }
 
         if (!data) {
             return res.status(404).send({
@@ -104,3 +263,184 @@ export const getplanbyid = async (req, res) => {
     }
 };
 
+
+export const updateplan = async (req, res) => {
+  try {
+    const plan = await findPlan(req.params.id);
+    if (!plan) {
+      return res.status(404).send({
+        message: "Plan not found"
+      });
+    }
+
+    const updates = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    }
+    if (updates.Prices !== undefined) updates.Prices = sanitizePrices(updates.Prices);
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).send({
+        message: "No updatable fields provided"
+      });
+    }
+
+    const previousPrices = JSON.stringify(plan.Prices.map(({ currency, amount }) => ({ currency, amount })));
+    const previousPriceIds = stripePriceIds(plan);
+
+    // Re-sending the same prices must not drop their Stripe price ids
+    if (updates.Prices !== undefined && JSON.stringify(updates.Prices) === previousPrices) delete updates.Prices;
+
+    const changed = (fields) => fields.some((f) => f in updates && (
+      f === "Prices" ? JSON.stringify(updates.Prices) !== previousPrices : String(updates[f]) !== String(plan[f])
+    ));
+    const pricingChanged = changed(PRICING_FIELDS);
+    const productChanged = changed([...PRODUCT_FIELDS, "IsActive"]);
+
+    plan.set(updates);
+    await plan.validate();
+
+    // Keep Stripe in step before persisting, so a Stripe failure leaves the plan untouched
+    if (plan.stripeProductId && (pricingChanged || productChanged)) {
+      const stripe = getStripe();
+      if (!stripe) {
+        return res.status(500).send({
+          message: "Stripe secret key missing"
+        });
+      }
+
+      try {
+        if (productChanged) {
+          await stripe.products.update(plan.stripeProductId, {
+            name: plan.PlanName,
+            description: plan.Description || `${plan.BillingPeriod} subscription plan`,
+            active: plan.IsActive
+          });
+        }
+
+        // Existing subscribers stay on their old price; new checkouts use the rotated one
+        if (pricingChanged) {
+          await rotateStripePrice(stripe, plan, previousPriceIds);
+        }
+      } catch (stripeError) {
+        console.error("❌ Error syncing plan with Stripe:", stripeError.message);
+        return res.status(500).send({
+          message: "Failed to sync plan with Stripe",
+          error: stripeError.message
+        });
+      }
+    } else if (pricingChanged) {
+      // No product to attach a new price to; checkout will create both lazily
+      plan.stripePriceId = null;
+      for (const entry of plan.Prices) entry.stripePriceId = null;
+    }
+
+    const data = await plan.save();
+
+    return res.status(200).send({
+      message: "Plan updated successfully",
+      data
+    });
+
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      return res.status(400).send({
+        message: error.message
+      });
+    }
+    console.error("fail to update plan:", error);
+    return res.status(500).send({
+      message: "Internal server error",
+      error: error.message
+    });
+  }
+};
+
+
+export const archiveplan = async (req, res) => {
+  try {
+    const plan = await findPlan(req.params.id);
+    if (!plan) {
+      return res.status(404).send({
+        message: "Plan not found"
+      });
+    }
+
+    if (plan.stripeProductId) {
+      const stripe = getStripe();
+      if (!stripe) {
+        return res.status(500).send({
+          message: "Stripe secret key missing"
+        });
+      }
+      await stripe.products.update(plan.stripeProductId, { active: false });
+    }
+
+    plan.IsActive = false;
+    const data = await plan.save();
+
+    return res.status(200).send({
+      message: "Plan archived successfully",
+      data
+    });
+
+  } catch (error) {
+    console.error("fail to archive plan:", error);
+    return res.status(500).send({
+      message: "Internal server error",
+      error: error.message
+    });
+  }
+};
+
+
+export const deleteplan = async (req, res) => {
+  try {
+    const plan = await findPlan(req.params.id);
+    if (!plan) {
+      return res.status(404).send({
+        message: "Plan not found"
+      });
+    }
+
+    // Payments and subscriptions keep referencing the plan, so only unused plans can be deleted
+    const [subscriptions, payments] = await Promise.all([
+      Subscription.countDocuments({ plan: plan._id }),
+      Payment.countDocuments({ plan: plan._id })
+    ]);
+
+    if (subscriptions > 0 || payments > 0) {
+      return res.status(409).send({
+        message: "Plan has billing history; archive it instead"
+      });
+    }
+
+    // Stripe does not allow deleting products that have prices, so archive it there
+    if (plan.stripeProductId) {
+      const stripe = getStripe();
+      if (!stripe) {
+        return res.status(500).send({
+          message: "Stripe secret key missing"
+        });
+      }
+      for (const priceId of stripePriceIds(plan)) {
+        await stripe.prices.update(priceId, { active: false });
+      }
+      await stripe.products.update(plan.stripeProductId, { active: false });
+    }
+
+    await plan.deleteOne();
+
+    return res.status(200).send({
+      message: "Plan deleted successfully",
+      planId: plan._id
+    });
+
+  } catch (error) {
+    console.error("fail to delete plan:", error);
+    return res.status(500).send({
+      message: "Internal server error",
+      error: error.message
+    });
+  }
+};
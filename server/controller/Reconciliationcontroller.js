@@ -0,0 +1,34 @@
+import { getGateway } from "../config/gateway.js";
+import { runJobNow } from "../services/jobScheduler.js";
+import { parseReconciliationRange } from "../services/reconciliationService.js";
+
+// ============================================
+// Admin: compare gateway charges, invoices and subscriptions with our Payment rows
+// body: { from?, to?, fix? } — range defaults to the last 30 days; fix repairs local data
+// Runs in the background as the reconcile-payments job; the report is that job's
+// lastResult (GET /admin/jobs) once lastFinishedAt moves past the returned startedAt.
+// ============================================
+export const runReconciliation = async (req, res) => {
+  try {
+    const { from, to, fix = false } = req.body || {};
+
+    const range = parseReconciliationRange({ from, to });
+    if (range.error) return res.status(400).json({ success: false, message: range.error });
+
+    if (!getGateway()) return res.status(500).json({ success: false, message: "Payment gateway not configured" });
+
+    const job = await runJobNow("reconcile-payments", { params: { ...range, fix: fix === true }, background: true });
+    if (job === undefined) return res.status(500).json({ success: false, message: "Reconciliation job is not registered" });
+    if (job === null) return res.status(409).json({ success: false, message: "A reconciliation is already running" });
+
+    return res.status(202).json({
+      success: true,
+      message: "Reconciliation started",
+      job: { id: job._id, name: job.name, startedAt: job.lastRunAt, lockedUntil: job.lockedUntil, statusUrl: "/admin/jobs" },
+    });
+
+  } catch (err) {
+    console.error("❌ runReconciliation:", err);
+    return res.status(500).json({ success: false, message: "Failed to start reconciliation", error: err.message });
+  }
+};
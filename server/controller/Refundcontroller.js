@@ -0,0 +1,86 @@
+import mongoose from "mongoose";
+import Payment from "../model/Payment.js";
+import Subscription from "../model/Subscription.js";
+import { getGateway } from "../config/gateway.js";
+import { notifySubscriptionCanceled } from "../services/notificationService.js";
+import { REFUNDABLE_STATUSES, REFUND_REASONS, recordRefund, refundableAmount } from "../services/refundService.js";
+import { recordCancellationPayment, syncStripeSubscription } from "../services/subscriptionService.js";
+
+// ============================================
+// Admin: refund a payment in full or in part
+// body: { amount?, reason?, note?, cancelSubscription? }
+// amount is in major units and defaults to everything not yet refunded
+// ============================================
+export const refundPayment = async (req, res) => {
+  try {
+    const { amount, reason, note, cancelSubscription = false } = req.body || {};
+
+    const payment = mongoose.isValidObjectId(req.params.id) ? await Payment.findById(req.params.id) : null;
+    if (!payment) return res.status(404).json({ success: false, message: "Payment not found" });
+
+    if (!REFUNDABLE_STATUSES.includes(payment.status)) {
+      return res.status(400).json({ success: false, message: `A ${payment.status} payment cannot be refunded` });
+    }
+    if (!payment.stripeChargeId && !payment.stripePaymentIntentId) {
+      return res.status(400).json({ success: false, message: "Payment has no Stripe charge to refund" });
+    }
+    if (reason && !REFUND_REASONS.includes(reason)) {
+      return res.status(400).json({ success: false, message: `reason must be one of: ${REFUND_REASONS.join(", ")}` });
+    }
+
+    const remaining = refundableAmount(payment);
+    const refundAmount = amount === undefined ? remaining : Number(amount);
+    if (!(refundAmount > 0) || refundAmount > remaining) {
+      return res.status(400).json({ success: false, message: `amount must be greater than 0 and at most ${remaining}` });
+    }
+
+    const gateway = getGateway();
+    if (!gateway) return res.status(500).json({ success: false, message: "Payment gateway not configured" });
+
+    const cents = Math.round(refundAmount * 100);
+    const refund = await gateway.createRefund(
+      {
+        ...(payment.stripeChargeId ? { charge: payment.stripeChargeId } : { payment_intent: payment.stripePaymentIntentId }),
+        amount: cents,
+        reason: reason || undefined,
+        metadata: {
+          paymentId: payment._id.toString(),
+          refundedBy: req.user._id.toString(),
+          ...(note ? { note: String(note) } : {}),
+        },
+      },
+      // A double-submitted form must not refund twice
+      { idempotencyKey: `refund-${payment._id}-${payment.refunds.length}-${cents}` }
+    );
+
+    const refunded = (await recordRefund(payment, refund, { note: note || null, refundedBy: req.user._id })) || payment;
+
+    // Optionally end the subscription the payment was for, straight away and without proration
+    let subscription = null;
+    if (cancelSubscription && payment.stripeSubscriptionId) {
+      const localSub = await Subscription.findOne({ stripeSubscriptionId: payment.stripeSubscriptionId });
+      if (localSub && !["canceled", "expired"].includes(localSub.status)) {
+        const stripeSub = await gateway.cancelSubscription(payment.stripeSubscriptionId, { prorate: false });
+        subscription = await syncStripeSubscription(stripeSub, { status: "canceled", canceledAt: new Date() });
+        if (subscription) {
+          await recordCancellationPayment(subscription, "canceled by admin with refund");
+          await notifySubscriptionCanceled(subscription);
+        }
+      }
+    }
+
+    console.log(`✅ Refunded ${refundAmount} ${payment.currency} on payment ${payment._id} (${refund.id})`);
+
+    return res.json({
+      success: true,
+      message: refunded.status === "refunded" ? "Payment refunded" : "Payment partially refunded",
+      refund: { id: refund.id, amount: refundAmount, status: refund.status },
+      payment: refunded,
+      subscription,
+    });
+
+  } catch (err) {
+    console.error("❌ refundPayment:", err);
+    return res.status(500).json({ success: false, message: "Failed to refund payment", error: err.message });
+  }
+};
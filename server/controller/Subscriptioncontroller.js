@@ -0,0 +1,469 @@
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import Plan from "../model/Plan.js";
+import { getStripe } from "../config/stripe.js";
+import { getGateway } from "../config/gateway.js";
+import { createStripePrice, getPlanPrice } from "../services/planService.js";
+import { seatLimit } from "../services/organizationService.js";
+import { describeEntitlements } from "../middleware/entitlementMiddleware.js";
+import { notifyCancellationScheduled, notifySubscriptionCanceled } from "../services/notificationService.js";
+import { canManageSubscription, computePeriodEnd, fromUnix, getActiveSubscription, getDunningSubscriptions as findDunningSubscriptions, getManageableSubscription, gracePeriodDays, hasAccess, publishSubscriptionChange, recordCancellationPayment, syncStripeSubscription } from "../services/subscriptionService.js";
+
+const MAX_PAUSE_CYCLES = 12;
+
+// How long a previewed proration date can be used to make the change
+const PRORATION_QUOTE_TTL = "10m";
+
+// The preview's proration date, signed so changePlan only accepts dates the server issued
+// for this subscription and price (a client-chosen date could backdate the proration)
+const signProrationQuote = (stripeSubscriptionId, priceId, prorationDate) =>
+  jwt.sign({ sub: stripeSubscriptionId, price: priceId, prorationDate }, process.env.JWT_SECRET, { expiresIn: PRORATION_QUOTE_TTL });
+
+function readProrationQuote(token, stripeSubscriptionId, priceId) {
+  try {
+    const quote = jwt.verify(String(token), process.env.JWT_SECRET);
+    return quote.sub === stripeSubscriptionId && quote.price === priceId ? quote.prorationDate : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Resolve the subscription the caller may change: their own, or the organization's named by
+// organizationId (body or query) when they own/administer it. Sends 404/403 and returns null otherwise.
+async function findMySubscription(req, res) {
+  const organizationId = req.body?.organizationId || req.query.organizationId || null;
+  const subscription = await getManageableSubscription(req.user._id, { organizationId });
+  if (subscription) return subscription;
+
+  // Only a team subscription they can't manage: tell them why
+  const visible = organizationId ? null : await getActiveSubscription(req.user._id);
+  if (visible?.organization && !(await canManageSubscription(visible, req.user._id))) {
+    res.status(403).json({ success: false, message: "Only organization owners/admins can change this subscription" });
+    return null;
+  }
+
+  res.status(404).json({ success: false, message: "No active subscription" });
+  return null;
+}
+
+// Resolve Stripe for a Stripe-backed subscription, or send a 500 and return null
+function requireStripe(res) {
+  const stripe = getStripe();
+  if (!stripe) res.status(500).json({ success: false, message: "Stripe not configured" });
+  return stripe;
+}
+
+// Resolve the payment gateway for a gateway-backed subscription, or send a 500 and return null
+function requireGateway(res) {
+  const gateway = getGateway();
+  if (!gateway) res.status(500).json({ success: false, message: "Payment gateway not configured" });
+  return gateway;
+}
+
+// ============================================
+// Get the logged-in user's active subscription
+// ============================================
+export const getMySubscription = async (req, res) => {
+  try {
+    const subscription = await getActiveSubscription(req.user._id);
+
+    return res.json({
+      success: true,
+      active: Boolean(subscription),
+      subscription,
+    });
+
+  } catch (err) {
+    console.error("❌ getMySubscription:", err);
+    return res.status(500).json({ success: false, message: "Failed to retrieve subscription" });
+  }
+};
+
+// ============================================
+// What the caller's plan allows (runs after requireActivePlan)
+// ============================================
+export const getMyEntitlements = async (req, res) => {
+  try {
+    const entitlements = await describeEntitlements(req);
+
+    return res.json({
+      success: true,
+      plan: { _id: req.plan._id, PlanName: req.plan.PlanName },
+      ...entitlements,
+    });
+
+  } catch (err) {
+    console.error("❌ getMyEntitlements:", err);
+    return res.status(500).json({ success: false, message: "Failed to retrieve entitlements" });
+  }
+};
+
+// ============================================
+// Admin: subscriptions currently in dunning
+// ============================================
+export const getDunningSubscriptions = async (req, res) => {
+  try {
+    const state = req.query.state || "all";
+    if (!["all", "grace", "revoked"].includes(state)) {
+      return res.status(400).json({ success: false, message: "state must be one of: all, grace, revoked" });
+    }
+
+    const subscriptions = await findDunningSubscriptions(state);
+
+    return res.json({
+      success: true,
+      gracePeriodDays: gracePeriodDays(),
+      subscriptions: subscriptions.map((sub) => ({ ...sub.toObject(), hasAccess: hasAccess(sub) })),
+      count: subscriptions.length,
+    });
+
+  } catch (err) {
+    console.error("❌ getDunningSubscriptions:", err);
+    return res.status(500).json({ success: false, message: "Failed to retrieve dunning subscriptions" });
+  }
+};
+
+// ============================================
+// Cancel the logged-in user's subscription
+// body: { immediately?: boolean, prorate?: boolean }
+// ============================================
+export const cancelMySubscription = async (req, res) => {
+  try {
+    const { immediately = false, prorate = false } = req.body || {};
+
+    let subscription = await findMySubscription(req, res);
+    if (!subscription) return;
+
+    if (!immediately && subscription.cancelAtPeriodEnd) {
+      return res.status(400).json({ success: false, message: "Subscription is already set to cancel at period end" });
+    }
+
+    if (subscription.stripeSubscriptionId) {
+      const gateway = requireGateway(res);
+      if (!gateway) return;
+
+      const stripeSub = immediately
+        // invoice_now settles the proration credit/charge straight away
+        ? await gateway.cancelSubscription(subscription.stripeSubscriptionId, { prorate: Boolean(prorate), invoice_now: Boolean(prorate) })
+        : await gateway.updateSubscription(subscription.stripeSubscriptionId, { cancel_at_period_end: true });
+
+      subscription = await syncStripeSubscription(stripeSub);
+    } else {
+      // Free/local subscriptions have nothing to cancel in Stripe
+      const before = subscription.toObject();
+      if (immediately) {
+        subscription.status = "canceled";
+        subscription.canceledAt = new Date();
+      } else {
+        subscription.cancelAtPeriodEnd = true;
+      }
+      await subscription.save();
+      await publishSubscriptionChange(before, subscription);
+    }
+
+    let payment = null;
+    if (immediately) {
+      payment = await recordCancellationPayment(subscription, prorate ? "canceled immediately by customer (prorated)" : "canceled immediately by customer");
+      await notifySubscriptionCanceled(subscription);
+    } else {
+      await notifyCancellationScheduled(subscription);
+    }
+
+    return res.json({
+      success: true,
+      message: immediately ? "Subscription canceled" : "Subscription will cancel at the end of the current period",
+      subscription,
+      payment,
+    });
+
+  } catch (err) {
+    console.error("❌ cancelMySubscription error:", err && err.message ? err.message : err);
+    return res.status(500).json({ success: false, message: "Failed to cancel subscription", error: err && err.message ? err.message : String(err) });
+  }
+};
+
+// ============================================
+// Undo a pending cancel-at-period-end
+// ============================================
+export const resumeMySubscription = async (req, res) => {
+  try {
+    let subscription = await findMySubscription(req, res);
+    if (!subscription) return;
+
+    if (!subscription.cancelAtPeriodEnd) {
+      return res.status(400).json({ success: false, message: "Subscription has no pending cancellation" });
+    }
+
+    if (subscription.stripeSubscriptionId) {
+      const gateway = requireGateway(res);
+      if (!gateway) return;
+
+      const stripeSub = await gateway.updateSubscription(subscription.stripeSubscriptionId, { cancel_at_period_end: false });
+      subscription = await syncStripeSubscription(stripeSub);
+    } else {
+      subscription.cancelAtPeriodEnd = false;
+      await subscription.save();
+    }
+
+    return res.json({ success: true, message: "Pending cancellation removed", subscription });
+
+  } catch (err) {
+    console.error("❌ resumeMySubscription error:", err && err.message ? err.message : err);
+    return res.status(500).json({ success: false, message: "Failed to resume subscription", error: err && err.message ? err.message : String(err) });
+  }
+};
+
+// ============================================
+// Pause payment collection for N billing cycles
+// body: { cycles: number }
+// ============================================
+export const pauseMySubscription = async (req, res) => {
+  try {
+    const cycles = Number(req.body?.cycles);
+    if (!Number.isInteger(cycles) || cycles < 1 || cycles > MAX_PAUSE_CYCLES) {
+      return res.status(400).json({ success: false, message: `cycles must be a whole number between 1 and ${MAX_PAUSE_CYCLES}` });
+    }
+
+    let subscription = await findMySubscription(req, res);
+    if (!subscription) return;
+
+    if (!subscription.stripeSubscriptionId) {
+      return res.status(400).json({ success: false, message: "Only paid subscriptions can be paused" });
+    }
+    if (subscription.cancelAtPeriodEnd) {
+      return res.status(400).json({ success: false, message: "Subscription is set to cancel; resume it before pausing" });
+    }
+
+    // Collection resumes after the current (already paid) period plus N more billing cycles
+    let resumesAt = subscription.currentPeriodEnd || new Date();
+    for (let i = 0; i < cycles; i++) {
+      resumesAt = computePeriodEnd(subscription.plan, resumesAt);
+    }
+
+    const gateway = requireGateway(res);
+    if (!gateway) return;
+
+    const stripeSub = await gateway.updateSubscription(subscription.stripeSubscriptionId, {
+      pause_collection: { behavior: "void", resumes_at: Math.floor(resumesAt.getTime() / 1000) },
+    });
+    subscription = await syncStripeSubscription(stripeSub);
+
+    return res.json({ success: true, message: `Payment collection paused for ${cycles} billing cycle(s)`, subscription });
+
+  } catch (err) {
+    console.error("❌ pauseMySubscription error:", err && err.message ? err.message : err);
+    return res.status(500).json({ success: false, message: "Failed to pause subscription", error: err && err.message ? err.message : String(err) });
+  }
+};
+
+// ============================================
+// Resume payment collection before the pause ends
+// ============================================
+export const unpauseMySubscription = async (req, res) => {
+  try {
+    let subscription = await findMySubscription(req, res);
+    if (!subscription) return;
+
+    if (!subscription.collectionPaused) {
+      return res.status(400).json({ success: false, message: "Subscription is not paused" });
+    }
+
+    const gateway = requireGateway(res);
+    if (!gateway) return;
+
+    // pause_collection is cleared when it is set to an empty value
+    const stripeSub = await gateway.updateSubscription(subscription.stripeSubscriptionId, { pause_collection: "" });
+    subscription = await syncStripeSubscription(stripeSub);
+
+    return res.json({ success: true, message: "Payment collection resumed", subscription });
+
+  } catch (err) {
+    console.error("❌ unpauseMySubscription error:", err && err.message ? err.message : err);
+    return res.status(500).json({ success: false, message: "Failed to resume payment collection", error: err && err.message ? err.message : String(err) });
+  }
+};
+
+// Validate a plan change request and load everything needed to apply or preview it.
+// Sends the error response and returns null when the change is not possible.
+async function loadPlanChange(req, res) {
+  const { planId, when = "now" } = req.body || {};
+
+  if (!["now", "renewal"].includes(when)) {
+    res.status(400).json({ success: false, message: "when must be \"now\" or \"renewal\"" });
+    return null;
+  }
+  if (!planId || !mongoose.isValidObjectId(planId)) {
+    res.status(400).json({ success: false, message: "planId is required" });
+    return null;
+  }
+
+  const subscription = await findMySubscription(req, res);
+  if (!subscription) return null;
+
+  const newPlan = await Plan.findById(planId);
+  if (!newPlan || !newPlan.IsActive) {
+    res.status(404).json({ success: false, message: "Plan not found" });
+    return null;
+  }
+  if (String(newPlan._id) === String(subscription.plan._id)) {
+    res.status(400).json({ success: false, message: "Already subscribed to this plan" });
+    return null;
+  }
+  if (!subscription.stripeSubscriptionId) {
+    res.status(400).json({ success: false, message: "Free plans are upgraded through checkout" });
+    return null;
+  }
+  if ((subscription.quantity || 1) > seatLimit(newPlan)) {
+    res.status(409).json({ success: false, message: `${newPlan.PlanName} allows ${newPlan.MaxUsers} users; remove members first` });
+    return null;
+  }
+  if (!(Number(newPlan.Price) > 0)) {
+    res.status(400).json({ success: false, message: "To move to a free plan, cancel your subscription at period end" });
+    return null;
+  }
+
+  const stripe = requireStripe(res);
+  if (!stripe) return null;
+
+  const stripeSub = await stripe.subscriptions.retrieve(subscription.stripeSubscriptionId);
+  const item = stripeSub.items?.data?.[0];
+  if (!item) {
+    res.status(409).json({ success: false, message: "Subscription has no billable item" });
+    return null;
+  }
+
+  // Stay in the currency the subscription is billed in; Stripe can't mix currencies on one subscription
+  const currency = String(item.price.currency).toUpperCase();
+  const newPrice = getPlanPrice(newPlan, currency);
+  if (!newPrice) {
+    res.status(400).json({ success: false, message: `${newPlan.PlanName} is not available in ${currency}` });
+    return null;
+  }
+
+  const newPriceId = newPrice.stripePriceId || await createStripePrice(stripe, newPlan, currency);
+
+  return { when, subscription, newPlan, stripe, stripeSub, item, newPriceId };
+}
+
+// ============================================
+// Preview the cost of switching plans
+// body: { planId, when?: "now" | "renewal" }
+// ============================================
+export const previewPlanChange = async (req, res) => {
+  try {
+    const change = await loadPlanChange(req, res);
+    if (!change) return;
+    const { when, newPlan, stripe, stripeSub, item, newPriceId } = change;
+
+    const prorationDate = Math.floor(Date.now() / 1000);
+    const invoice = await stripe.invoices.retrieveUpcoming({
+      customer: typeof stripeSub.customer === "string" ? stripeSub.customer : stripeSub.customer.id,
+      subscription: stripeSub.id,
+      subscription_items: [{ id: item.id, price: newPriceId, quantity: item.quantity }],
+      ...(when === "now"
+        ? { subscription_proration_behavior: "always_invoice", subscription_proration_date: prorationDate }
+        : { subscription_proration_behavior: "none" }),
+    });
+
+    // Only the proration lines generated for this change (see Stripe upcoming invoice docs)
+    const prorationLines = (invoice.lines?.data || []).filter(
+      (line) => line.proration && line.period?.start === prorationDate
+    );
+    const prorationAmount = prorationLines.reduce((sum, line) => sum + line.amount, 0);
+
+    return res.json({
+      success: true,
+      when,
+      plan: { _id: newPlan._id, PlanName: newPlan.PlanName, Price: newPlan.Price, BillingPeriod: newPlan.BillingPeriod, BillingInterval: newPlan.BillingInterval },
+      currency: invoice.currency,
+      prorationDate: when === "now" ? prorationDate : null,
+      // Pass back to changePlan to be charged exactly this amount
+      prorationToken: when === "now" ? signProrationQuote(stripeSub.id, newPriceId, prorationDate) : null,
+      prorationAmount: prorationAmount / 100,
+      amountDue: invoice.amount_due / 100,
+      nextPaymentAt: fromUnix(invoice.next_payment_attempt || invoice.period_end),
+      lines: prorationLines.map((line) => ({ description: line.description, amount: line.amount / 100 })),
+    });
+
+  } catch (err) {
+    console.error("❌ previewPlanChange error:", err && err.message ? err.message : err);
+    return res.status(500).json({ success: false, message: "Failed to preview plan change", error: err && err.message ? err.message : String(err) });
+  }
+};
+
+// ============================================
+// Switch the subscription to another plan
+// body: { planId, when?: "now" | "renewal", prorationToken?: string (from the preview) }
+// ============================================
+export const changePlan = async (req, res) => {
+  try {
+    const change = await loadPlanChange(req, res);
+    if (!change) return;
+    const { when, subscription, newPlan, stripe, stripeSub, item, newPriceId } = change;
+
+    // Only the plan changes: the subscriber (userId) and organizationId stay as they are,
+    // even when an org admin makes the change
+    const metadata = { ...(stripeSub.metadata || {}), planId: newPlan._id.toString() };
+
+    if (when === "now") {
+      // Swap the price in place and invoice the prorated difference straight away,
+      // prorated from the previewed moment when the preview is still valid, else from now
+      let prorationDate;
+      if (req.body.prorationToken) {
+        prorationDate = readProrationQuote(req.body.prorationToken, stripeSub.id, newPriceId);
+        if (!prorationDate) {
+          return res.status(400).json({ success: false, message: "Preview expired; preview the plan change again" });
+        }
+      }
+      const updated = await stripe.subscriptions.update(stripeSub.id, {
+        items: [{ id: item.id, price: newPriceId, quantity: item.quantity }],
+        proration_behavior: "always_invoice",
+        proration_date: prorationDate,
+        metadata,
+      });
+      const synced = await syncStripeSubscription(updated, { plan: newPlan._id, pendingPlan: null, pendingPlanEffectiveAt: null });
+
+      return res.json({ success: true, message: `Switched to ${newPlan.PlanName}`, subscription: synced });
+    }
+
+    // At renewal: run the current price to the end of the period, then the new one,
+    // using a subscription schedule. Phase metadata is copied onto the subscription when it starts.
+    let schedule = stripeSub.schedule
+      ? await stripe.subscriptionSchedules.retrieve(typeof stripeSub.schedule === "string" ? stripeSub.schedule : stripeSub.schedule.id)
+      : await stripe.subscriptionSchedules.create({ from_subscription: stripeSub.id });
+
+    const currentPhase = schedule.phases[schedule.phases.length - 1];
+    schedule = await stripe.subscriptionSchedules.update(schedule.id, {
+      end_behavior: "release",
+      metadata,
+      phases: [
+        {
+          items: [{ price: item.price.id, quantity: item.quantity }],
+          start_date: currentPhase.start_date,
+          end_date: stripeSub.current_period_end,
+          metadata: stripeSub.metadata,
+        },
+        {
+          items: [{ price: newPriceId, quantity: item.quantity }],
+          iterations: 1,
+          metadata,
+        },
+      ],
+    });
+
+    subscription.pendingPlan = newPlan._id;
+    subscription.pendingPlanEffectiveAt = fromUnix(stripeSub.current_period_end);
+    await subscription.save();
+
+    return res.json({
+      success: true,
+      message: `Your plan will change to ${newPlan.PlanName} at the next renewal`,
+      subscription,
+      scheduleId: schedule.id,
+    });
+
+  } catch (err) {
+    console.error("❌ changePlan error:", err && err.message ? err.message : err);
+    return res.status(500).json({ success: false, message: "Failed to change plan", error: err && err.message ? err.message : String(err) });
+  }
+};
@@ -1,6 +1,16 @@
 import bcrypt from "bcryptjs";
+import crypto from "crypto";
 import User from "../model/User.js";
-import { generateToken } from "../config/auth.js";
+import { createSession, endSession, refreshSession, revokeAllSessions } from "../services/sessionService.js";
+import { escapeHtml, sendMail } from "../config/mailer.js";
+import { notifyRegistered, resolveLocale } from "../services/notificationService.js";
+import { preferredLocale } from "../services/planService.js";
+
+// Read at call time: index.js loads .env only after its imports have been evaluated
+const resetTokenTtlMinutes = () => Number(process.env.RESET_TOKEN_TTL_MINUTES) || 60;
+
+// Reset tokens are stored hashed so a leaked database cannot be used to reset passwords
+const hashResetToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
 
 export const register = async (req, res) => {
   try {
@@ -25,17 +35,26 @@ export const register = async (req, res) => {
       profilePicPath = req.file.path;
     }
 
-    // Create user
+    // Create user from an explicit list of fields: the body must not be able to set
+    // role, stripeCustomerId, passwordChangedAt or the reset token
     const data = await User.create({
-      ...req.body,
       fullName,
       email,
       phone: req.body.phone,
+      address: req.body.address,
       password: hashpassword,
       profilePic: profilePicPath,
+      language: resolveLocale(req.body.language || preferredLocale(req.headers["accept-language"])),
     });
 
-    
+    // The welcome email is only queued; a mail problem must not fail the signup
+    if (data) {
+      try {
+        await notifyRegistered(data);
+      } catch (err) {
+        console.error("❌ Failed to queue welcome email:", err.message);
+      }
+    }
 
     if (data) res.status(201).send({
       message: "User successfully created",
@@ -78,8 +97,11 @@ export const login = async (req, res) => {
       return res.status(401).json({ message: "Invalid email or password" });
     }
 
-    // Generate JWT token
-    const token = generateToken(user._id);
+    // Short-lived access token plus a refresh token for this device
+    const { token, refreshToken, expiresIn, refreshExpiresAt } = await createSession(user, {
+      userAgent: req.headers["user-agent"] || "",
+      ip: req.ip || "",
+    });
 
     // Optional: update lastLogin
     user.lastLogin = new Date();
@@ -95,6 +117,9 @@ export const login = async (req, res) => {
         role: user.role,
       },
       token,
+      refreshToken,
+      expiresIn,
+      refreshExpiresAt,
     });
 
   } catch (error) {
@@ -104,3 +129,149 @@ export const login = async (req, res) => {
 };
 
 
+export const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ message: "Email is required" });
+    }
+
+    // Same response whether or not the account exists, to avoid leaking registered emails
+    const genericResponse = { message: "If that email is registered, a reset link has been sent" };
+
+    const user = await User.findOne({ email: String(email).toLowerCase() });
+    if (!user) {
+      return res.status(200).json(genericResponse);
+    }
+
+    const ttlMinutes = resetTokenTtlMinutes();
+    const token = crypto.randomBytes(32).toString("hex");
+    user.resetPasswordToken = hashResetToken(token);
+    user.resetPasswordExpires = new Date(Date.now() + ttlMinutes * 60 * 1000);
+    await user.save();
+
+    const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
+    const resetUrl = `${frontendUrl}/reset-password/${token}`;
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: "Reset your password",
+        text: `Hi ${user.fullName},\n\nUse the link below to reset your password. It expires in ${ttlMinutes} minutes.\n\n${resetUrl}\n\nIf you did not request this, you can ignore this email.`,
+        html: `<p>Hi ${escapeHtml(user.fullName)},</p><p>Use the link below to reset your password. It expires in ${ttlMinutes} minutes.</p><p><a href="${resetUrl}">${resetUrl}</a></p><p>If you did not request this, you can ignore this email.</p>`,
+      });
+    } catch (mailError) {
+      // Don't leave a usable token behind if the link never went out
+      user.resetPasswordToken = null;
+      user.resetPasswordExpires = null;
+      await user.save();
+      throw mailError;
+    }
+
+    return res.status(200).json(genericResponse);
+
+  } catch (error) {
+    console.error("❌ Forgot Password Error:", error);
+    return res.status(500).json({ message: "Server error. Please try again later." });
+  }
+};
+
+
+export const resetPassword = async (req, res) => {
+  try {
+    const { token } = req.params;
+    const { password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ message: "Token and new password are required" });
+    }
+
+    if (String(password).length < 6) {
+      return res.status(400).json({ message: "Password must be at least 6 characters long" });
+    }
+
+    const user = await User.findOne({
+      resetPasswordToken: hashResetToken(token),
+      resetPasswordExpires: { $gt: new Date() },
+    });
+
+    if (!user) {
+      return res.status(400).json({ message: "Reset link is invalid or has expired" });
+    }
+
+    user.password = await bcrypt.hash(password, 10);
+
+    // Single use: clear the token once consumed
+    user.resetPasswordToken = null;
+    user.resetPasswordExpires = null;
+
+    // JWT iat has second precision, so back-date by a second to keep the next login valid
+    user.passwordChangedAt = new Date(Date.now() - 1000);
+    await user.save();
+
+    // Whoever knew the old password must not stay signed in
+    await revokeAllSessions(user._id, "password reset");
+
+    return res.status(200).json({ message: "Password reset successful, please log in again" });
+
+  } catch (error) {
+    console.error("❌ Reset Password Error:", error);
+    return res.status(500).json({ message: "Server error. Please try again later." });
+  }
+};
+
+
+// Exchange a refresh token for a new access token; the refresh token is rotated as well
+export const refreshToken = async (req, res) => {
+  try {
+    const { refreshToken: presented } = req.body || {};
+    if (!presented) {
+      return res.status(400).json({ message: "Refresh token is required" });
+    }
+
+    const result = await refreshSession(presented);
+    if (result.error) {
+      return res.status(401).json({ message: result.error });
+    }
+
+    return res.status(200).json({ message: "Token refreshed", ...result });
+
+  } catch (error) {
+    console.error("❌ Refresh Token Error:", error);
+    return res.status(500).json({ message: "Server error. Please try again later." });
+  }
+};
+
+
+// End the session the refresh token belongs to. Takes the refresh token rather than the
+// access token so a client whose access token has already expired can still log out.
+export const logout = async (req, res) => {
+  try {
+    const { refreshToken: presented } = req.body || {};
+    if (!presented) {
+      return res.status(400).json({ message: "Refresh token is required" });
+    }
+
+    // Unknown or already-ended sessions are fine: the client is logged out either way
+    await endSession(presented);
+    return res.status(200).json({ message: "Logged out" });
+
+  } catch (error) {
+    console.error("❌ Logout Error:", error);
+    return res.status(500).json({ message: "Server error. Please try again later." });
+  }
+};
+
+
+// Log out all devices, including this one
+export const logoutAllDevices = async (req, res) => {
+  try {
+    const sessions = await revokeAllSessions(req.user._id);
+    return res.status(200).json({ message: "Logged out of all devices", sessions });
+
+  } catch (error) {
+    console.error("❌ Logout All Error:", error);
+    return res.status(500).json({ message: "Server error. Please try again later." });
+  }
+};
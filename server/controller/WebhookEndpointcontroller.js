@@ -0,0 +1,237 @@
+import mongoose from "mongoose";
+import WebhookDelivery from "../model/WebhookDelivery.js";
+import WebhookEndpoint from "../model/WebhookEndpoint.js";
+import { SIGNATURE_HEADER, WEBHOOK_EVENT_TYPES, checkWebhookTarget, generateWebhookSecret, redeliverWebhook } from "../services/outboundWebhookService.js";
+
+const MAX_PAGE_SIZE = 100;
+const DELIVERY_STATUSES = WebhookDelivery.schema.path("status").enumValues;
+
+// Validate the url/events/description/enabled fields of a request body.
+// Returns { error } or { fields } holding only the fields that were sent.
+function readEndpointFields(body = {}, { requireUrl = false } = {}) {
+  const fields = {};
+
+  if (body.url !== undefined || requireUrl) {
+    let url;
+    try {
+      url = new URL(String(body.url || ""));
+    } catch (e) {
+      return { error: "url must be an absolute http(s) URL" };
+    }
+    if (!["http:", "https:"].includes(url.protocol)) return { error: "url must be an absolute http(s) URL" };
+    if (process.env.NODE_ENV === "production" && url.protocol !== "https:") return { error: "url must use https" };
+    fields.url = url.toString();
+  }
+
+  if (body.events !== undefined) {
+    if (!Array.isArray(body.events)) return { error: "events must be an array of event types" };
+    const unknown = body.events.filter((type) => !WEBHOOK_EVENT_TYPES.includes(type));
+    if (unknown.length > 0) {
+      return { error: `Unknown event types: ${unknown.join(", ")}; expected any of: ${WEBHOOK_EVENT_TYPES.join(", ")}` };
+    }
+    fields.events = [...new Set(body.events)];
+  }
+
+  if (body.description !== undefined) fields.description = String(body.description);
+
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== "boolean") return { error: "enabled must be true or false" };
+    fields.enabled = body.enabled;
+  }
+
+  return { fields };
+}
+
+// Load the endpoint named in the route; sends 404 otherwise
+async function loadEndpoint(req, res, select = "") {
+  const { id } = req.params;
+  const endpoint = mongoose.isValidObjectId(id) ? await WebhookEndpoint.findById(id).select(select) : null;
+  if (!endpoint) {
+    res.status(404).json({ success: false, message: "Webhook endpoint not found" });
+    return null;
+  }
+  return endpoint;
+}
+
+// ============================================
+// Admin: register an endpoint
+// body: { url, events?: [type], description? }
+// The signing secret is returned here and on rotation only.
+// ============================================
+export const createWebhookEndpoint = async (req, res) => {
+  try {
+    const { error, fields } = readEndpointFields(req.body, { requireUrl: true });
+    if (error) return res.status(400).json({ success: false, message: error });
+    const targetError = await checkWebhookTarget(fields.url);
+    if (targetError) return res.status(400).json({ success: false, message: targetError });
+
+    const secret = generateWebhookSecret();
+    const endpoint = await WebhookEndpoint.create({ ...fields, secret, createdBy: req.user._id });
+
+    const { secret: _omit, ...saved } = endpoint.toObject();
+    return res.status(201).json({
+      success: true,
+      message: `Webhook endpoint registered; verify the ${SIGNATURE_HEADER} header with this secret`,
+      endpoint: saved,
+      secret,
+    });
+
+  } catch (err) {
+    console.error("❌ createWebhookEndpoint:", err);
+    return res.status(500).json({ success: false, message: "Failed to register webhook endpoint", error: err.message });
+  }
+};
+
+// ============================================
+// Admin: registered endpoints and the event types they can subscribe to
+// ============================================
+export const getWebhookEndpoints = async (req, res) => {
+  try {
+    const endpoints = await WebhookEndpoint.find().sort({ createdAt: -1 });
+    return res.json({ success: true, endpoints, eventTypes: WEBHOOK_EVENT_TYPES });
+  } catch (err) {
+    console.error("❌ getWebhookEndpoints:", err);
+    return res.status(500).json({ success: false, message: "Failed to retrieve webhook endpoints" });
+  }
+};
+
+// ============================================
+// Admin: change an endpoint's url, events, description or enabled flag
+// ============================================
+export const updateWebhookEndpoint = async (req, res) => {
+  try {
+    const { error, fields } = readEndpointFields(req.body);
+    if (error) return res.status(400).json({ success: false, message: error });
+    const targetError = fields.url ? await checkWebhookTarget(fields.url) : null;
+    if (targetError) return res.status(400).json({ success: false, message: targetError });
+
+    const endpoint = await loadEndpoint(req, res);
+    if (!endpoint) return;
+
+    Object.assign(endpoint, fields);
+    await endpoint.save();
+
+    return res.json({ success: true, message: "Webhook endpoint updated", endpoint });
+
+  } catch (err) {
+    console.error("❌ updateWebhookEndpoint:", err);
+    return res.status(500).json({ success: false, message: "Failed to update webhook endpoint", error: err.message });
+  }
+};
+
+// ============================================
+// Admin: replace an endpoint's signing secret. Deliveries sent from now on use the new one.
+// ============================================
+export const rotateWebhookSecret = async (req, res) => {
+  try {
+    const endpoint = await loadEndpoint(req, res, "+secret");
+    if (!endpoint) return;
+
+    endpoint.secret = generateWebhookSecret();
+    await endpoint.save();
+
+    return res.json({ success: true, message: "Webhook secret rotated", secret: endpoint.secret });
+
+  } catch (err) {
+    console.error("❌ rotateWebhookSecret:", err);
+    return res.status(500).json({ success: false, message: "Failed to rotate webhook secret" });
+  }
+};
+
+// ============================================
+// Admin: remove an endpoint together with its delivery log
+// ============================================
+export const deleteWebhookEndpoint = async (req, res) => {
+  try {
+    const endpoint = await loadEndpoint(req, res);
+    if (!endpoint) return;
+
+    await WebhookDelivery.deleteMany({ endpoint: endpoint._id });
+    await endpoint.deleteOne();
+
+    return res.json({ success: true, message: "Webhook endpoint deleted" });
+
+  } catch (err) {
+    console.error("❌ deleteWebhookEndpoint:", err);
+    return res.status(500).json({ success: false, message: "Failed to delete webhook endpoint" });
+  }
+};
+
+// ============================================
+// Admin: delivery log, newest first
+// query: endpoint, status, eventType, eventId, page, limit
+// ============================================
+export const getWebhookDeliveries = async (req, res) => {
+  try {
+    const { endpoint, status, eventType, eventId } = req.query;
+    if (endpoint && !mongoose.isValidObjectId(endpoint)) {
+      return res.status(400).json({ success: false, message: "endpoint must be an endpoint id" });
+    }
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: `status must be one of: ${DELIVERY_STATUSES.join(", ")}` });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_PAGE_SIZE);
+    const filter = {};
+    if (endpoint) filter.endpoint = endpoint;
+    if (status) filter.status = status;
+    if (eventType) filter.eventType = String(eventType);
+    if (eventId) filter.eventId = String(eventId);
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter)
+        .select("-payload -log")
+        .populate("endpoint", "url")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      WebhookDelivery.countDocuments(filter),
+    ]);
+
+    return res.json({
+      success: true,
+      deliveries,
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+    });
+
+  } catch (err) {
+    console.error("❌ getWebhookDeliveries:", err);
+    return res.status(500).json({ success: false, message: "Failed to retrieve webhook deliveries" });
+  }
+};
+
+// ============================================
+// Admin: one delivery with its payload and every attempt
+// ============================================
+export const getWebhookDelivery = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const delivery = mongoose.isValidObjectId(id) ? await WebhookDelivery.findById(id).populate("endpoint", "url") : null;
+    if (!delivery) return res.status(404).json({ success: false, message: "Webhook delivery not found" });
+
+    return res.json({ success: true, delivery });
+
+  } catch (err) {
+    console.error("❌ getWebhookDelivery:", err);
+    return res.status(500).json({ success: false, message: "Failed to retrieve webhook delivery" });
+  }
+};
+
+// ============================================
+// Admin: send a delivery again (failed, or succeeded but lost by the receiver)
+// ============================================
+export const redeliverWebhookDelivery = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const delivery = mongoose.isValidObjectId(id) ? await redeliverWebhook(id) : null;
+    if (delivery === null) return res.status(404).json({ success: false, message: "Webhook delivery not found" });
+    if (delivery === false) return res.status(409).json({ success: false, message: "Delivery is being sent right now" });
+
+    return res.json({ success: true, message: "Webhook queued for redelivery", delivery });
+
+  } catch (err) {
+    console.error("❌ redeliverWebhookDelivery:", err);
+    return res.status(500).json({ success: false, message: "Failed to redeliver webhook", error: err.message });
+  }
+};
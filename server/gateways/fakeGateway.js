@@ -0,0 +1,605 @@
+import crypto from "crypto";
+
+// Fully local payment gateway for development and tests (PAYMENT_GATEWAY=fake).
+//
+// Keeps customers, prices, checkout sessions, payment intents, subscriptions, invoices,
+// charges and refunds in memory and produces Stripe-shaped objects. Every state change
+// emits a signed, Stripe-shaped webhook event that is POSTed to FAKE_GATEWAY_WEBHOOK_URL
+// (default: this server's /payments/webhook; "off" disables delivery) and passed to any
+// onEvent() listeners.
+//
+// Payments succeed unless made with a declining test payment method (see DECLINING_PAYMENT_METHODS).
+// Checkout sessions, payment intents and renewals are driven with completeCheckoutSession(),
+// confirmPaymentIntent() and renewSubscription().
+
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+const DEFAULT_PAYMENT_METHOD = "pm_card_visa";
+
+// Named after Stripe's test payment methods
+const DECLINING_PAYMENT_METHODS = {
+  pm_card_chargeDeclined: "Your card was declined.",
+  pm_card_visa_chargeDeclined: "Your card was declined.",
+  pm_card_chargeDeclinedInsufficientFunds: "Your card has insufficient funds.",
+};
+
+// Failed renewals are retried this many times before the invoice is given up on
+const MAX_RENEWAL_ATTEMPTS = 4;
+const RETRY_DELAY_SECONDS = 3 * 24 * 60 * 60;
+
+const now = () => Math.floor(Date.now() / 1000);
+const newId = (prefix) => `${prefix}_fake_${crypto.randomBytes(8).toString("hex")}`;
+
+// The default secret is public, so it is only used outside production
+export function fakeWebhookSecret() {
+  if (process.env.FAKE_GATEWAY_WEBHOOK_SECRET) return process.env.FAKE_GATEWAY_WEBHOOK_SECRET;
+  if (process.env.NODE_ENV === "production") throw new Error("FAKE_GATEWAY_WEBHOOK_SECRET must be set in production");
+  return "whsec_fake";
+}
+
+function serverUrl() {
+  return process.env.API_URL || `http://localhost:${process.env.PORT || 8000}`;
+}
+
+function webhookUrl() {
+  const url = process.env.FAKE_GATEWAY_WEBHOOK_URL;
+  if (url === "off") return null;
+  return url || `${serverUrl()}/payments/webhook`;
+}
+
+const hmac = (secret, text) => crypto.createHmac("sha256", secret).update(text).digest("hex");
+
+// Stripe's scheme: "t=<unix>,v1=<hex HMAC-SHA256 of `${t}.${payload}`>"
+export function signPayload(payload, secret = fakeWebhookSecret(), timestamp = now()) {
+  return `t=${timestamp},v1=${hmac(secret, `${timestamp}.${payload}`)}`;
+}
+
+export function verifySignature(payload, header, secret = fakeWebhookSecret()) {
+  const parts = String(header || "").split(",").map((p) => p.split("="));
+  const timestamp = Number(parts.find(([k]) => k === "t")?.[1]);
+  const signatures = parts.filter(([k]) => k === "v1").map(([, v]) => v);
+
+  if (!timestamp || signatures.length === 0) throw new Error("Unable to parse signature header");
+  if (Math.abs(now() - timestamp) > SIGNATURE_TOLERANCE_SECONDS) throw new Error("Timestamp outside the tolerance zone");
+
+  const expected = Buffer.from(hmac(secret, `${timestamp}.${payload}`));
+  const valid = signatures.some((sig) => {
+    const given = Buffer.from(sig);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  });
+  if (!valid) throw new Error("No signatures found matching the expected signature for payload");
+}
+
+function notFound(kind, id) {
+  const err = new Error(`No such ${kind}: '${id}'`);
+  err.statusCode = 404;
+  err.type = "StripeInvalidRequestError";
+  return err;
+}
+
+function addPeriod(start, recurring) {
+  const end = new Date(start * 1000);
+  const count = recurring?.interval_count || 1;
+  if (recurring?.interval === "year") end.setUTCFullYear(end.getUTCFullYear() + count);
+  else end.setUTCMonth(end.getUTCMonth() + count);
+  return Math.floor(end.getTime() / 1000);
+}
+
+export function createFakeGateway() {
+  const store = {
+    customers: new Map(),
+    customersByUser: new Map(),
+    prices: new Map(),
+    sessions: new Map(),
+    paymentIntents: new Map(),
+    charges: new Map(),
+    invoices: new Map(),
+    subscriptions: new Map(),
+    refunds: new Map(),
+    refundsByIdempotencyKey: new Map(),
+  };
+  const events = [];
+  const listeners = new Set();
+  let delivery = Promise.resolve();
+
+  const get = (map, kind, id) => {
+    const object = map.get(id);
+    if (!object) throw notFound(kind, id);
+    return object;
+  };
+
+  async function deliver(url, payload, signature) {
+    try {
+      const response = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "x-fake-gateway-signature": signature },
+        body: payload,
+      });
+      if (!response.ok) console.warn(`⚠️ Fake gateway: webhook returned ${response.status}`);
+    } catch (err) {
+      console.warn("⚠️ Fake gateway: webhook delivery failed:", err.message);
+    }
+  }
+
+  // Record, sign and deliver an event carrying a snapshot of `object`.
+  // Deliveries are queued so the receiver sees events in the order they happened.
+  function emit(type, object) {
+    const event = {
+      id: newId("evt"),
+      object: "event",
+      type,
+      created: now(),
+      livemode: false,
+      data: { object: structuredClone(object) },
+    };
+    const payload = JSON.stringify(event);
+    const signature = signPayload(payload);
+
+    events.push(event);
+    for (const listener of listeners) listener({ event, payload, signature });
+
+    const url = webhookUrl();
+    if (url) delivery = delivery.then(() => deliver(url, payload, signature));
+    return event;
+  }
+
+  function createCustomer({ email, name, metadata = {} }) {
+    const customer = { id: newId("cus"), object: "customer", email, name, metadata, created: now() };
+    store.customers.set(customer.id, customer);
+    return customer;
+  }
+
+  function createCharge(pi, paymentMethod) {
+    const charge = {
+      id: newId("ch"),
+      object: "charge",
+      amount: pi.amount,
+      amount_refunded: 0,
+      currency: pi.currency,
+      customer: pi.customer,
+      payment_intent: pi.id,
+      invoice: pi.invoice,
+      paid: true,
+      refunded: false,
+      status: "succeeded",
+      payment_method: paymentMethod,
+      payment_method_details: { type: "card", card: { brand: "visa", last4: "4242", funding: "credit" } },
+      refunds: { object: "list", data: [] },
+      created: now(),
+    };
+    store.charges.set(charge.id, charge);
+    return charge;
+  }
+
+  // Attempt a payment on a PaymentIntent; returns true when it succeeded
+  function attemptPayment(pi, paymentMethod = DEFAULT_PAYMENT_METHOD) {
+    const declined = DECLINING_PAYMENT_METHODS[paymentMethod];
+    pi.payment_method = paymentMethod;
+
+    if (declined) {
+      pi.status = "requires_payment_method";
+      pi.last_payment_error = { type: "card_error", code: "card_declined", message: declined, payment_method: { id: paymentMethod } };
+      return false;
+    }
+
+    const charge = createCharge(pi, paymentMethod);
+    pi.status = "succeeded";
+    pi.last_payment_error = null;
+    pi.latest_charge = charge.id;
+    pi.charges = { object: "list", data: [charge] };
+    return true;
+  }
+
+  function createPaymentIntent({ amount, currency, customer = null, metadata = {}, invoice = null }) {
+    const pi = {
+      id: newId("pi"),
+      object: "payment_intent",
+      amount,
+      currency: String(currency).toLowerCase(),
+      customer,
+      invoice,
+      metadata,
+      status: "requires_payment_method",
+      last_payment_error: null,
+      charges: { object: "list", data: [] },
+      created: now(),
+    };
+    pi.client_secret = `${pi.id}_secret_${crypto.randomBytes(8).toString("hex")}`;
+    store.paymentIntents.set(pi.id, pi);
+    return pi;
+  }
+
+  // Create an invoice for the subscription's current period and try to collect it
+  function billSubscription(sub, billingReason, paymentMethod, { amountDue } = {}) {
+    const item = sub.items.data[0];
+    const amount = amountDue ?? item.price.unit_amount * item.quantity;
+
+    const invoice = {
+      id: newId("in"),
+      object: "invoice",
+      customer: sub.customer,
+      customer_email: store.customers.get(sub.customer)?.email || null,
+      subscription: sub.id,
+      billing_reason: billingReason,
+      currency: item.price.currency,
+      amount_due: amount,
+      amount_paid: 0,
+      tax: null,
+      total_discount_amounts: [],
+      discount: null,
+      lines: { object: "list", data: [{ price: item.price, quantity: item.quantity, period: { start: sub.current_period_start, end: sub.current_period_end } }] },
+      attempt_count: 0,
+      next_payment_attempt: null,
+      payment_intent: null,
+      charge: null,
+      paid: false,
+      status: "open",
+      created: now(),
+    };
+    store.invoices.set(invoice.id, invoice);
+
+    if (amount === 0) {
+      invoice.status = "paid";
+      invoice.paid = true;
+      emit("invoice.payment_succeeded", invoice);
+      emit("invoice.paid", invoice);
+      return { invoice, paid: true };
+    }
+
+    const pi = createPaymentIntent({ amount, currency: invoice.currency, customer: sub.customer, invoice: invoice.id });
+    invoice.payment_intent = pi.id;
+    return collectInvoice(invoice, paymentMethod);
+  }
+
+  function collectInvoice(invoice, paymentMethod) {
+    const pi = store.paymentIntents.get(invoice.payment_intent);
+    invoice.attempt_count += 1;
+
+    if (attemptPayment(pi, paymentMethod)) {
+      invoice.status = "paid";
+      invoice.paid = true;
+      invoice.charge = pi.latest_charge;
+      invoice.amount_paid = invoice.amount_due;
+      invoice.next_payment_attempt = null;
+      emit("invoice.payment_succeeded", invoice);
+      emit("charge.succeeded", pi.charges.data[0]);
+      emit("payment_intent.succeeded", pi);
+      emit("invoice.paid", invoice);
+      return { invoice, paid: true };
+    }
+
+    invoice.next_payment_attempt = invoice.attempt_count < MAX_RENEWAL_ATTEMPTS ? now() + RETRY_DELAY_SECONDS : null;
+    emit("payment_intent.payment_failed", pi);
+    emit("invoice.payment_failed", invoice);
+    return { invoice, paid: false };
+  }
+
+  function createSubscription(session, paymentMethod) {
+    const [line] = session.line_items;
+    const price = get(store.prices, "price", line.price);
+    const trialDays = Number(session.subscription_data?.trial_period_days) || 0;
+    const start = now();
+
+    const sub = {
+      id: newId("sub"),
+      object: "subscription",
+      customer: session.customer,
+      currency: price.currency,
+      status: trialDays > 0 ? "trialing" : "incomplete",
+      metadata: { ...(session.subscription_data?.metadata || {}) },
+      items: { object: "list", data: [{ id: newId("si"), price, quantity: line.quantity || 1 }] },
+      current_period_start: start,
+      current_period_end: trialDays > 0 ? start + trialDays * 24 * 60 * 60 : addPeriod(start, price.recurring),
+      trial_start: trialDays > 0 ? start : null,
+      trial_end: trialDays > 0 ? start + trialDays * 24 * 60 * 60 : null,
+      cancel_at_period_end: false,
+      canceled_at: null,
+      ended_at: null,
+      pause_collection: null,
+      default_payment_method: paymentMethod,
+      latest_invoice: null,
+      schedule: null,
+      created: start,
+    };
+    store.subscriptions.set(sub.id, sub);
+    return sub;
+  }
+
+  // Objects of one kind created within [from, to], newest first like Stripe's list endpoints
+  async function* listCreated(map, { from, to } = {}) {
+    const gte = from ? Math.floor(from.getTime() / 1000) : -Infinity;
+    const lte = to ? Math.floor(to.getTime() / 1000) : Infinity;
+    const objects = [...map.values()].filter((o) => o.created >= gte && o.created <= lte).sort((a, b) => b.created - a.created);
+    for (const object of objects) yield structuredClone(object);
+  }
+
+  return {
+    name: "fake",
+    signatureHeader: "x-fake-gateway-signature",
+
+    // ---- Gateway contract ----
+
+    async ensureCustomer(user) {
+      const userId = user._id.toString();
+      if (!store.customersByUser.has(userId)) {
+        const customer = createCustomer({ email: user.email, name: user.fullName, metadata: { userId } });
+        store.customersByUser.set(userId, customer.id);
+      }
+      return store.customersByUser.get(userId);
+    },
+
+    async ensurePlanPrice(plan, currency) {
+      const code = String(currency || plan.Currency || "INR").toUpperCase();
+      const key = `${plan._id}:${code}`;
+      if (!store.prices.has(key)) {
+        const amount = code === String(plan.Currency || "INR").toUpperCase()
+          ? plan.Price
+          : (plan.Prices || []).find((p) => p.currency === code)?.amount;
+        if (amount === undefined) throw new Error(`Plan is not available in ${code}`);
+
+        const price = {
+          id: newId("price"),
+          object: "price",
+          product: `prod_fake_${plan._id}`,
+          unit_amount: Math.round(Number(amount) * 100),
+          currency: code.toLowerCase(),
+          recurring: {
+            interval: String(plan.BillingPeriod).toLowerCase() === "monthly" ? "month" : "year",
+            interval_count: plan.BillingInterval || 1,
+          },
+          metadata: { planId: plan._id.toString() },
+        };
+        store.prices.set(key, price);
+        store.prices.set(price.id, price);
+      }
+      return store.prices.get(key).id;
+    },
+
+    async createCheckoutSession(params) {
+      const session = {
+        id: newId("cs"),
+        object: "checkout.session",
+        mode: params.mode,
+        status: "open",
+        payment_status: "unpaid",
+        customer: params.customer || null,
+        client_reference_id: params.client_reference_id || null,
+        metadata: params.metadata || {},
+        line_items: params.line_items || [],
+        subscription_data: params.subscription_data || null,
+        success_url: params.success_url,
+        cancel_url: params.cancel_url,
+        subscription: null,
+        payment_intent: null,
+        amount_total: null,
+        currency: null,
+        created: now(),
+      };
+      session.url = `${serverUrl()}/dev/fake-gateway/checkout/${session.id}`;
+      store.sessions.set(session.id, session);
+      return structuredClone(session);
+    },
+
+    async retrieveCheckoutSession(id) {
+      return structuredClone(get(store.sessions, "checkout session", id));
+    },
+
+    async createPaymentIntent(params) {
+      return structuredClone(createPaymentIntent(params));
+    },
+
+    async retrievePaymentIntent(id) {
+      return structuredClone(get(store.paymentIntents, "payment_intent", id));
+    },
+
+    async createRefund(params, { idempotencyKey } = {}) {
+      if (idempotencyKey && store.refundsByIdempotencyKey.has(idempotencyKey)) {
+        return structuredClone(store.refundsByIdempotencyKey.get(idempotencyKey));
+      }
+
+      const charge = params.charge
+        ? get(store.charges, "charge", params.charge)
+        : get(store.paymentIntents, "payment_intent", params.payment_intent).charges.data[0];
+      if (!charge) throw new Error("This PaymentIntent has no charge to refund");
+
+      const remaining = charge.amount - charge.amount_refunded;
+      const amount = params.amount ?? remaining;
+      if (amount <= 0 || amount > remaining) throw new Error(`Refund amount must be between 1 and ${remaining}`);
+
+      const refund = {
+        id: newId("re"),
+        object: "refund",
+        amount,
+        currency: charge.currency,
+        charge: charge.id,
+        payment_intent: charge.payment_intent,
+        reason: params.reason || null,
+        metadata: params.metadata || {},
+        status: "succeeded",
+        created: now(),
+      };
+      store.refunds.set(refund.id, refund);
+      if (idempotencyKey) store.refundsByIdempotencyKey.set(idempotencyKey, refund);
+
+      charge.amount_refunded += amount;
+      charge.refunded = charge.amount_refunded >= charge.amount;
+      charge.refunds.data.push(refund);
+      emit("charge.refunded", charge);
+
+      return structuredClone(refund);
+    },
+
+    async listRefunds(chargeId) {
+      return structuredClone(get(store.charges, "charge", chargeId).refunds.data);
+    },
+
+    async retrieveCharge(id) {
+      return structuredClone(get(store.charges, "charge", id));
+    },
+
+    async retrieveInvoice(id) {
+      return structuredClone(get(store.invoices, "invoice", id));
+    },
+
+    listCharges: (range) => listCreated(store.charges, range),
+    listInvoices: (range) => listCreated(store.invoices, range),
+    listSubscriptions: (range) => listCreated(store.subscriptions, range),
+
+    async retrieveSubscription(id) {
+      return structuredClone(get(store.subscriptions, "subscription", id));
+    },
+
+    async updateSubscription(id, params = {}) {
+      const sub = get(store.subscriptions, "subscription", id);
+
+      if (params.cancel_at_period_end !== undefined) sub.cancel_at_period_end = Boolean(params.cancel_at_period_end);
+      if (params.pause_collection !== undefined) sub.pause_collection = params.pause_collection || null;
+      if (params.metadata) sub.metadata = { ...sub.metadata, ...params.metadata };
+      for (const change of params.items || []) {
+        const item = sub.items.data.find((i) => i.id === change.id);
+        if (!item) throw notFound("subscription item", change.id);
+        if (change.quantity !== undefined) item.quantity = change.quantity;
+        if (change.price) item.price = get(store.prices, "price", change.price);
+      }
+
+      emit("customer.subscription.updated", sub);
+      return structuredClone(sub);
+    },
+
+    async cancelSubscription(id) {
+      const sub = get(store.subscriptions, "subscription", id);
+      sub.status = "canceled";
+      sub.canceled_at = now();
+      sub.ended_at = now();
+      emit("customer.subscription.deleted", sub);
+      return structuredClone(sub);
+    },
+
+    constructEvent(rawBody, signature) {
+      const payload = Buffer.isBuffer(rawBody) ? rawBody.toString("utf8") : String(rawBody);
+      verifySignature(payload, signature);
+      return JSON.parse(payload);
+    },
+
+    // ---- Simulation (fake only) ----
+
+    // Pay for a checkout session as the customer would on the hosted page.
+    // A declined payment method leaves the session open, as Stripe Checkout does.
+    async completeCheckoutSession(id, { paymentMethod = DEFAULT_PAYMENT_METHOD } = {}) {
+      const session = get(store.sessions, "checkout session", id);
+      if (session.status !== "open") throw new Error(`Checkout session ${id} is ${session.status}`);
+
+      if (!session.customer) {
+        session.customer = createCustomer({ email: null, name: null, metadata: {} }).id;
+      }
+
+      if (session.mode === "payment") {
+        const [line] = session.line_items;
+        const price = get(store.prices, "price", line.price);
+        const pi = createPaymentIntent({
+          amount: price.unit_amount * (line.quantity || 1),
+          currency: price.currency,
+          customer: session.customer,
+          metadata: session.metadata,
+        });
+        session.payment_intent = pi.id;
+        if (!attemptPayment(pi, paymentMethod)) {
+          emit("payment_intent.payment_failed", pi);
+          return { session: structuredClone(session), paid: false };
+        }
+        emit("charge.succeeded", pi.charges.data[0]);
+        emit("payment_intent.succeeded", pi);
+        session.amount_total = pi.amount;
+        session.currency = pi.currency;
+      } else {
+        if (DECLINING_PAYMENT_METHODS[paymentMethod] && !session.subscription_data?.trial_period_days) {
+          return { session: structuredClone(session), paid: false, error: DECLINING_PAYMENT_METHODS[paymentMethod] };
+        }
+
+        const sub = createSubscription(session, paymentMethod);
+        const trialing = sub.status === "trialing";
+        if (!trialing) sub.status = "active";
+        emit("customer.subscription.created", sub);
+
+        const { invoice } = billSubscription(sub, "subscription_create", paymentMethod, trialing ? { amountDue: 0 } : {});
+        sub.latest_invoice = invoice.id;
+        session.subscription = sub.id;
+        session.amount_total = invoice.amount_paid;
+        session.currency = invoice.currency;
+      }
+
+      session.status = "complete";
+      session.payment_status = session.amount_total > 0 ? "paid" : "no_payment_required";
+      emit("checkout.session.completed", session);
+      return { session: structuredClone(session), paid: true };
+    },
+
+    // Confirm a PaymentIntent from createPaymentIntent() with a (test) payment method
+    async confirmPaymentIntent(id, { paymentMethod = DEFAULT_PAYMENT_METHOD } = {}) {
+      const pi = get(store.paymentIntents, "payment_intent", id);
+      if (pi.status === "succeeded") throw new Error(`PaymentIntent ${id} has already succeeded`);
+
+      if (attemptPayment(pi, paymentMethod)) {
+        emit("charge.succeeded", pi.charges.data[0]);
+        emit("payment_intent.succeeded", pi);
+      } else {
+        emit("payment_intent.payment_failed", pi);
+      }
+      return structuredClone(pi);
+    },
+
+    // Start the subscription's next billing period and charge for it.
+    // After MAX_RENEWAL_ATTEMPTS declines the invoice is given up on (next_payment_attempt null).
+    async renewSubscription(id, { paymentMethod } = {}) {
+      const sub = get(store.subscriptions, "subscription", id);
+      if (["canceled", "incomplete_expired"].includes(sub.status)) throw new Error(`Subscription ${id} is ${sub.status}`);
+
+      const method = paymentMethod || sub.default_payment_method || DEFAULT_PAYMENT_METHOD;
+      const item = sub.items.data[0];
+
+      // Retry the open invoice if the last renewal failed, otherwise bill a new period
+      const openInvoice = sub.latest_invoice && store.invoices.get(sub.latest_invoice);
+      let result;
+      if (openInvoice && openInvoice.status === "open" && openInvoice.next_payment_attempt) {
+        result = collectInvoice(openInvoice, method);
+      } else {
+        // A subscription set to cancel ends instead of renewing
+        if (sub.cancel_at_period_end) {
+          sub.status = "canceled";
+          sub.canceled_at = now();
+          sub.ended_at = sub.current_period_end;
+          emit("customer.subscription.deleted", sub);
+          return { subscription: structuredClone(sub), invoice: null, paid: false };
+        }
+        sub.current_period_start = sub.current_period_end;
+        sub.current_period_end = addPeriod(sub.current_period_start, item.price.recurring);
+        result = billSubscription(sub, "subscription_cycle", method);
+        sub.latest_invoice = result.invoice.id;
+      }
+
+      if (result.paid) sub.status = "active";
+      else sub.status = result.invoice.next_payment_attempt ? "past_due" : "unpaid";
+      emit("customer.subscription.updated", sub);
+
+      return { subscription: structuredClone(sub), invoice: structuredClone(result.invoice), paid: result.paid };
+    },
+
+    onEvent(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    // Events emitted so far (newest last)
+    events: () => events.map((event) => structuredClone(event)),
+
+    // Resolves once queued webhook deliveries have been sent
+    settle: () => delivery,
+  };
+}
+
+// One shared instance per process, so state survives between requests
+let instance = null;
+
+export function getFakeGateway() {
+  if (!instance) instance = createFakeGateway();
+  return instance;
+}
@@ -0,0 +1,64 @@
+import { ensureStripeCustomer } from "../services/customerService.js";
+import { createStripePrice, getPlanPrice } from "../services/planService.js";
+
+// Stripe's `created` filter for a date range
+const createdBetween = ({ from, to } = {}) => ({
+  ...(from ? { gte: Math.floor(from.getTime() / 1000) } : {}),
+  ...(to ? { lte: Math.floor(to.getTime() / 1000) } : {}),
+});
+
+// API 2022-11-15 dropped `charges` from PaymentIntents. Put the expanded latest_charge back
+// as charges.data, which is what the gateway contract (and the fake gateway) return.
+function withCharges(pi) {
+  if (pi.charges) return pi;
+  const charge = pi.latest_charge && typeof pi.latest_charge === "object" ? pi.latest_charge : null;
+  return {
+    ...pi,
+    latest_charge: charge ? charge.id : pi.latest_charge,
+    charges: { object: "list", data: charge ? [charge] : [] },
+  };
+}
+
+// Gateway adapter over the Stripe SDK (see config/gateway.js for the contract)
+export function createStripeGateway(stripe) {
+  return {
+    name: "stripe",
+    signatureHeader: "stripe-signature",
+
+    ensureCustomer: (user) => ensureStripeCustomer(stripe, user),
+
+    ensurePlanPrice: async (plan, currency) =>
+      getPlanPrice(plan, currency)?.stripePriceId || createStripePrice(stripe, plan, currency),
+
+    createCheckoutSession: (params) => stripe.checkout.sessions.create(params),
+    retrieveCheckoutSession: (id) => stripe.checkout.sessions.retrieve(id),
+
+    createPaymentIntent: (params) => stripe.paymentIntents.create(params),
+    retrievePaymentIntent: async (id) => withCharges(await stripe.paymentIntents.retrieve(id, { expand: ["latest_charge"] })),
+
+    createRefund: (params, options = {}) => stripe.refunds.create(params, options),
+    listRefunds: async (chargeId) => (await stripe.refunds.list({ charge: chargeId, limit: 100 })).data,
+
+    retrieveCharge: (id) => stripe.charges.retrieve(id),
+    retrieveInvoice: (id) => stripe.invoices.retrieve(id),
+
+    // List results auto-paginate when iterated with for await
+    listCharges: (range) => stripe.charges.list({ created: createdBetween(range), limit: 100 }),
+    listInvoices: (range) => stripe.invoices.list({ created: createdBetween(range), limit: 100 }),
+    listSubscriptions: (range) => stripe.subscriptions.list({ created: createdBetween(range), status: "all", limit: 100 }),
+
+    retrieveSubscription: (id) => stripe.subscriptions.retrieve(id),
+    updateSubscription: (id, params) => stripe.subscriptions.update(id, params),
+    cancelSubscription: (id, params = {}) => stripe.subscriptions.cancel(id, params),
+
+    constructEvent(rawBody, signature) {
+      const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+      if (!webhookSecret) {
+        const err = new Error("STRIPE_WEBHOOK_SECRET missing");
+        err.statusCode = 500;
+        throw err;
+      }
+      return stripe.webhooks.constructEvent(rawBody, signature, webhookSecret);
+    },
+  };
+}
@@ -4,12 +4,30 @@ import cors from "cors";
 import express from "express";
 import { connectDB } from "./config/db.js";
 
-import { createplan, getallplans, getplanbyid } from "./controller/Plancontroller.js";
-
-
-import { authMiddleware } from "./middleware/authMiddleware.js";
-import { login, register } from "./controller/Usercontroller.js";
-import { createCheckoutSession, createPaymentIntent, createCustomer, getPaymentHistory, getPaymentSession, handleWebhook, saveFrontendSession, markSessionCanceled } from "./controller/Paymentcontoller.js";
+import { archiveplan, createplan, deleteplan, getallplans, getplanbyid, updateplan } from "./controller/Plancontroller.js";
+
+
+import { authMiddleware, isAdmin } from "./middleware/authMiddleware.js";
+import { requireActivePlan } from "./middleware/entitlementMiddleware.js";
+import { forgotPassword, login, logout, logoutAllDevices, refreshToken, register, resetPassword } from "./controller/Usercontroller.js";
+import { createCheckoutSession, createPaymentIntent, createCustomer, getMyPayments, getPaymentHistory, getPaymentSession, handleWebhook, saveFrontendSession, markSessionCanceled, getFailedWebhookEvents, replayWebhookEvent } from "./controller/Paymentcontoller.js";
+import { createBillingPortalSession, detachPaymentMethod, listPaymentMethods, setDefaultPaymentMethod } from "./controller/Billingcontroller.js";
+import { acceptInvitation, createOrganization, getMyOrganizations, getOrganization, inviteMember, removeMember } from "./controller/Organizationcontroller.js";
+import { createCoupon, deactivateCoupon, getCoupons, validateCoupon } from "./controller/Couponcontroller.js";
+import { downloadInvoicePdf, getInvoice, getMyInvoices } from "./controller/Invoicecontroller.js";
+import { refundPayment } from "./controller/Refundcontroller.js";
+import { exportPayments, exportSubscriptions } from "./controller/Exportcontroller.js";
+import { getFailedPaymentRate, getMrr, getRevenueByCurrency, getSubscriberMovement, getSubscribersByPlan } from "./controller/Analyticscontroller.js";
+import { completeFakeCheckout, confirmFakePaymentIntent, getFakeGatewayEvents, renewFakeSubscription } from "./controller/FakeGatewaycontroller.js";
+import { gatewayName } from "./config/gateway.js";
+import { getJobs, runJob, updateJob } from "./controller/Jobcontroller.js";
+import { getNotifications, retryNotificationById } from "./controller/Notificationcontroller.js";
+import { createWebhookEndpoint, deleteWebhookEndpoint, getWebhookDeliveries, getWebhookDelivery, getWebhookEndpoints, redeliverWebhookDelivery, rotateWebhookSecret, updateWebhookEndpoint } from "./controller/WebhookEndpointcontroller.js";
+import { runReconciliation } from "./controller/Reconciliationcontroller.js";
+import { startScheduler } from "./services/jobScheduler.js";
+import { registerMaintenanceJobs } from "./services/maintenanceJobs.js";
+import { backfillPlanSlugs } from "./services/planService.js";
+import { cancelMySubscription, changePlan, getDunningSubscriptions, getMyEntitlements, getMySubscription, pauseMySubscription, previewPlanChange, resumeMySubscription, unpauseMySubscription } from "./controller/Subscriptioncontroller.js";
 
 
 
@@ -20,13 +38,20 @@ const app = express();
 // Read Stripe keys
 const _stripeSecret = process.env.STRIPE_SECRET_KEY;
 const _webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
-
-if (!_stripeSecret) {
-  console.warn("⚠️ STRIPE_SECRET_KEY not set. Checkout session creation will fail.");
-}
-
-if (!_webhookSecret) {
-  console.warn("⚠️ STRIPE_WEBHOOK_SECRET not set. Webhooks will fail signature verification.");
+const _useFakeGateway = gatewayName() === "fake";
+
+if (_useFakeGateway && process.env.NODE_ENV === "production") {
+  console.error("❌ PAYMENT_GATEWAY=fake is not allowed in production; payments are disabled.");
+} else if (_useFakeGateway) {
+  console.warn("⚠️ PAYMENT_GATEWAY=fake: payments are simulated in memory, nothing is charged.");
+} else {
+  if (!_stripeSecret) {
+    console.warn("⚠️ STRIPE_SECRET_KEY not set. Checkout session creation will fail.");
+  }
+
+  if (!_webhookSecret) {
+    console.warn("⚠️ STRIPE_WEBHOOK_SECRET not set. Webhooks will fail signature verification.");
+  }
 }
 
 app.use(cors());
@@ -46,11 +71,16 @@ app.use(express.json());
 // =======================
 app.post("/register", register);
 app.post("/login", login);
+app.post("/forgot-password", forgotPassword);
+app.post("/reset-password/:token", resetPassword);
+app.post("/token/refresh", refreshToken);
+app.post("/logout", logout);
+app.post("/logout-all", authMiddleware, logoutAllDevices);
 
 
 
 // Create Plan
-app.post("/createplan", createplan);
+app.post("/createplan", authMiddleware, isAdmin, createplan);
 
 // Get All Plans
 app.get("/getplans", getallplans);
@@ -58,23 +88,145 @@ app.get("/getplans", getallplans);
 // Get Plan by ID
 app.get("/getplans/:id", getplanbyid);
 
+// Update / Archive / Delete Plan (admin only)
+app.put("/plans/:id", authMiddleware, isAdmin, updateplan);
+app.patch("/plans/:id/archive", authMiddleware, isAdmin, archiveplan);
+app.delete("/plans/:id", authMiddleware, isAdmin, deleteplan);
+
 
 
-app.post("/payments/create-intent/:planId", createCheckoutSession);
-app.post("/payments/create-payment-intent/:planId", createPaymentIntent);
-app.post("/payments/create-customer", createCustomer);
+app.post("/payments/create-intent/:planId", authMiddleware, createCheckoutSession);
+app.post("/payments/create-payment-intent/:planId", authMiddleware, createPaymentIntent);
+app.post("/payments/create-customer", authMiddleware, createCustomer);
 
-app.get("/payments/user/:userId", getPaymentHistory);
+app.get("/payments/me", authMiddleware, getMyPayments);
+app.get("/payments/user/:userId", authMiddleware, isAdmin, getPaymentHistory);
 app.get("/payments/session/:sessionId", getPaymentSession);
 app.post("/payments/save-frontend", saveFrontendSession);
 app.post("/payments/cancel/:sessionId", markSessionCanceled);
+
+// Refunds (admin only)
+app.post("/admin/payments/:id/refund", authMiddleware, isAdmin, refundPayment);
+
+// =======================
+// 📅 SUBSCRIPTION ROUTES
+// =======================
+app.get("/subscriptions/me", authMiddleware, getMySubscription);
+app.get("/subscriptions/me/entitlements", authMiddleware, requireActivePlan(), getMyEntitlements);
+app.post("/subscriptions/me/cancel", authMiddleware, cancelMySubscription);
+app.post("/subscriptions/me/resume", authMiddleware, resumeMySubscription);
+app.post("/subscriptions/me/pause", authMiddleware, pauseMySubscription);
+app.post("/subscriptions/me/unpause", authMiddleware, unpauseMySubscription);
+app.post("/subscriptions/me/preview-change", authMiddleware, previewPlanChange);
+app.post("/subscriptions/me/change-plan", authMiddleware, changePlan);
+app.get("/admin/subscriptions/dunning", authMiddleware, isAdmin, getDunningSubscriptions);
+
+// =======================
+// 👥 ORGANIZATION ROUTES
+// =======================
+app.post("/organizations", authMiddleware, createOrganization);
+app.get("/organizations", authMiddleware, getMyOrganizations);
+app.get("/organizations/:id", authMiddleware, getOrganization);
+app.post("/organizations/:id/invitations", authMiddleware, inviteMember);
+app.delete("/organizations/:id/members/:userId", authMiddleware, removeMember);
+app.post("/invitations/:token/accept", authMiddleware, acceptInvitation);
+
+// =======================
+// 💳 BILLING ROUTES
+// =======================
+app.get("/billing/payment-methods", authMiddleware, listPaymentMethods);
+app.post("/billing/payment-methods/:paymentMethodId/default", authMiddleware, setDefaultPaymentMethod);
+app.delete("/billing/payment-methods/:paymentMethodId", authMiddleware, detachPaymentMethod);
+app.post("/billing/portal", authMiddleware, createBillingPortalSession);
+
+// =======================
+// 🧾 INVOICE ROUTES
+// =======================
+app.get("/invoices/me", authMiddleware, getMyInvoices);
+app.get("/invoices/:id", authMiddleware, getInvoice);
+app.get("/invoices/:id/pdf", authMiddleware, downloadInvoicePdf);
+
+// =======================
+// 🏷️ COUPON ROUTES
+// =======================
+app.get("/coupons/:code/validate", validateCoupon);
+app.post("/admin/coupons", authMiddleware, isAdmin, createCoupon);
+app.get("/admin/coupons", authMiddleware, isAdmin, getCoupons);
+app.patch("/admin/coupons/:id/deactivate", authMiddleware, isAdmin, deactivateCoupon);
+
+// =======================
+// 🛠️ ADMIN: WEBHOOK EVENTS
+// =======================
+app.get("/admin/webhooks/events", authMiddleware, isAdmin, getFailedWebhookEvents);
+app.post("/admin/webhooks/events/:eventId/replay", authMiddleware, isAdmin, replayWebhookEvent);
+
+// =======================
+// 📤 OUTBOUND WEBHOOK ROUTES (admin only)
+// =======================
+app.post("/admin/webhooks/endpoints", authMiddleware, isAdmin, createWebhookEndpoint);
+app.get("/admin/webhooks/endpoints", authMiddleware, isAdmin, getWebhookEndpoints);
+app.patch("/admin/webhooks/endpoints/:id", authMiddleware, isAdmin, updateWebhookEndpoint);
+app.post("/admin/webhooks/endpoints/:id/rotate-secret", authMiddleware, isAdmin, rotateWebhookSecret);
+app.delete("/admin/webhooks/endpoints/:id", authMiddleware, isAdmin, deleteWebhookEndpoint);
+app.get("/admin/webhooks/deliveries", authMiddleware, isAdmin, getWebhookDeliveries);
+app.get("/admin/webhooks/deliveries/:id", authMiddleware, isAdmin, getWebhookDelivery);
+app.post("/admin/webhooks/deliveries/:id/redeliver", authMiddleware, isAdmin, redeliverWebhookDelivery);
   
 
+// =======================
+// 📊 ANALYTICS ROUTES (admin only)
+// =======================
+app.get("/admin/analytics/mrr", authMiddleware, isAdmin, getMrr);
+app.get("/admin/analytics/subscribers", authMiddleware, isAdmin, getSubscriberMovement);
+app.get("/admin/analytics/plans", authMiddleware, isAdmin, getSubscribersByPlan);
+app.get("/admin/analytics/failed-payments", authMiddleware, isAdmin, getFailedPaymentRate);
+app.get("/admin/analytics/revenue", authMiddleware, isAdmin, getRevenueByCurrency);
+
+// =======================
+// 📤 EXPORT ROUTES (admin only)
+// =======================
+app.get("/admin/exports/payments", authMiddleware, isAdmin, exportPayments);
+app.get("/admin/exports/subscriptions", authMiddleware, isAdmin, exportSubscriptions);
+
+// =======================
+// ⏱️ JOB ROUTES (admin only)
+// =======================
+app.get("/admin/jobs", authMiddleware, isAdmin, getJobs);
+app.post("/admin/jobs/:name/run", authMiddleware, isAdmin, runJob);
+app.patch("/admin/jobs/:name", authMiddleware, isAdmin, updateJob);
+
+// =======================
+// 📧 NOTIFICATION ROUTES (admin only)
+// =======================
+app.get("/admin/notifications", authMiddleware, isAdmin, getNotifications);
+app.post("/admin/notifications/:id/retry", authMiddleware, isAdmin, retryNotificationById);
+
+// =======================
+// 🧮 RECONCILIATION ROUTES (admin only)
+// =======================
+app.post("/admin/reconciliation", authMiddleware, isAdmin, runReconciliation);
+
+// =======================
+// 🧪 FAKE GATEWAY ROUTES (development only)
+// =======================
+if (_useFakeGateway && process.env.NODE_ENV !== "production") {
+  app.get("/dev/fake-gateway/checkout/:sessionId", completeFakeCheckout);
+  app.post("/dev/fake-gateway/payment-intents/:id/confirm", confirmFakePaymentIntent);
+  app.post("/dev/fake-gateway/subscriptions/:id/renew", renewFakeSubscription);
+  app.get("/dev/fake-gateway/events", getFakeGatewayEvents);
+}
+
 // =======================
 // 🚀 SERVER START
 // =======================
 
-app.listen(PORT, () => {
-  connectDB();
+registerMaintenanceJobs();
+
+app.listen(PORT, async () => {
   console.log(`Server is running on PORT: ${PORT}`);
+  await connectDB();
+  await backfillPlanSlugs()
+    .then((count) => count > 0 && console.log(`✅ Assigned slugs to ${count} existing plans`))
+    .catch((err) => console.error("❌ Plan slug backfill failed:", err.message));
+  await startScheduler().catch((err) => console.error("❌ Job scheduler failed to start:", err.message));
 });
@@ -1,5 +1,7 @@
 import jwt from "jsonwebtoken";
 import User from "../model/User.js";
+import Session from "../model/Session.js";
+import { sessionIsActive } from "../services/sessionService.js";
 
 export const authMiddleware = async (req, res, next) => {
   try {
@@ -15,6 +17,18 @@ export const authMiddleware = async (req, res, next) => {
       return res.status(401).json({ success: false, message: "Invalid user" });
     }
 
+    // Reject tokens issued before the last password change or "log out all devices"
+    const revokedAt = Math.max(user.passwordChangedAt?.getTime() || 0, user.tokensRevokedAt?.getTime() || 0);
+    if (decoded.iat * 1000 < revokedAt) {
+      return res.status(401).json({ success: false, message: "Token expired, please log in again" });
+    }
+
+    // ...and tokens whose session was logged out
+    const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+    if (!session || String(session.user) !== String(user._id) || !sessionIsActive(session, user)) {
+      return res.status(401).json({ success: false, message: "Session expired, please log in again" });
+    }
+
     req.user = user; // attach logged-in user info to req
     next();
   } catch (error) {
@@ -0,0 +1,117 @@
+import Organization from "../model/Organization.js";
+import { getActiveSubscription } from "../services/subscriptionService.js";
+
+// Plan features that can be gated with requireFeature(); each maps to a Plan flag
+const FEATURES = {
+  customDomain: (plan) => Boolean(plan.AllowCustomDomain),
+};
+
+// Quotas that can be gated with requireQuota(). limit() reads the cap from the plan
+// (null/undefined means unlimited); usage() counts what the caller currently consumes.
+const QUOTAS = {
+  users: {
+    limit: (plan) => plan.MaxUsers,
+    // team subscriptions count organization members; an individual subscription has one user
+    usage: async (req) => {
+      if (!req.subscription?.organization) return 1;
+      const org = await Organization.findById(req.subscription.organization).select("members");
+      return org ? org.members.length : 1;
+    },
+  },
+};
+
+// Resolve (once per request) the caller's current subscription and plan.
+// Must run after authMiddleware.
+const loadSubscription = async (req) => {
+  if (req.subscription === undefined) {
+    req.subscription = await getActiveSubscription(req.user?._id);
+    req.plan = req.subscription?.plan || null;
+  }
+  return req.subscription;
+};
+
+// Summarize what the plan grants, for clients that want to hide gated UI up front
+export const describeEntitlements = async (req) => {
+  const plan = req.plan;
+  const features = Object.fromEntries(Object.entries(FEATURES).map(([name, check]) => [name, check(plan)]));
+  const quotas = {};
+  for (const [name, quota] of Object.entries(QUOTAS)) {
+    quotas[name] = { limit: quota.limit(plan) ?? null, usage: await quota.usage(req) };
+  }
+  return { features, quotas };
+};
+
+const paymentRequired = (res) =>
+  res.status(402).json({
+    success: false,
+    code: "SUBSCRIPTION_REQUIRED",
+    message: "An active subscription is required"
+  });
+
+export const requireActivePlan = () => async (req, res, next) => {
+  try {
+    if (!(await loadSubscription(req))) return paymentRequired(res);
+    next();
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Could not verify subscription", error: error.message });
+  }
+};
+
+export const requireFeature = (feature) => {
+  const check = FEATURES[feature];
+  if (!check) throw new Error(`Unknown feature "${feature}"`);
+
+  return async (req, res, next) => {
+    try {
+      if (!(await loadSubscription(req))) return paymentRequired(res);
+
+      if (!check(req.plan)) {
+        return res.status(403).json({
+          success: false,
+          code: "FEATURE_NOT_IN_PLAN",
+          message: `Your plan does not include ${feature}`,
+          feature,
+          plan: req.plan.PlanName
+        });
+      }
+      next();
+    } catch (error) {
+      res.status(500).json({ success: false, message: "Could not verify plan features", error: error.message });
+    }
+  };
+};
+
+// options.usage overrides how current usage is counted; options.increment is how much
+// the guarded request would add (default 1)
+export const requireQuota = (resource, options = {}) => {
+  const quota = QUOTAS[resource];
+  if (!quota) throw new Error(`Unknown quota "${resource}"`);
+
+  const usageOf = options.usage || quota.usage;
+  const increment = options.increment ?? 1;
+
+  return async (req, res, next) => {
+    try {
+      if (!(await loadSubscription(req))) return paymentRequired(res);
+
+      const limit = quota.limit(req.plan);
+      if (limit === null || limit === undefined) return next();
+
+      const usage = await usageOf(req);
+      if (usage + increment > limit) {
+        return res.status(403).json({
+          success: false,
+          code: "QUOTA_EXCEEDED",
+          message: `Your plan allows ${limit} ${resource}`,
+          resource,
+          limit,
+          usage,
+          plan: req.plan.PlanName
+        });
+      }
+      next();
+    } catch (error) {
+      res.status(500).json({ success: false, message: "Could not verify plan quota", error: error.message });
+    }
+  };
+};
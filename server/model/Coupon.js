@@ -0,0 +1,74 @@
+import mongoose from "mongoose";
+
+// Discount code customers can enter at checkout. Mirrored to a Stripe coupon
+// plus a promotion code carrying the same customer-facing code.
+const CouponSchema = new mongoose.Schema({
+
+  code: {
+    type: String,
+    required: [true, "Code is required"],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,40}$/, "Code may only contain letters, numbers, - and _"]
+  },
+
+  name: { type: String, trim: true },
+
+  discountType: {
+    type: String,
+    enum: ["percent", "fixed"],
+    required: true
+  },
+
+  percentOff: { type: Number, min: 0, max: 100 },
+
+  // Fixed discounts, in major units of `currency`
+  amountOff: { type: Number, min: 0 },
+  currency: { type: String, uppercase: true },
+
+  duration: {
+    type: String,
+    enum: ["once", "repeating", "forever"],
+    default: "once"
+  },
+  durationInMonths: { type: Number, min: 1 },
+
+  maxRedemptions: { type: Number, min: 1, default: null },
+  timesRedeemed: { type: Number, default: 0 },
+  // What each redemption was for (invoice, PaymentIntent or Payment id), so a redelivered
+  // webhook or a replay doesn't count the same purchase twice
+  redeemedFor: { type: [String], default: [], select: false },
+  expiresAt: { type: Date, default: null },
+
+  // Restrict to these plans; empty means every plan
+  plans: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Plan"
+  }],
+
+  active: { type: Boolean, default: true },
+
+  // Stripe Identifiers
+  stripeCouponId: { type: String, default: null },
+  stripePromotionCodeId: { type: String, default: null }
+
+},
+
+  { timestamps: true }
+);
+
+CouponSchema.pre("validate", function () {
+  if (this.discountType === "percent" && !(this.percentOff > 0)) {
+    this.invalidate("percentOff", "percentOff is required for percent discounts");
+  }
+  if (this.discountType === "fixed" && (!(this.amountOff > 0) || !this.currency)) {
+    this.invalidate("amountOff", "amountOff and currency are required for fixed discounts");
+  }
+  if (this.duration === "repeating" && !this.durationInMonths) {
+    this.invalidate("durationInMonths", "durationInMonths is required for repeating discounts");
+  }
+});
+
+const Coupon = mongoose.model("Coupon", CouponSchema);
+export default Coupon;
@@ -0,0 +1,50 @@
+import mongoose from "mongoose";
+
+// Email invitation to join an organization. The token is stored hashed.
+const InvitationSchema = new mongoose.Schema({
+
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Organization",
+    required: true
+  },
+
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+
+  role: {
+    type: String,
+    enum: ["admin", "member"],
+    default: "member"
+  },
+
+  tokenHash: { type: String, required: true },
+
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User"
+  },
+
+  status: {
+    type: String,
+    enum: ["pending", "accepted", "revoked"],
+    default: "pending"
+  },
+
+  expiresAt: { type: Date, required: true },
+  acceptedAt: { type: Date, default: null }
+
+},
+
+  { timestamps: true }
+);
+
+InvitationSchema.index({ tokenHash: 1 }, { unique: true });
+InvitationSchema.index({ organization: 1, status: 1 });
+
+const Invitation = mongoose.model("Invitation", InvitationSchema);
+export default Invitation;
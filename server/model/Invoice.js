@@ -0,0 +1,109 @@
+import mongoose from "mongoose";
+
+// Party details are copied onto the invoice when it is issued, so later profile
+// or company changes never alter an invoice that was already sent
+const PartySchema = new mongoose.Schema({
+  name: { type: String, default: "" },
+  email: { type: String, default: "" },
+  address: { type: String, default: "" },
+  phone: { type: String, default: "" },
+  taxId: { type: String, default: "" }
+}, { _id: false });
+
+const LineItemSchema = new mongoose.Schema({
+  description: { type: String, required: true },
+  periodStart: { type: Date, default: null },
+  periodEnd: { type: Date, default: null },
+  quantity: { type: Number, default: 1, min: 1 },
+  unitAmount: { type: Number, required: true },
+  amount: { type: Number, required: true }
+}, { _id: false });
+
+const InvoiceSchema = new mongoose.Schema({
+
+  // e.g. INV/2026-27/000042
+  number: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Financial year label ("2026-27") and the gap-free sequence within it
+  financialYear: {
+    type: String,
+    required: true
+  },
+
+  sequence: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  // One invoice per successful payment
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Payment",
+    required: true,
+    unique: true
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+
+  plan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Plan",
+    default: null
+  },
+
+  seller: { type: PartySchema, default: () => ({}) },
+  buyer: { type: PartySchema, default: () => ({}) },
+
+  lineItems: {
+    type: [LineItemSchema],
+    default: []
+  },
+
+  currency: {
+    type: String,
+    uppercase: true,
+    default: "INR"
+  },
+
+  subtotal: { type: Number, required: true },
+  discountAmount: { type: Number, default: 0 },
+  couponCode: { type: String, default: null },
+  taxAmount: { type: Number, default: 0 },
+  total: { type: Number, required: true },
+
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  paidAt: {
+    type: Date,
+    default: null
+  },
+
+  // Card used, for the receipt
+  paymentMethod: {
+    type: String,
+    default: null
+  },
+
+  stripeInvoiceId: {
+    type: String,
+    default: null
+  }
+
+}, { timestamps: true });
+
+InvoiceSchema.index({ financialYear: 1, sequence: 1 }, { unique: true });
+InvoiceSchema.index({ user: 1, issuedAt: -1 });
+
+export default mongoose.model("Invoice", InvoiceSchema);
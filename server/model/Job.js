@@ -0,0 +1,49 @@
+import mongoose from "mongoose";
+
+// One document per recurring background job. The document doubles as the job's lock:
+// an instance may only run a job after atomically setting lockedBy/lockedUntil, so
+// with several server instances each run happens exactly once.
+const JobSchema = new mongoose.Schema({
+
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Milliseconds between runs (kept in step with the job definition on startup)
+  interval: { type: Number, required: true },
+
+  nextRunAt: { type: Date, default: Date.now },
+
+  // Instance holding the lock; lockedUntil bounds how long a crashed run keeps it
+  lockedBy: { type: String, default: null },
+  lockedUntil: { type: Date, default: null },
+
+  // Pausing a job keeps it from being picked up until it is re-enabled
+  enabled: { type: Boolean, default: true },
+
+  lastRunAt: { type: Date, default: null },
+  lastFinishedAt: { type: Date, default: null },
+  lastStatus: {
+    type: String,
+    enum: ["succeeded", "failed", null],
+    default: null
+  },
+  lastError: { type: String, default: null },
+
+  // What the last successful run did, e.g. { expired: 3 }
+  lastResult: { type: Object, default: null },
+
+  runCount: { type: Number, default: 0 },
+  failCount: { type: Number, default: 0 }
+
+},
+
+  { timestamps: true }
+);
+
+JobSchema.index({ enabled: 1, nextRunAt: 1 });
+
+const Job = mongoose.model("Job", JobSchema);
+export default Job;
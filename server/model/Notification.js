@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+
+// Outbox of transactional messages. Messages are rendered and stored here when the
+// triggering event happens, then delivered (and retried) by the notification worker,
+// so a mail server outage never fails a checkout or a webhook.
+const NotificationSchema = new mongoose.Schema({
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+
+  to: { type: String, required: true },
+
+  template: { type: String, required: true },
+  locale: { type: String, default: "en" },
+
+  // Rendered message
+  subject: { type: String, required: true },
+  text: { type: String, required: true },
+  html: { type: String, default: null },
+
+  // Identifies the event behind the message so a redelivered webhook doesn't send it twice
+  dedupeKey: { type: String, default: null },
+
+  status: {
+    type: String,
+    enum: ["pending", "sending", "sent", "failed"],
+    default: "pending"
+  },
+
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+
+  // A worker that crashed mid-send releases the message once this passes
+  lockedUntil: { type: Date, default: null },
+
+  lastError: { type: String, default: null },
+  sentAt: { type: Date, default: null }
+
+},
+
+  { timestamps: true }
+);
+
+NotificationSchema.index({ dedupeKey: 1 }, { unique: true, partialFilterExpression: { dedupeKey: { $type: "string" } } });
+NotificationSchema.index({ status: 1, nextAttemptAt: 1 });
+NotificationSchema.index({ user: 1, createdAt: -1 });
+
+const Notification = mongoose.model("Notification", NotificationSchema);
+export default Notification;
@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+
+const MemberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+
+  role: {
+    type: String,
+    enum: ["owner", "admin", "member"],
+    default: "member"
+  },
+
+  joinedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// A team that owns a subscription; each member occupies one paid seat
+const OrganizationSchema = new mongoose.Schema({
+
+  name: {
+    type: String,
+    required: [true, "Organization name is required"],
+    trim: true
+  },
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+
+  members: {
+    type: [MemberSchema],
+    default: []
+  }
+
+},
+
+  { timestamps: true }
+);
+
+OrganizationSchema.index({ "members.user": 1 });
+
+// Role of a user inside this organization, or null if not a member
+OrganizationSchema.methods.roleOf = function (userId) {
+  const member = this.members.find((m) => String(m.user?._id || m.user) === String(userId));
+  return member ? member.role : null;
+};
+
+const Organization = mongoose.model("Organization", OrganizationSchema);
+export default Organization;
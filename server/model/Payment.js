@@ -17,6 +17,7 @@ const PaymentSchema = new mongoose.Schema({
   stripeCustomerId: { type: String },
   stripeSubscriptionId: { type: String },
   stripePriceId: { type: String },
+  stripeInvoiceId: { type: String },
   stripeCheckoutSessionId: { type: String },
   stripePaymentIntentId: { type: String },
   stripePaymentMethodId: { type: String },
@@ -33,11 +34,33 @@ const PaymentSchema = new mongoose.Schema({
   amount: { type: Number, required: true },
   currency: { type: String, default: "INR" },
 
+  // Discount applied to this payment
+  couponCode: { type: String, default: null },
+  discountAmount: { type: Number, default: 0 },
+
   // Stripe Billing Cycle Dates
   periodStart: { type: Date, default: null },
   periodEnd: { type: Date, default: null },
   
-  status: { type: String, enum: ["pending", "succeeded", "failed", "canceled"], default: "pending" },
+  status: {
+    type: String,
+    enum: ["pending", "succeeded", "past_due", "failed", "canceled", "partially_refunded", "refunded"],
+    default: "pending"
+  },
+
+  // Refunds issued against this payment (amounts in major units, like `amount`)
+  amountRefunded: { type: Number, default: 0 },
+  refundedAt: { type: Date, default: null },
+  refunds: [{
+    _id: false,
+    stripeRefundId: { type: String, required: true },
+    amount: { type: Number, required: true },
+    status: { type: String, default: "pending" }, // Stripe refund status: pending, succeeded, failed, canceled
+    reason: { type: String, default: null },
+    note: { type: String, default: null },
+    refundedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    createdAt: { type: Date, default: Date.now }
+  }],
 
   // Optional Extra Stripe Fields
   trialStart: { type: Date },
@@ -57,5 +80,14 @@ const PaymentSchema = new mongoose.Schema({
   }
 });
 
+// History listing (newest first) and the Stripe ids webhooks look payments up by
+PaymentSchema.index({ user: 1, createdAt: -1, _id: -1 });
+PaymentSchema.index({ createdAt: -1, _id: -1 });
+PaymentSchema.index({ stripePaymentIntentId: 1 });
+PaymentSchema.index({ stripeChargeId: 1 });
+PaymentSchema.index({ stripeInvoiceId: 1 });
+PaymentSchema.index({ stripeSubscriptionId: 1, status: 1 });
+PaymentSchema.index({ stripeCheckoutSessionId: 1 });
+
 const Payment = mongoose.model("Payment", PaymentSchema);
 export default Payment;
@@ -1,5 +1,26 @@
 import mongoose from "mongoose";
 
+// Price of the plan in an additional currency, with its own Stripe price
+const PlanPriceSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  stripePriceId: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
 const PlanSchema = new mongoose.Schema({
 
   PlanName: {
@@ -7,6 +28,13 @@ const PlanSchema = new mongoose.Schema({
     required: true
   },
 
+  // Stable URL identifier, generated from PlanName on creation
+  slug: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+
   Description: {
     type: String
   },
@@ -22,6 +50,12 @@ const PlanSchema = new mongoose.Schema({
     default: "INR"
   },
 
+  // Prices in other currencies (Price/Currency above is the base price)
+  Prices: {
+    type: [PlanPriceSchema],
+    default: []
+  },
+
   BillingPeriod: {
     type: String, // Monthly, Yearly
     required: true
@@ -44,34 +78,31 @@ const PlanSchema = new mongoose.Schema({
     default: null
   },
 
-  MaxUsers: {
-    type: Number
+  // Free trial length in days (0 = no trial); Stripe accepts at most 730
+  TrialPeriodDays: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: [730, "TrialPeriodDays can be at most 730"],
+    validate: {
+      validator: (days) => days == null || Number.isInteger(days),
+      message: "TrialPeriodDays must be a whole number of days"
+    }
   },
 
-  AllowCustomDomain: {
+  // Whether checkout collects a card before the trial starts
+  TrialRequiresPaymentMethod: {
     type: Boolean,
-    default: false
-  },
-
-  currentPeriodStart: {
-    type: Date,
-    default: null
-  },
-
-  currentPeriodEnd: {
-    type: Date,
-    default: null
+    default: true
   },
 
-  // Optional explicit plan-level start/end dates (keeps last known activation window)
-  planStartDate: {
-    type: Date,
-    default: null
+  MaxUsers: {
+    type: Number
   },
 
-  planEndDate: {
-    type: Date,
-    default: null
+  AllowCustomDomain: {
+    type: Boolean,
+    default: false
   },
 
   IsActive: {
@@ -84,6 +115,36 @@ const PlanSchema = new mongoose.Schema({
   { timestamps: true }
 );
 
+PlanSchema.index({ slug: 1 }, { unique: true, partialFilterExpression: { slug: { $type: "string" } } });
+
+const slugify = (value) =>
+  String(value)
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "") || "plan";
+
+PlanSchema.pre("validate", function () {
+  const currencies = [String(this.Currency || "INR").toUpperCase(), ...this.Prices.map((p) => p.currency)];
+  if (new Set(currencies).size !== currencies.length) {
+    this.invalidate("Prices", "Each currency may only be priced once");
+  }
+});
+
+// Assign a unique slug on first save; renaming a plan keeps its original slug
+PlanSchema.pre("validate", async function () {
+  if (this.slug) {
+    this.slug = slugify(this.slug);
+    return;
+  }
+
+  const base = slugify(this.PlanName);
+  let candidate = base;
+  for (let n = 2; await this.constructor.exists({ slug: candidate, _id: { $ne: this._id } }); n++) {
+    candidate = `${base}-${n}`;
+  }
+  this.slug = candidate;
+});
 
 const Plan = mongoose.model("Plan", PlanSchema);
 export default Plan;
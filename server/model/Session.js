@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+
+// A signed-in device. The refresh token is stored hashed and replaced on every
+// refresh; access tokens carry the session id so revoking the session ends them too.
+const SessionSchema = new mongoose.Schema({
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+
+  tokenHash: { type: String, required: true },
+
+  userAgent: { type: String, default: "" },
+  ip: { type: String, default: "" },
+
+  lastUsedAt: { type: Date, default: Date.now },
+
+  // Removed by MongoDB once passed
+  expiresAt: { type: Date, required: true },
+
+  revokedAt: { type: Date, default: null },
+  revokedReason: { type: String, default: null }
+
+},
+
+  { timestamps: true }
+);
+
+SessionSchema.index({ user: 1, revokedAt: 1 });
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model("Session", SessionSchema);
+export default Session;
@@ -0,0 +1,90 @@
+import mongoose from "mongoose";
+
+// One document per customer subscription. Billing periods live here rather than
+// on the shared Plan document so one subscriber's renewal never affects another.
+const SubscriptionSchema = new mongoose.Schema({
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+
+  plan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Plan",
+    required: true
+  },
+
+  // Set when the subscription is owned by a team rather than an individual
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Organization",
+    default: null
+  },
+
+  // Paid seats (Stripe subscription item quantity)
+  quantity: { type: Number, default: 1, min: 1 },
+
+  // Price per seat and currency actually billed (kept when the plan's price later changes)
+  unitAmount: { type: Number, default: null },
+  currency: { type: String, uppercase: true, default: null },
+
+  // Stripe Identifiers (null for free/local activations)
+  stripeSubscriptionId: { type: String, default: null },
+  stripeCustomerId: { type: String, default: null },
+
+  status: {
+    type: String,
+    enum: ["incomplete", "trialing", "active", "past_due", "unpaid", "canceled", "expired"],
+    default: "incomplete"
+  },
+
+  // Billing Cycle Dates
+  currentPeriodStart: { type: Date, default: null },
+  currentPeriodEnd: { type: Date, default: null },
+
+  cancelAtPeriodEnd: { type: Boolean, default: false },
+  canceledAt: { type: Date, default: null },
+
+  // Plan change scheduled for the next renewal
+  pendingPlan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Plan",
+    default: null
+  },
+  pendingPlanEffectiveAt: { type: Date, default: null },
+
+  // Paused collection (Stripe pause_collection); pausedUntil null means paused indefinitely
+  collectionPaused: { type: Boolean, default: false },
+  pausedUntil: { type: Date, default: null },
+
+  trialStart: { type: Date, default: null },
+  trialEnd: { type: Date, default: null },
+
+  // Dunning (failed renewal) tracking
+  dunningStartedAt: { type: Date, default: null },
+  graceUntil: { type: Date, default: null },
+  failedPaymentCount: { type: Number, default: 0 },
+  lastPaymentError: { type: String, default: null },
+
+  // Period end / trial end a reminder was last sent for, so each is only sent once
+  renewalReminderFor: { type: Date, default: null },
+  trialReminderFor: { type: Date, default: null },
+
+  // Creation time of the last Stripe event applied, to ignore out-of-order deliveries
+  lastEventAt: { type: Date, default: null }
+
+},
+
+  { timestamps: true }
+);
+
+SubscriptionSchema.index({ stripeSubscriptionId: 1 }, { unique: true, partialFilterExpression: { stripeSubscriptionId: { $type: "string" } } });
+SubscriptionSchema.index({ user: 1, status: 1 });
+SubscriptionSchema.index({ organization: 1, status: 1 });
+SubscriptionSchema.index({ status: 1, graceUntil: 1 });
+SubscriptionSchema.index({ status: 1, currentPeriodEnd: 1 });
+
+const Subscription = mongoose.model("Subscription", SubscriptionSchema);
+export default Subscription;
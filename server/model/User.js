@@ -47,6 +47,12 @@ const userSchema = new mongoose.Schema(
             enum: ["admin", "user"], // 3 roles
             default: "user"
         },
+        // Stripe customer linked to this user (created on first checkout)
+        stripeCustomerId: {
+            type: String,
+            default: null,
+            index: true,
+        },
         // Password reset token (hashed) and expiry
         resetPasswordToken: {
             type: String,
@@ -56,6 +62,26 @@ const userSchema = new mongoose.Schema(
             type: Date,
             default: null,
         },
+        // Tokens issued before this moment are rejected by authMiddleware
+        passwordChangedAt: {
+            type: Date,
+            default: null,
+        },
+        // Set by "log out all devices": sessions and tokens from before it are rejected
+        tokensRevokedAt: {
+            type: Date,
+            default: null,
+        },
+        // When the user was first offered a free trial; each user gets one
+        trialUsedAt: {
+            type: Date,
+            default: null,
+        },
+        // Language for notification emails (see templates/notifications)
+        language: {
+            type: String,
+            default: "en",
+        },
     },
     {
         timestamps: true, // automatically adds createdAt & updatedAt
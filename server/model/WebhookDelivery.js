@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+
+// One event queued for one endpoint, with the outcome of every attempt to deliver it.
+const WebhookDeliverySchema = new mongoose.Schema({
+
+  endpoint: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "WebhookEndpoint",
+    required: true
+  },
+
+  eventId: { type: String, required: true },
+  eventType: { type: String, required: true },
+
+  // Event body exactly as it is signed and sent
+  payload: { type: Object, required: true },
+
+  status: {
+    type: String,
+    enum: ["pending", "delivering", "succeeded", "failed"],
+    default: "pending"
+  },
+
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+
+  // A worker that crashed mid-request releases the delivery once this passes
+  lockedUntil: { type: Date, default: null },
+
+  lastError: { type: String, default: null },
+  lastResponseStatus: { type: Number, default: null },
+  deliveredAt: { type: Date, default: null },
+
+  // Delivery log, oldest attempt first
+  log: [{
+    at: { type: Date, default: Date.now },
+    attempt: { type: Number },
+    responseStatus: { type: Number, default: null },
+    responseBody: { type: String, default: null },
+    error: { type: String, default: null },
+    durationMs: { type: Number }
+  }]
+
+},
+
+  { timestamps: true }
+);
+
+// The same event is queued at most once per endpoint, however many paths report it
+WebhookDeliverySchema.index({ endpoint: 1, eventId: 1 }, { unique: true });
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ endpoint: 1, createdAt: -1 });
+
+const WebhookDelivery = mongoose.model("WebhookDelivery", WebhookDeliverySchema);
+export default WebhookDelivery;
@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+
+// An outbound webhook receiver registered by an admin. Each endpoint has its own
+// signing secret and receives the event types it subscribed to (all when empty).
+const WebhookEndpointSchema = new mongoose.Schema({
+
+  url: { type: String, required: true, trim: true },
+
+  description: { type: String, default: "" },
+
+  events: { type: [String], default: [] },
+
+  // HMAC key for the X-Webhook-Signature header; only shown when created or rotated
+  secret: { type: String, required: true, select: false },
+
+  enabled: { type: Boolean, default: true },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  }
+
+},
+
+  { timestamps: true }
+);
+
+WebhookEndpointSchema.index({ enabled: 1 });
+
+const WebhookEndpoint = mongoose.model("WebhookEndpoint", WebhookEndpointSchema);
+export default WebhookEndpoint;
@@ -0,0 +1,42 @@
+import mongoose from "mongoose";
+
+// Every verified Stripe event is stored here before it is processed, so that
+// retries are idempotent and failed events can be replayed later.
+const WebhookEventSchema = new mongoose.Schema({
+
+  eventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  type: { type: String, required: true },
+
+  // Full verified Stripe event
+  payload: { type: Object, required: true },
+
+  status: {
+    type: String,
+    enum: ["received", "processing", "processed", "failed"],
+    default: "received"
+  },
+
+  receivedAt: { type: Date, default: Date.now },
+
+  // When the current attempt claimed the event; a "processing" event older than the
+  // processing timeout is assumed abandoned by a crashed worker and may be claimed again
+  processingStartedAt: { type: Date, default: null },
+  processedAt: { type: Date, default: null },
+
+  attempts: { type: Number, default: 0 },
+  lastError: { type: String, default: null }
+
+},
+
+  { timestamps: true }
+);
+
+WebhookEventSchema.index({ status: 1, receivedAt: -1 });
+
+const WebhookEvent = mongoose.model("WebhookEvent", WebhookEventSchema);
+export default WebhookEvent;
@@ -0,0 +1,63 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import { connectDB } from "../config/db.js";
+import { getGateway } from "../config/gateway.js";
+import { parseReconciliationRange, reconcilePayments } from "../services/reconciliationService.js";
+
+// Compare the payment gateway with our Payment rows from the command line.
+//
+//   npm run reconcile -- [--from 2026-09-01] [--to 2026-09-30] [--fix] [--json]
+//
+// Prints the discrepancies (or the full report with --json) and exits with status 1
+// when some remain unfixed, so it can run from cron or CI. Point it at stripe-mock with
+// STRIPE_API_HOST/PORT/PROTOCOL. (The fake gateway keeps its state in the server process,
+// so to reconcile against it pass createFakeGateway() to reconcilePayments() directly.)
+
+function parseArgs(argv) {
+  const args = { fix: false, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--fix") args.fix = true;
+    else if (arg === "--json") args.json = true;
+    else if (arg === "--from" || arg === "--to") args[arg.slice(2)] = argv[++i];
+    else throw new Error(`Unknown argument ${arg}`);
+  }
+  return args;
+}
+
+async function main() {
+  dotenv.config();
+  const args = parseArgs(process.argv.slice(2));
+
+  const range = parseReconciliationRange(args);
+  if (range.error) throw new Error(range.error);
+
+  const gateway = getGateway();
+  if (!gateway) throw new Error("Payment gateway not configured");
+
+  await connectDB();
+  const report = await reconcilePayments(gateway, { ...range, fix: args.fix });
+
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log(`Reconciled ${report.gateway} ${report.from.toISOString()} → ${report.to.toISOString()}`, report.checked);
+    for (const d of report.discrepancies) {
+      const state = d.fixed ? "fixed" : d.fixError ? `not fixed: ${d.fixError}` : "open";
+      console.log(`${d.type.padEnd(9)} ${d.object.padEnd(12)} ${d.id} ${d.differences ? JSON.stringify(d.differences) : d.note || ""} [${state}]`);
+    }
+    console.log("Summary:", report.summary);
+  }
+
+  return report.discrepancies.some((d) => !d.fixed) ? 1 : 0;
+}
+
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((err) => {
+    console.error("❌ Reconciliation failed:", err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,293 @@
+import Payment from "../model/Payment.js";
+import Subscription from "../model/Subscription.js";
+
+// Payment statuses that brought money in (refunds are reported separately)
+const COLLECTED_STATUSES = ["succeeded", "partially_refunded", "refunded"];
+
+// Final payment statuses of a collection attempt that did not succeed
+const FAILED_STATUSES = ["failed", "past_due"];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// When a subscription stopped: the period end if it ran out its paid time, else the
+// cancellation time. Stripe's canceled_at is the time cancellation was *requested*,
+// so it can't be used on its own for cancel-at-period-end subscriptions.
+const ENDED_AT = {
+  $cond: [
+    { $in: ["$status", ["canceled", "expired"]] },
+    {
+      $cond: [
+        { $and: ["$cancelAtPeriodEnd", { $ne: [{ $ifNull: ["$currentPeriodEnd", null] }, null] }] },
+        "$currentPeriodEnd",
+        { $ifNull: ["$canceledAt", { $ifNull: ["$currentPeriodEnd", "$updatedAt"] }] }
+      ]
+    },
+    null
+  ]
+};
+
+// Months covered by one billing cycle of the plan (Monthly x1 = 1, Yearly x2 = 24, ...)
+const CYCLE_MONTHS = {
+  $multiply: [
+    { $cond: [{ $eq: [{ $toLower: { $ifNull: ["$plan.BillingPeriod", "monthly"] } }, "monthly"] }, 1, 12] },
+    { $max: [{ $ifNull: ["$plan.BillingInterval", 1] }, 1] }
+  ]
+};
+
+// Per-seat price: what the subscription is billed, falling back to the plan's price in its currency
+const UNIT_AMOUNT = {
+  $ifNull: [
+    "$unitAmount",
+    {
+      $cond: [
+        { $eq: ["$currency", { $toUpper: { $ifNull: ["$plan.Currency", "INR"] } }] },
+        "$plan.Price",
+        {
+          $ifNull: [
+            {
+              $first: {
+                $map: {
+                  input: { $filter: { input: { $ifNull: ["$plan.Prices", []] }, cond: { $eq: ["$$this.currency", "$currency"] } } },
+                  in: "$$this.amount"
+                }
+              }
+            },
+            "$plan.Price"
+          ]
+        }
+      ]
+    }
+  ]
+};
+
+// Stages selecting subscriptions that were live at `at` (trials included unless excludeTrials)
+function liveAt(at, { excludeTrials = false } = {}) {
+  const match = {
+    status: { $ne: "incomplete" },
+    createdAt: { $lte: at },
+    $or: [{ endedAt: null }, { endedAt: { $gt: at } }]
+  };
+  if (excludeTrials) {
+    match.$and = [{ $or: [{ trialEnd: null }, { trialEnd: { $lte: at } }, { trialStart: { $gt: at } }] }];
+  }
+  return [{ $addFields: { endedAt: ENDED_AT } }, { $match: match }];
+}
+
+// Calendar months (UTC) overlapping [from, to], each with its start and end (capped at `to`)
+export function monthsBetween(from, to) {
+  const months = [];
+  let start = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), 1));
+  while (start <= to) {
+    const next = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+    months.push({
+      month: start.toISOString().slice(0, 7),
+      start,
+      end: new Date(Math.min(next.getTime() - 1, to.getTime()))
+    });
+    start = next;
+  }
+  return months;
+}
+
+// MRR by currency at one point in time. Trials don't count, and list prices are used
+// (coupons are ignored), so this is the recurring revenue the book of business is worth.
+export async function mrrAt(at) {
+  const rows = await Subscription.aggregate([
+    ...liveAt(at, { excludeTrials: true }),
+    { $lookup: { from: "plans", localField: "plan", foreignField: "_id", as: "plan" } },
+    { $unwind: "$plan" },
+    { $addFields: { currency: { $toUpper: { $ifNull: ["$currency", { $ifNull: ["$plan.Currency", "INR"] }] } } } },
+    {
+      $group: {
+        _id: "$currency",
+        mrr: { $sum: { $divide: [{ $multiply: [UNIT_AMOUNT, { $ifNull: ["$quantity", 1] }] }, CYCLE_MONTHS] } },
+        subscribers: { $sum: 1 }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  return rows.map((row) => ({
+    currency: row._id,
+    mrr: round2(row.mrr),
+    arr: round2(row.mrr * 12),
+    subscribers: row.subscribers
+  }));
+}
+
+// MRR/ARR at the end of every month in the range
+export async function mrrSeries(from, to) {
+  const series = [];
+  for (const { month, end } of monthsBetween(from, to)) {
+    series.push({ month, at: end, currencies: await mrrAt(end) });
+  }
+  return series;
+}
+
+async function countLiveAt(at) {
+  const [row] = await Subscription.aggregate([...liveAt(at), { $count: "count" }]);
+  return row ? row.count : 0;
+}
+
+// New and churned subscribers per month, with churn rate against the subscribers at month start
+export async function subscriberMovement(from, to) {
+  const byMonth = (field) => ({ $dateToString: { format: "%Y-%m", date: field } });
+
+  const [movement] = await Subscription.aggregate([
+    { $match: { status: { $ne: "incomplete" } } },
+    { $addFields: { endedAt: ENDED_AT } },
+    {
+      $facet: {
+        new: [
+          { $match: { createdAt: { $gte: from, $lte: to } } },
+          { $group: { _id: byMonth("$createdAt"), count: { $sum: 1 } } }
+        ],
+        churned: [
+          { $match: { endedAt: { $gte: from, $lte: to } } },
+          { $group: { _id: byMonth("$endedAt"), count: { $sum: 1 } } }
+        ]
+      }
+    }
+  ]);
+
+  const counts = (rows) => Object.fromEntries(rows.map((row) => [row._id, row.count]));
+  const newByMonth = counts(movement.new);
+  const churnedByMonth = counts(movement.churned);
+
+  const months = [];
+  for (const { month, start } of monthsBetween(from, to)) {
+    const activeAtStart = await countLiveAt(new Date(start.getTime() - 1));
+    const added = newByMonth[month] || 0;
+    const churned = churnedByMonth[month] || 0;
+    months.push({
+      month,
+      activeAtStart,
+      new: added,
+      churned,
+      net: added - churned,
+      churnRate: activeAtStart > 0 ? round2((churned / activeAtStart) * 100) : null
+    });
+  }
+  return months;
+}
+
+// Live subscribers (and seats) per plan at a point in time
+export async function subscribersByPlan(at) {
+  const rows = await Subscription.aggregate([
+    ...liveAt(at),
+    {
+      $group: {
+        _id: "$plan",
+        subscribers: { $sum: 1 },
+        seats: { $sum: { $ifNull: ["$quantity", 1] } },
+        trialing: {
+          $sum: { $cond: [{ $and: [{ $lte: ["$trialStart", at] }, { $gt: ["$trialEnd", at] }] }, 1, 0] }
+        }
+      }
+    },
+    { $lookup: { from: "plans", localField: "_id", foreignField: "_id", as: "plan" } },
+    { $unwind: { path: "$plan", preserveNullAndEmptyArrays: true } },
+    { $sort: { subscribers: -1 } }
+  ]);
+
+  return rows.map((row) => ({
+    planId: row._id,
+    planName: row.plan?.PlanName || null,
+    billingPeriod: row.plan?.BillingPeriod || null,
+    subscribers: row.subscribers,
+    seats: row.seats,
+    trialing: row.trialing
+  }));
+}
+
+// Share of paid collection attempts that ended failed or past_due, overall and per month.
+// A payment that failed and was later retried successfully counts as succeeded, since
+// retries update the same Payment.
+export async function failedPaymentRate(from, to) {
+  const rows = await Payment.aggregate([
+    {
+      $match: {
+        createdAt: { $gte: from, $lte: to },
+        amount: { $gt: 0 },
+        status: { $in: [...COLLECTED_STATUSES, ...FAILED_STATUSES] }
+      }
+    },
+    {
+      $group: {
+        _id: { $dateToString: { format: "%Y-%m", date: "$createdAt" } },
+        attempts: { $sum: 1 },
+        failed: { $sum: { $cond: [{ $in: ["$status", FAILED_STATUSES] }, 1, 0] } }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  const rate = (failed, attempts) => (attempts > 0 ? round2((failed / attempts) * 100) : null);
+  const attempts = rows.reduce((sum, row) => sum + row.attempts, 0);
+  const failed = rows.reduce((sum, row) => sum + row.failed, 0);
+
+  return {
+    attempts,
+    failed,
+    failureRate: rate(failed, attempts),
+    months: rows.map((row) => ({
+      month: row._id,
+      attempts: row.attempts,
+      failed: row.failed,
+      failureRate: rate(row.failed, row.attempts)
+    }))
+  };
+}
+
+// Gross, refunded and net revenue per currency, in total and per month
+export async function revenueByCurrency(from, to) {
+  const [result] = await Payment.aggregate([
+    {
+      $match: {
+        createdAt: { $gte: from, $lte: to },
+        amount: { $gt: 0 },
+        status: { $in: COLLECTED_STATUSES }
+      }
+    },
+    // Stripe reports currencies in lower case, our own records in upper case
+    { $addFields: { currency: { $toUpper: "$currency" }, month: { $dateToString: { format: "%Y-%m", date: "$createdAt" } } } },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: "$currency",
+              payments: { $sum: 1 },
+              gross: { $sum: "$amount" },
+              refunded: { $sum: { $ifNull: ["$amountRefunded", 0] } }
+            }
+          },
+          { $sort: { _id: 1 } }
+        ],
+        months: [
+          {
+            $group: {
+              _id: { month: "$month", currency: "$currency" },
+              payments: { $sum: 1 },
+              gross: { $sum: "$amount" },
+              refunded: { $sum: { $ifNull: ["$amountRefunded", 0] } }
+            }
+          },
+          { $sort: { "_id.month": 1, "_id.currency": 1 } }
+        ]
+      }
+    }
+  ]);
+
+  const amounts = (row) => ({
+    payments: row.payments,
+    gross: round2(row.gross),
+    refunded: round2(row.refunded),
+    net: round2(row.gross - row.refunded)
+  });
+
+  return {
+    currencies: result.totals.map((row) => ({ currency: row._id, ...amounts(row) })),
+    months: result.months.map((row) => ({ month: row._id.month, currency: row._id.currency, ...amounts(row) }))
+  };
+}
@@ -0,0 +1,91 @@
+import Coupon from "../model/Coupon.js";
+import Plan from "../model/Plan.js";
+import { ensureStripeProduct } from "./planService.js";
+
+// Look up a code and check it can be used for `plan` in `currency`.
+// Returns { coupon } or { error } with a customer-facing message.
+export async function findRedeemableCoupon(code, plan, currency) {
+  const coupon = await Coupon.findOne({ code: String(code || "").trim().toUpperCase() });
+
+  if (!coupon || !coupon.active) return { error: "Invalid coupon code" };
+  if (coupon.expiresAt && coupon.expiresAt <= new Date()) return { error: "Coupon has expired" };
+  if (coupon.maxRedemptions && coupon.timesRedeemed >= coupon.maxRedemptions) {
+    return { error: "Coupon has reached its redemption limit" };
+  }
+  if (coupon.plans.length > 0 && !coupon.plans.some((id) => String(id) === String(plan._id))) {
+    return { error: "Coupon is not valid for this plan" };
+  }
+  if (coupon.discountType === "fixed" && coupon.currency !== String(currency).toUpperCase()) {
+    return { error: `Coupon only applies to ${coupon.currency} payments` };
+  }
+
+  return { coupon };
+}
+
+// Discount (major units) the coupon takes off `amount`, never more than the amount itself
+export function discountFor(coupon, amount) {
+  const off = coupon.discountType === "percent"
+    ? (amount * coupon.percentOff) / 100
+    : coupon.amountOff;
+  return Math.min(Math.round(off * 100) / 100, amount);
+}
+
+// Create the Stripe coupon and promotion code for a new local coupon
+export async function syncCouponToStripe(stripe, coupon) {
+  const plans = coupon.plans.length > 0 ? await Plan.find({ _id: { $in: coupon.plans } }) : [];
+  const products = [];
+  for (const plan of plans) {
+    products.push(await ensureStripeProduct(stripe, plan));
+  }
+
+  const redeemBy = coupon.expiresAt ? Math.floor(coupon.expiresAt.getTime() / 1000) : undefined;
+
+  const stripeCoupon = await stripe.coupons.create({
+    name: coupon.name || coupon.code,
+    duration: coupon.duration,
+    duration_in_months: coupon.duration === "repeating" ? coupon.durationInMonths : undefined,
+    ...(coupon.discountType === "percent"
+      ? { percent_off: coupon.percentOff }
+      : { amount_off: Math.round(coupon.amountOff * 100), currency: coupon.currency.toLowerCase() }),
+    max_redemptions: coupon.maxRedemptions || undefined,
+    redeem_by: redeemBy,
+    applies_to: products.length > 0 ? { products } : undefined,
+    metadata: { couponId: coupon._id.toString() },
+  });
+
+  const promotionCode = await stripe.promotionCodes.create({
+    coupon: stripeCoupon.id,
+    code: coupon.code,
+    max_redemptions: coupon.maxRedemptions || undefined,
+    expires_at: redeemBy,
+    metadata: { couponId: coupon._id.toString() },
+  });
+
+  coupon.stripeCouponId = stripeCoupon.id;
+  coupon.stripePromotionCodeId = promotionCode.id;
+  await coupon.save();
+  return coupon;
+}
+
+// Count one redemption, respecting maxRedemptions atomically. `key` identifies the purchase
+// (e.g. the PaymentIntent id); a purchase already counted is not counted again.
+export async function redeemCoupon(code, key) {
+  if (!code) return null;
+  return Coupon.findOneAndUpdate(
+    {
+      code,
+      ...(key ? { redeemedFor: { $ne: key } } : {}),
+      $or: [{ maxRedemptions: null }, { $expr: { $lt: ["$timesRedeemed", "$maxRedemptions"] } }]
+    },
+    { $inc: { timesRedeemed: 1 }, ...(key ? { $push: { redeemedFor: key } } : {}) },
+    { new: true }
+  );
+}
+
+// Local coupon code for a Stripe promotion code id, if we issued it
+export async function couponCodeForPromotion(promotionCodeId) {
+  if (!promotionCodeId) return null;
+  const id = typeof promotionCodeId === "string" ? promotionCodeId : promotionCodeId.id;
+  const coupon = await Coupon.findOne({ stripePromotionCodeId: id }).select("code");
+  return coupon ? coupon.code : null;
+}
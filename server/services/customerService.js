@@ -0,0 +1,43 @@
+import User from "../model/User.js";
+
+// Return the user's Stripe customer id, creating the customer on first use
+export async function ensureStripeCustomer(stripe, user) {
+  if (user.stripeCustomerId) return user.stripeCustomerId;
+
+  const customer = await stripe.customers.create({
+    email: user.email,
+    name: user.fullName || undefined,
+    metadata: { userId: user._id.toString() },
+  });
+
+  // Only set it if no concurrent request linked a customer first
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id, stripeCustomerId: null },
+    { stripeCustomerId: customer.id },
+    { new: true }
+  );
+
+  if (!updated) {
+    const current = await User.findById(user._id);
+    await stripe.customers.del(customer.id);
+    user.stripeCustomerId = current.stripeCustomerId;
+    return current.stripeCustomerId;
+  }
+
+  user.stripeCustomerId = customer.id;
+  return customer.id;
+}
+
+// Trim a Stripe PaymentMethod down to what the frontend needs
+export function summarizePaymentMethod(pm, defaultPaymentMethodId) {
+  return {
+    id: pm.id,
+    type: pm.type,
+    isDefault: pm.id === defaultPaymentMethodId,
+    card: pm.card
+      ? { brand: pm.card.brand, funding: pm.card.funding, last4: pm.card.last4, expMonth: pm.card.exp_month, expYear: pm.card.exp_year }
+      : undefined,
+    upi: pm.upi ? { vpa: pm.upi.vpa } : undefined,
+    created: pm.created ? new Date(pm.created * 1000) : null,
+  };
+}
@@ -0,0 +1,193 @@
+import { once } from "events";
+import mongoose from "mongoose";
+import Invoice from "../model/Invoice.js";
+import Organization from "../model/Organization.js";
+import Payment from "../model/Payment.js";
+import Plan from "../model/Plan.js";
+import Subscription from "../model/Subscription.js";
+import User from "../model/User.js";
+
+export const EXPORT_FORMATS = ["csv", "ndjson"];
+
+// Rows are read from a Mongo cursor in batches of this size, so memory stays flat however large the range
+const BATCH_SIZE = 500;
+
+const isoDate = (value) => (value ? new Date(value).toISOString() : "");
+
+// Stages joining only the needed fields of one related document onto each row
+const lookupOne = (from, localField, as, fields, foreignField = "_id") => [
+  {
+    $lookup: {
+      from,
+      let: { key: `$${localField}` },
+      pipeline: [
+        { $match: { $expr: { $eq: [`$${foreignField}`, "$$key"] } } },
+        { $limit: 1 },
+        { $project: Object.fromEntries(fields.map((f) => [f, 1])) }
+      ],
+      as
+    }
+  },
+  { $unwind: { path: `$${as}`, preserveNullAndEmptyArrays: true } }
+];
+
+// Aggregation pipelines don't get Mongoose casting, so ids in filters must be ObjectIds
+function castIds(filter) {
+  const cast = { ...filter };
+  if (typeof cast.plan === "string") cast.plan = new mongoose.Types.ObjectId(cast.plan);
+  return cast;
+}
+
+// ============================================
+// Payments: one row per payment, with the fields GST filing needs
+// ============================================
+export const PAYMENT_COLUMNS = [
+  ["paymentId", (p) => String(p._id)],
+  ["paymentDate", (p) => isoDate(p.createdAt)],
+  ["invoiceNumber", (p) => p.invoice?.number || ""],
+  ["invoiceDate", (p) => isoDate(p.invoice?.issuedAt)],
+  ["customerName", (p) => p.invoice?.buyer?.name || p.user?.fullName || ""],
+  ["customerEmail", (p) => p.user?.email || p.invoice?.buyer?.email || ""],
+  ["plan", (p) => p.plan?.PlanName || ""],
+  ["status", (p) => p.status],
+  ["currency", (p) => String(p.currency || "").toUpperCase()],
+  ["taxableAmount", (p) => Math.round(((p.amount || 0) - (p.invoice?.taxAmount || 0)) * 100) / 100],
+  ["taxAmount", (p) => p.invoice?.taxAmount || 0],
+  ["amount", (p) => p.amount || 0],
+  ["discountAmount", (p) => p.discountAmount || 0],
+  ["couponCode", (p) => p.couponCode || ""],
+  ["amountRefunded", (p) => p.amountRefunded || 0],
+  ["cardBrand", (p) => p.cardBrand || ""],
+  ["cardLast4", (p) => p.cardLast4 || ""],
+  ["periodStart", (p) => isoDate(p.periodStart)],
+  ["periodEnd", (p) => isoDate(p.periodEnd)],
+  ["stripePaymentIntentId", (p) => p.stripePaymentIntentId || ""],
+  ["stripeChargeId", (p) => p.stripeChargeId || ""],
+  ["stripeInvoiceId", (p) => p.stripeInvoiceId || ""],
+];
+
+export function paymentExportCursor(filter) {
+  return Payment.aggregate([
+    { $match: castIds(filter) },
+    { $sort: { createdAt: 1, _id: 1 } },
+    { $project: { stripeRaw: 0, refunds: 0 } },
+    ...lookupOne(User.collection.name, "user", "user", ["email", "fullName"]),
+    ...lookupOne(Plan.collection.name, "plan", "plan", ["PlanName"]),
+    ...lookupOne(Invoice.collection.name, "_id", "invoice", ["number", "issuedAt", "taxAmount", "buyer"], "payment"),
+  ]).cursor({ batchSize: BATCH_SIZE });
+}
+
+// ============================================
+// Subscriptions: one row per subscription
+// ============================================
+export const SUBSCRIPTION_COLUMNS = [
+  ["subscriptionId", (s) => String(s._id)],
+  ["createdAt", (s) => isoDate(s.createdAt)],
+  ["customerEmail", (s) => s.user?.email || ""],
+  ["organization", (s) => s.organization?.name || ""],
+  ["plan", (s) => s.plan?.PlanName || ""],
+  ["status", (s) => s.status],
+  ["quantity", (s) => s.quantity || 1],
+  ["unitAmount", (s) => s.unitAmount ?? ""],
+  ["currency", (s) => s.currency || ""],
+  ["currentPeriodStart", (s) => isoDate(s.currentPeriodStart)],
+  ["currentPeriodEnd", (s) => isoDate(s.currentPeriodEnd)],
+  ["trialEnd", (s) => isoDate(s.trialEnd)],
+  ["cancelAtPeriodEnd", (s) => Boolean(s.cancelAtPeriodEnd)],
+  ["canceledAt", (s) => isoDate(s.canceledAt)],
+  ["stripeSubscriptionId", (s) => s.stripeSubscriptionId || ""],
+];
+
+// Filter for subscriptions: status (comma-separated), plan, currency, from/to on createdAt.
+// Returns { filter } or { error }.
+export function buildSubscriptionFilter(query = {}) {
+  const filter = {};
+
+  if (query.status) {
+    const statuses = String(query.status).split(",").map((s) => s.trim()).filter(Boolean);
+    const allowed = Subscription.schema.path("status").enumValues;
+    if (statuses.some((s) => !allowed.includes(s))) return { error: `status must be one of: ${allowed.join(", ")}` };
+    filter.status = { $in: statuses };
+  }
+
+  if (query.plan) {
+    if (!mongoose.isValidObjectId(query.plan)) return { error: "plan must be a valid id" };
+    filter.plan = query.plan;
+  }
+
+  if (query.currency) filter.currency = String(query.currency).trim().toUpperCase();
+
+  if (query.from || query.to) {
+    const from = query.from ? new Date(query.from) : null;
+    const to = query.to ? new Date(query.to) : null;
+    if ((from && Number.isNaN(from.getTime())) || (to && Number.isNaN(to.getTime()))) {
+      return { error: "from and to must be valid dates" };
+    }
+    filter.createdAt = { ...(from ? { $gte: from } : {}), ...(to ? { $lte: to } : {}) };
+  }
+
+  return { filter };
+}
+
+export function subscriptionExportCursor(filter) {
+  return Subscription.aggregate([
+    { $match: castIds(filter) },
+    { $sort: { createdAt: 1, _id: 1 } },
+    ...lookupOne(User.collection.name, "user", "user", ["email"]),
+    ...lookupOne(Organization.collection.name, "organization", "organization", ["name"]),
+    ...lookupOne(Plan.collection.name, "plan", "plan", ["PlanName"]),
+  ]).cursor({ batchSize: BATCH_SIZE });
+}
+
+// ============================================
+// Streaming
+// ============================================
+
+// Quote a CSV field when needed. Values starting with =, +, -, @, tab or carriage return are
+// prefixed with ' so spreadsheets don't evaluate them as formulas (negative numbers are left alone).
+function csvField(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (typeof value !== "number" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Stream cursor rows to the response as CSV or NDJSON, honouring backpressure.
+// Stops reading (and closes the cursor) if the client goes away.
+export async function streamExport(res, cursor, { columns, format, filename }) {
+  let aborted = false;
+  res.on("close", () => {
+    aborted = true;
+  });
+
+  res.status(200).set({
+    "Content-Type": format === "csv" ? "text/csv; charset=utf-8" : "application/x-ndjson; charset=utf-8",
+    "Content-Disposition": `attachment; filename="${filename}.${format}"`,
+    "Cache-Control": "no-store",
+  });
+
+  const write = async (chunk) => {
+    if (!res.write(chunk)) await Promise.race([once(res, "drain"), once(res, "close")]);
+  };
+
+  let rows = 0;
+  try {
+    if (format === "csv") await write(columns.map(([name]) => name).join(",") + "\n");
+
+    for await (const doc of cursor) {
+      if (aborted) break;
+
+      const values = columns.map(([, value]) => value(doc));
+      await write(
+        format === "csv"
+          ? values.map(csvField).join(",") + "\n"
+          : JSON.stringify(Object.fromEntries(columns.map(([name], i) => [name, values[i]]))) + "\n"
+      );
+      rows++;
+    }
+  } finally {
+    await cursor.close();
+  }
+
+  if (!aborted) res.end();
+  return rows;
+}
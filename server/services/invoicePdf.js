@@ -0,0 +1,198 @@
+// Render an Invoice as a PDF without any external service or library.
+// Uses the standard Helvetica fonts (WinAnsi encoding), so characters outside
+// Latin-1 are printed as "?".
+
+const PAGE_WIDTH = 595; // A4 in points
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+
+// Helvetica advance widths (per 1000 units) for the characters amounts are made of;
+// close enough elsewhere for right-aligning short strings
+const CHAR_WIDTHS = { " ": 278, ",": 278, ".": 278, "-": 333, "/": 278, "(": 333, ")": 333 };
+
+function textWidth(text, size) {
+  let units = 0;
+  for (const ch of text) {
+    if (CHAR_WIDTHS[ch]) units += CHAR_WIDTHS[ch];
+    else if (/[0-9]/.test(ch)) units += 556;
+    else if (/[A-Z]/.test(ch)) units += 667;
+    else units += 500;
+  }
+  return (units * size) / 1000;
+}
+
+const pdfString = (value) =>
+  String(value ?? "")
+    .replace(/[^\x20-\x7E\xA0-\xFF]/g, "?")
+    .replace(/[\\()]/g, "\\$&");
+
+const formatAmount = (amount, currency) =>
+  `${currency} ${Number(amount || 0).toLocaleString("en", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (date) =>
+  date ? new Date(date).toLocaleDateString("en-GB", { day: "2-digit", month: "short", year: "numeric" }) : "";
+
+// Collects drawing operators page by page, starting a new page when the cursor runs out of room
+function createCanvas() {
+  const pages = [[]];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  const ops = () => pages[pages.length - 1];
+
+  return {
+    get y() {
+      return y;
+    },
+    moveDown(points) {
+      y -= points;
+      if (y < MARGIN) {
+        pages.push([]);
+        y = PAGE_HEIGHT - MARGIN;
+      }
+    },
+    text(value, x, { size = 10, bold = false, align = "left", at = y } = {}) {
+      const str = pdfString(value);
+      const left = align === "right" ? x - textWidth(str, size) : x;
+      ops().push(`BT /${bold ? "F2" : "F1"} ${size} Tf ${left.toFixed(2)} ${at.toFixed(2)} Td (${str}) Tj ET`);
+    },
+    rule(at = y) {
+      ops().push(`0.5 w ${MARGIN} ${at.toFixed(2)} m ${PAGE_WIDTH - MARGIN} ${at.toFixed(2)} l S`);
+    },
+    pages,
+  };
+}
+
+// Assemble page content streams into a PDF file
+function buildPdf(pages) {
+  const objects = [];
+  const add = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = add(null);
+  const pagesId = add(null);
+  const fontId = add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+  const boldFontId = add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>");
+
+  const pageIds = pages.map((ops) => {
+    const content = ops.join("\n");
+    const contentId = add(`<< /Length ${Buffer.byteLength(content, "latin1")} >>\nstream\n${content}\nendstream`);
+    return add(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 ${fontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`
+    );
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pageIds.length} >>`;
+
+  let pdf = "%PDF-1.4\n";
+  const offsets = objects.map((body, i) => {
+    const offset = Buffer.byteLength(pdf, "latin1");
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(pdf, "latin1");
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`).join("");
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, "latin1");
+}
+
+const partyLines = (party) => [
+  ...String(party.address || "").split("\n"),
+  party.email,
+  party.phone,
+  party.taxId ? `Tax ID: ${party.taxId}` : "",
+].map((line) => line && line.trim()).filter(Boolean);
+
+export function renderInvoicePdf(invoice) {
+  const canvas = createCanvas();
+  const right = PAGE_WIDTH - MARGIN;
+  const { currency } = invoice;
+
+  // Header: seller on the left, invoice number and dates on the right
+  const headerTop = canvas.y;
+  canvas.text(invoice.seller?.name || "Invoice", MARGIN, { size: 16, bold: true });
+  canvas.text("INVOICE", right, { size: 20, bold: true, align: "right" });
+  canvas.moveDown(20);
+
+  const meta = [
+    ["Invoice no.", invoice.number],
+    ["Issued", formatDate(invoice.issuedAt)],
+    ["Paid", formatDate(invoice.paidAt)],
+  ];
+  meta.forEach(([label, value], i) => {
+    const at = headerTop - 24 - i * 14;
+    canvas.text(label, right - 170, { at, bold: true });
+    canvas.text(value, right, { at, align: "right" });
+  });
+
+  for (const line of partyLines(invoice.seller || {})) {
+    canvas.text(line, MARGIN);
+    canvas.moveDown(14);
+  }
+  // Continue below whichever header column is longer
+  const metaBottom = headerTop - 24 - meta.length * 14;
+  if (canvas.y > metaBottom) canvas.moveDown(canvas.y - metaBottom);
+  canvas.moveDown(16);
+
+  // Buyer
+  canvas.text("Bill to", MARGIN, { bold: true });
+  canvas.moveDown(14);
+  for (const line of [invoice.buyer?.name, ...partyLines(invoice.buyer || {})].filter(Boolean)) {
+    canvas.text(line, MARGIN);
+    canvas.moveDown(14);
+  }
+  canvas.moveDown(16);
+
+  // Line items
+  const columns = { description: MARGIN, period: 280, quantity: 400, unit: 470, amount: right };
+  canvas.text("Description", columns.description, { bold: true });
+  canvas.text("Period", columns.period, { bold: true });
+  canvas.text("Qty", columns.quantity, { bold: true, align: "right" });
+  canvas.text("Unit price", columns.unit, { bold: true, align: "right" });
+  canvas.text("Amount", columns.amount, { bold: true, align: "right" });
+  canvas.moveDown(6);
+  canvas.rule();
+  canvas.moveDown(14);
+
+  for (const item of invoice.lineItems || []) {
+    const period = item.periodStart ? `${formatDate(item.periodStart)} - ${formatDate(item.periodEnd)}` : "";
+    canvas.text(item.description, columns.description);
+    canvas.text(period, columns.period, { size: 8 });
+    canvas.text(String(item.quantity), columns.quantity, { align: "right" });
+    canvas.text(formatAmount(item.unitAmount, currency), columns.unit, { align: "right" });
+    canvas.text(formatAmount(item.amount, currency), columns.amount, { align: "right" });
+    canvas.moveDown(18);
+  }
+  canvas.rule(canvas.y + 8);
+  canvas.moveDown(8);
+
+  // Totals
+  const totals = [["Subtotal", formatAmount(invoice.subtotal, currency)]];
+  if (invoice.discountAmount > 0) {
+    totals.push([`Discount${invoice.couponCode ? ` (${invoice.couponCode})` : ""}`, `-${formatAmount(invoice.discountAmount, currency)}`]);
+  }
+  if (invoice.taxAmount > 0) totals.push(["Tax", formatAmount(invoice.taxAmount, currency)]);
+
+  for (const [label, value] of totals) {
+    canvas.text(label, right - 150);
+    canvas.text(value, right, { align: "right" });
+    canvas.moveDown(16);
+  }
+  canvas.text("Total paid", right - 150, { bold: true, size: 12 });
+  canvas.text(formatAmount(invoice.total, currency), right, { bold: true, size: 12, align: "right" });
+  canvas.moveDown(30);
+
+  if (invoice.paymentMethod) {
+    canvas.text(`Paid with ${invoice.paymentMethod}`, MARGIN);
+    canvas.moveDown(14);
+  }
+  canvas.text("Thank you for your business.", MARGIN, { size: 9 });
+
+  return buildPdf(canvas.pages);
+}
@@ -0,0 +1,142 @@
+import mongoose from "mongoose";
+import Invoice from "../model/Invoice.js";
+import Payment from "../model/Payment.js";
+import Plan from "../model/Plan.js";
+import User from "../model/User.js";
+
+const MAX_NUMBERING_ATTEMPTS = 5;
+
+// First month (1-12) of the financial year; April by default (Indian financial year)
+function financialYearStartMonth() {
+  const month = parseInt(process.env.INVOICE_FY_START_MONTH, 10);
+  return month >= 1 && month <= 12 ? month : 4;
+}
+
+// Financial year label for a date, e.g. 2026-10-19 → "2026-27" (calendar years are just "2026")
+export function financialYearOf(date = new Date()) {
+  const startMonth = financialYearStartMonth();
+  if (startMonth === 1) return String(date.getFullYear());
+
+  const startYear = date.getMonth() + 1 >= startMonth ? date.getFullYear() : date.getFullYear() - 1;
+  return `${startYear}-${String(startYear + 1).slice(-2)}`;
+}
+
+export function formatInvoiceNumber(financialYear, sequence) {
+  const prefix = process.env.INVOICE_PREFIX || "INV";
+  return `${prefix}/${financialYear}/${String(sequence).padStart(6, "0")}`;
+}
+
+// Our company details, as printed on every invoice
+function sellerDetails() {
+  return {
+    name: process.env.SELLER_NAME || "",
+    email: process.env.SELLER_EMAIL || "",
+    address: process.env.SELLER_ADDRESS || "",
+    phone: process.env.SELLER_PHONE || "",
+    taxId: process.env.SELLER_TAX_ID || "",
+  };
+}
+
+// The buyer of a payment: its user, or the user behind its gateway customer or the userId
+// its PaymentIntent carries. A payment that had no user yet is linked to the one found.
+async function findBuyer(payment) {
+  if (payment.user) return User.findById(payment.user);
+
+  const metadataUserId = payment.stripeRaw?.metadata?.userId;
+  let user = null;
+  if (payment.stripeCustomerId) user = await User.findOne({ stripeCustomerId: payment.stripeCustomerId });
+  if (!user && mongoose.isValidObjectId(metadataUserId)) user = await User.findById(metadataUserId);
+
+  if (user) await Payment.updateOne({ _id: payment._id, user: null }, { $set: { user: user._id } });
+  return user;
+}
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Line items and totals for a payment. Payment.amount is what was charged, so the
+// pre-discount subtotal is rebuilt from it; Stripe invoices also tell us tax and quantity.
+function buildLineItems(payment, plan) {
+  const stripeInvoice = payment.stripeRaw?.object === "invoice" ? payment.stripeRaw : null;
+  const taxAmount = round2((stripeInvoice?.tax || 0) / 100);
+  const discountAmount = round2(payment.discountAmount || 0);
+  const total = round2(payment.amount);
+  const subtotal = round2(total + discountAmount - taxAmount);
+  const quantity = stripeInvoice?.lines?.data?.[0]?.quantity || 1;
+
+  const period = plan
+    ? `${plan.BillingPeriod}${plan.BillingInterval > 1 ? ` x${plan.BillingInterval}` : ""}`
+    : null;
+
+  const lineItems = [{
+    description: plan ? `${plan.PlanName} subscription (${period})` : "Subscription",
+    periodStart: payment.periodStart || null,
+    periodEnd: payment.periodEnd || null,
+    quantity,
+    unitAmount: round2(subtotal / quantity),
+    amount: subtotal,
+  }];
+
+  return { lineItems, subtotal, discountAmount, taxAmount, total };
+}
+
+// Issue the invoice for a succeeded payment; returns the existing one if already issued.
+// Free activations and unpaid payments get no invoice.
+//
+// Numbers are taken as "last number in the financial year + 1" and guarded by a unique
+// index, so a lost race retries with the next number instead of leaving a gap.
+export async function issueInvoiceForPayment(payment) {
+  if (!payment || payment.status !== "succeeded" || !(Number(payment.amount) > 0)) return null;
+
+  const existing = await Invoice.findOne({ payment: payment._id });
+  if (existing) return existing;
+
+  const [user, plan] = await Promise.all([findBuyer(payment), payment.plan ? Plan.findById(payment.plan) : null]);
+
+  // A tax invoice has to name its buyer
+  if (!user) {
+    console.warn(`⚠️ No buyer found for payment ${payment._id}; invoice not issued`);
+    return null;
+  }
+
+  const totals = buildLineItems(payment, plan);
+
+  const data = {
+    payment: payment._id,
+    user: user._id,
+    plan: plan?._id || null,
+    seller: sellerDetails(),
+    buyer: { name: user.fullName, email: user.email, address: user.address || "", phone: user.phone || "" },
+    currency: String(payment.currency || "INR").toUpperCase(),
+    couponCode: payment.couponCode || null,
+    paidAt: payment.createdAt || new Date(),
+    paymentMethod: payment.cardBrand && payment.cardLast4 ? `${payment.cardBrand} ending ${payment.cardLast4}` : null,
+    stripeInvoiceId: payment.stripeInvoiceId || null,
+    ...totals,
+  };
+
+  for (let attempt = 0; attempt < MAX_NUMBERING_ATTEMPTS; attempt++) {
+    const issuedAt = new Date();
+    const financialYear = financialYearOf(issuedAt);
+    const last = await Invoice.findOne({ financialYear }).sort({ sequence: -1 }).select("sequence");
+    const sequence = (last?.sequence || 0) + 1;
+
+    try {
+      return await Invoice.create({
+        ...data,
+        financialYear,
+        sequence,
+        number: formatInvoiceNumber(financialYear, sequence),
+        issuedAt,
+      });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+
+      // Another process invoiced this payment first
+      const issued = await Invoice.findOne({ payment: payment._id });
+      if (issued) return issued;
+      // Otherwise the number was taken; try the next one
+    }
+  }
+
+  throw new Error(`Could not allocate an invoice number for payment ${payment._id}`);
+}
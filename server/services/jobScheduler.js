@@ -0,0 +1,152 @@
+import crypto from "crypto";
+import os from "os";
+import Job from "../model/Job.js";
+
+// In-process scheduler for recurring jobs. Job state lives in the jobs collection, and a
+// job is only run by the instance that atomically claims its lock, so any number of
+// server instances can run the scheduler side by side.
+
+// Identifies this process as a lock holder
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString("hex")}`;
+
+const MINUTE = 60 * 1000;
+
+const definitions = new Map();
+let timer = null;
+let currentTick = null;
+
+function pollInterval() {
+  const seconds = Number(process.env.JOBS_POLL_SECONDS);
+  return (Number.isFinite(seconds) && seconds > 0 ? seconds : 60) * 1000;
+}
+
+// Register a job. interval: ms between runs; lockFor: how long a run may hold the lock
+// before another instance assumes it crashed (default: the interval, at most 30 minutes).
+// The handler resolves with a small summary object that is stored as lastResult.
+export function defineJob(name, { interval, lockFor, handler }) {
+  if (!(interval > 0)) throw new Error(`Job ${name} needs a positive interval`);
+  definitions.set(name, { name, interval, lockFor: lockFor || Math.min(interval, 30 * MINUTE), handler });
+}
+
+export function jobNames() {
+  return [...definitions.keys()];
+}
+
+// Take the job's lock if it is free (and due, unless forced). Returns the job or null.
+function claim(def, { force = false } = {}) {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    {
+      name: def.name,
+      ...(force ? {} : { enabled: true, nextRunAt: { $lte: now } }),
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+    },
+    { $set: { lockedBy: INSTANCE_ID, lockedUntil: new Date(now.getTime() + def.lockFor), lastRunAt: now } },
+    { new: true }
+  );
+}
+
+// Run a claimed job and release its lock, recording the outcome
+async function execute(def, job, params) {
+  const startedAt = Date.now();
+  const update = { lockedBy: null, lockedUntil: null, nextRunAt: new Date(startedAt + def.interval) };
+
+  try {
+    const result = await def.handler({ job, params });
+    Object.assign(update, { lastStatus: "succeeded", lastError: null, lastResult: result ?? null });
+    console.log(`✅ Job ${def.name} finished in ${Date.now() - startedAt}ms`, result ?? "");
+  } catch (err) {
+    Object.assign(update, { lastStatus: "failed", lastError: err?.message || String(err) });
+    console.error(`❌ Job ${def.name} failed:`, err);
+  }
+
+  update.lastFinishedAt = new Date();
+  const inc = update.lastStatus === "failed" ? { runCount: 1, failCount: 1 } : { runCount: 1 };
+
+  // Only release the lock if it is still ours (it may have expired and been taken over)
+  return Job.findOneAndUpdate({ _id: job._id, lockedBy: INSTANCE_ID }, { $set: update, $inc: inc }, { new: true });
+}
+
+async function tick() {
+  for (const def of definitions.values()) {
+    if (!timer) break;
+    try {
+      const job = await claim(def);
+      if (job) await execute(def, job);
+    } catch (err) {
+      console.error(`❌ Scheduler could not run job ${def.name}:`, err.message);
+    }
+  }
+}
+
+// Create missing job documents and keep their interval in step with the definitions
+async function registerJobs() {
+  for (const def of definitions.values()) {
+    try {
+      await Job.updateOne(
+        { name: def.name },
+        { $set: { interval: def.interval }, $setOnInsert: { name: def.name, nextRunAt: new Date() } },
+        { upsert: true }
+      );
+    } catch (err) {
+      // Another instance inserted it first
+      if (err.code !== 11000) throw err;
+    }
+  }
+}
+
+// Start polling for due jobs. Call once the database connection is up.
+export async function startScheduler() {
+  if (timer) return;
+  if (process.env.JOBS_ENABLED === "false") {
+    console.log("ℹ️ Background jobs disabled (JOBS_ENABLED=false)");
+    return;
+  }
+
+  await registerJobs();
+
+  const run = () => {
+    if (currentTick) return;
+    currentTick = tick().finally(() => {
+      currentTick = null;
+    });
+  };
+  timer = setInterval(run, pollInterval());
+  run();
+
+  console.log(`✅ Job scheduler started (${definitions.size} jobs, instance ${INSTANCE_ID})`);
+}
+
+// Stop polling and wait for a run in progress to finish
+export async function stopScheduler() {
+  clearInterval(timer);
+  timer = null;
+  if (currentTick) await currentTick;
+}
+
+// Run a job now regardless of its schedule; `params` is passed on to its handler. Returns the
+// updated job, or null if another run holds the lock. With background: true it returns the
+// claimed job right away and the outcome is recorded on the job document when the run ends.
+export async function runJobNow(name, { params, background = false } = {}) {
+  const def = definitions.get(name);
+  if (!def) return undefined;
+
+  await registerJobs();
+  const job = await claim(def, { force: true });
+  if (!job) return null;
+  if (!background) return execute(def, job, params);
+
+  execute(def, job, params).catch((err) => console.error(`❌ Job ${name} could not record its run:`, err.message));
+  return job;
+}
+
+// Pause or re-enable a job. Returns the job, or null if it is unknown.
+export async function setJobEnabled(name, enabled) {
+  if (!definitions.has(name)) return null;
+  await registerJobs();
+  return Job.findOneAndUpdate({ name }, { $set: { enabled: Boolean(enabled) } }, { new: true });
+}
+
+export async function listJobs() {
+  return Job.find({ name: { $in: jobNames() } }).sort({ name: 1 });
+}
@@ -0,0 +1,164 @@
+import Payment from "../model/Payment.js";
+import Subscription from "../model/Subscription.js";
+import { getGateway } from "../config/gateway.js";
+import { defineJob } from "./jobScheduler.js";
+import { deliverPendingNotifications, notifySubscriptionCanceled } from "./notificationService.js";
+import { deliverPendingWebhooks } from "./outboundWebhookService.js";
+import { reconcilePayments } from "./reconciliationService.js";
+import { dueRenewalReminders, dueTrialReminders, sendRenewalReminder, sendTrialReminder } from "./reminderService.js";
+import { ACTIVE_STATUSES, publishSubscriptionChange, recordCancellationPayment } from "./subscriptionService.js";
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Pending payments older than this never completed (abandoned checkout) and are removed
+function pendingPaymentTtlHours() {
+  const hours = Number(process.env.PENDING_PAYMENT_TTL_HOURS);
+  return Number.isFinite(hours) && hours > 0 ? hours : 48;
+}
+
+// ============================================
+// Free/local subscriptions: end them once their period is over.
+// Stripe ends its own subscriptions and tells us through webhooks.
+// ============================================
+export async function expireLocalSubscriptions(now = new Date()) {
+  const subs = await Subscription.find({
+    stripeSubscriptionId: null,
+    status: { $in: ACTIVE_STATUSES },
+    currentPeriodEnd: { $lte: now }
+  });
+
+  let expired = 0;
+  let canceled = 0;
+  for (const sub of subs) {
+    // A pending cancellation ends as canceled, anything else simply runs out
+    const status = sub.cancelAtPeriodEnd ? "canceled" : "expired";
+    const updated = await Subscription.findOneAndUpdate(
+      { _id: sub._id, status: sub.status },
+      { $set: { status, ...(status === "canceled" ? { canceledAt: sub.currentPeriodEnd } : {}) } },
+      { new: true }
+    );
+    if (!updated) continue;
+
+    await publishSubscriptionChange(sub, updated);
+
+    if (status === "canceled") {
+      await recordCancellationPayment(updated, "canceled at period end");
+      await notifySubscriptionCanceled(updated);
+      canceled++;
+    } else {
+      expired++;
+    }
+  }
+
+  return { expired, canceled };
+}
+
+// ============================================
+// Reminders ahead of renewals, local plan expiries and trial ends
+// ============================================
+export async function sendRenewalReminders(now = new Date()) {
+  let sent = 0;
+  for (const sub of await dueRenewalReminders(now)) {
+    try {
+      if (await sendRenewalReminder(sub)) sent++;
+    } catch (err) {
+      console.error(`❌ Renewal reminder for subscription ${sub._id} failed:`, err.message);
+    }
+  }
+  return { sent };
+}
+
+export async function sendTrialReminders(now = new Date()) {
+  const gateway = getGateway();
+
+  let sent = 0;
+  for (const sub of await dueTrialReminders(now)) {
+    try {
+      // Whether the customer still has to add a card decides the wording
+      const gatewaySub = sub.stripeSubscriptionId && gateway ? await gateway.retrieveSubscription(sub.stripeSubscriptionId) : null;
+      if (await sendTrialReminder(sub, { needsCard: Boolean(gatewaySub) && !gatewaySub.default_payment_method })) sent++;
+    } catch (err) {
+      console.error(`❌ Trial reminder for subscription ${sub._id} failed:`, err.message);
+    }
+  }
+  return { sent };
+}
+
+// ============================================
+// Remove pending Payment rows left behind by abandoned checkouts: nothing on the gateway
+// refers to them (no PaymentIntent, charge, invoice or subscription) and their checkout
+// session, if they have one, has expired. Trials and payments still settling are kept.
+// ============================================
+export async function purgeStalePendingPayments(now = new Date()) {
+  const cutoff = new Date(now.getTime() - pendingPaymentTtlHours() * HOUR);
+  const abandoned = {
+    status: "pending",
+    createdAt: { $lt: cutoff },
+    stripeChargeId: null,
+    stripePaymentIntentId: null,
+    stripeInvoiceId: null,
+    stripeSubscriptionId: null
+  };
+
+  const gateway = getGateway();
+  let purged = 0;
+  let kept = 0;
+  for await (const payment of Payment.find(abandoned).select("_id stripeCheckoutSessionId").cursor()) {
+    if (payment.stripeCheckoutSessionId) {
+      const session = gateway ? await gateway.retrieveCheckoutSession(payment.stripeCheckoutSessionId).catch(() => null) : null;
+      if (session?.status !== "expired") {
+        kept++;
+        continue;
+      }
+    }
+    // Re-check in the delete in case a webhook completed it in the meantime
+    const { deletedCount } = await Payment.deleteOne({ _id: payment._id, ...abandoned });
+    purged += deletedCount;
+  }
+  return { purged, kept };
+}
+
+// ============================================
+// Daily report-only reconciliation of the last two days against the gateway.
+// Fixes are left to an admin (POST /admin/reconciliation or npm run reconcile -- --fix).
+// ============================================
+export async function reconcileRecentPayments(now = new Date()) {
+  const gateway = getGateway();
+  if (!gateway) throw new Error("Payment gateway not configured");
+
+  const report = await reconcilePayments(gateway, { from: new Date(now.getTime() - 48 * HOUR), to: now });
+  if (report.discrepancies.length > 0) {
+    console.warn(`⚠️ Reconciliation found ${report.discrepancies.length} discrepancies`, report.summary);
+  }
+  return { ...report.summary, checked: report.checked };
+}
+
+// Reconciliation an admin started for a chosen range (POST /admin/reconciliation), optionally
+// repairing local data. The report becomes the job's lastResult, so the discrepancy list is capped.
+const MAX_STORED_DISCREPANCIES = 500;
+
+export async function reconcilePaymentRange({ from, to, fix = false }) {
+  const gateway = getGateway();
+  if (!gateway) throw new Error("Payment gateway not configured");
+
+  const report = await reconcilePayments(gateway, { from, to, fix });
+  console.log(`✅ Reconciliation ${from.toISOString()} → ${to.toISOString()}:`, report.summary);
+  return {
+    ...report,
+    discrepancies: report.discrepancies.slice(0, MAX_STORED_DISCREPANCIES),
+    discrepancyCount: report.discrepancies.length,
+  };
+}
+
+// Register the maintenance jobs with the scheduler
+export function registerMaintenanceJobs() {
+  defineJob("expire-local-subscriptions", { interval: 15 * MINUTE, handler: () => expireLocalSubscriptions() });
+  defineJob("renewal-reminders", { interval: HOUR, handler: () => sendRenewalReminders() });
+  defineJob("trial-reminders", { interval: HOUR, handler: () => sendTrialReminders() });
+  defineJob("purge-stale-pending-payments", { interval: 6 * HOUR, handler: () => purgeStalePendingPayments() });
+  // Catches messages whose immediate send failed or was cut short by a restart
+  defineJob("deliver-notifications", { interval: MINUTE, handler: () => deliverPendingNotifications() });
+  defineJob("deliver-webhooks", { interval: MINUTE, handler: () => deliverPendingWebhooks() });
+  defineJob("reconcile-payments", { interval: 24 * HOUR, lockFor: HOUR, handler: ({ params }) => (params ? reconcilePaymentRange(params) : reconcileRecentPayments()) });
+}
@@ -0,0 +1,295 @@
+import { escapeHtml, sendMail } from "../config/mailer.js";
+import Notification from "../model/Notification.js";
+import Organization from "../model/Organization.js";
+import Plan from "../model/Plan.js";
+import User from "../model/User.js";
+import en from "../templates/notifications/en.js";
+import hi from "../templates/notifications/hi.js";
+import { localizePrice } from "./planService.js";
+
+// Message templates per language; a template missing from a language falls back to English
+const TEMPLATES = { en, hi };
+
+export const DEFAULT_LOCALE = "en";
+export const SUPPORTED_LOCALES = Object.keys(TEMPLATES);
+
+const MINUTE = 60 * 1000;
+const MAX_RETRY_DELAY = 6 * 60 * MINUTE;
+
+// How long one send may take before another worker assumes it crashed
+const SEND_LOCK_MS = 5 * MINUTE;
+
+const DELIVERY_BATCH_SIZE = 50;
+
+function maxAttempts() {
+  const attempts = Number(process.env.NOTIFICATION_MAX_ATTEMPTS);
+  return Number.isInteger(attempts) && attempts > 0 ? attempts : 6;
+}
+
+// Supported language for a locale tag such as "hi-IN"; English otherwise
+export function resolveLocale(tag) {
+  const language = String(tag || "").split(/[-_]/)[0].toLowerCase();
+  return TEMPLATES[language] ? language : DEFAULT_LOCALE;
+}
+
+// Fill a template's {{placeholders}}; values are escaped in the HTML body
+export function renderTemplate(name, locale, data = {}) {
+  const template = TEMPLATES[locale]?.[name] || TEMPLATES[DEFAULT_LOCALE][name];
+  if (!template) throw new Error(`Unknown notification template "${name}"`);
+
+  const fill = (source, escape = false) =>
+    source.replace(/\{\{(\w+)\}\}/g, (_, key) => {
+      const value = data[key] === null || data[key] === undefined ? "" : String(data[key]);
+      return escape ? escapeHtml(value) : value;
+    });
+
+  return {
+    subject: fill(template.subject),
+    text: fill(template.text),
+    html: template.html ? fill(template.html, true) : null,
+  };
+}
+
+// Values every template may use
+function commonData() {
+  const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
+  return {
+    appName: process.env.APP_NAME || "Subscriptions",
+    accountUrl: `${frontendUrl}/account`,
+    plansUrl: `${frontendUrl}/plans`,
+  };
+}
+
+export function formatDate(date, locale = DEFAULT_LOCALE) {
+  if (!date) return "";
+  try {
+    return new Intl.DateTimeFormat(locale, { dateStyle: "long" }).format(new Date(date));
+  } catch (e) {
+    return new Date(date).toDateString();
+  }
+}
+
+export function formatAmount(amount, currency, locale = DEFAULT_LOCALE) {
+  return localizePrice({ amount: Number(amount) || 0, currency: String(currency || "INR").toUpperCase() }, locale).formatted;
+}
+
+// ============================================
+// Recipients
+// ============================================
+
+// Who hears about a subscription: its user, or the owner of the organization that holds it
+export async function subscriptionRecipient(sub) {
+  if (sub.organization) {
+    const org = await Organization.findById(sub.organization?._id || sub.organization).select("owner");
+    return org ? User.findById(org.owner) : null;
+  }
+  return sub.user ? User.findById(sub.user?._id || sub.user) : null;
+}
+
+// The customer a payment belongs to
+export async function paymentRecipient(payment) {
+  if (payment.user) return User.findById(payment.user?._id || payment.user);
+  if (payment.stripeCustomerId) return User.findOne({ stripeCustomerId: payment.stripeCustomerId });
+  return null;
+}
+
+// ============================================
+// Enqueue
+// ============================================
+
+// Render a message and put it in the outbox. With a dedupeKey, a message already queued
+// for the same event is returned instead of queueing a second one.
+export async function notify({ to, user = null, locale, template, data = {}, dedupeKey = null }) {
+  if (!to) return null;
+
+  const language = resolveLocale(locale);
+  const message = renderTemplate(template, language, { ...commonData(), ...data });
+
+  let notification;
+  try {
+    notification = await Notification.create({ to, user, template, locale: language, dedupeKey, ...message });
+  } catch (err) {
+    if (err.code === 11000 && dedupeKey) return Notification.findOne({ dedupeKey });
+    throw err;
+  }
+
+  deliverSoon();
+  return notification;
+}
+
+// Queue a message to a user in their language. `data` is formatted with formatDate/formatAmount
+// by the caller; the user's name is added here.
+export function notifyUser(user, template, data = {}, { dedupeKey = null } = {}) {
+  if (!user?.email) return null;
+  return notify({
+    to: user.email,
+    user: user._id,
+    locale: user.language,
+    template,
+    data: { name: user.fullName, ...data },
+    dedupeKey,
+  });
+}
+
+// ============================================
+// Events from the payment and subscription code paths
+// ============================================
+
+async function planName(ref) {
+  if (!ref) return "";
+  if (ref.PlanName) return ref.PlanName;
+  const plan = await Plan.findById(ref).select("PlanName");
+  return plan?.PlanName || "";
+}
+
+// Account created
+export function notifyRegistered(user) {
+  return notifyUser(user, "welcome", {}, { dedupeKey: `welcome:${user._id}` });
+}
+
+// Money collected; `invoice` is the tax invoice issued for the payment
+export async function notifyPaymentSucceeded(payment, invoice) {
+  if (!(Number(payment.amount) > 0)) return null;
+  const user = await paymentRecipient(payment);
+  if (!user) return null;
+
+  return notifyUser(
+    user,
+    "payment-succeeded",
+    {
+      plan: await planName(payment.plan),
+      amount: formatAmount(payment.amount, payment.currency, user.language),
+      invoiceNumber: invoice?.number || "",
+    },
+    { dedupeKey: `payment-succeeded:${payment._id}` }
+  );
+}
+
+// A charge for the subscription's invoice failed: one message per attempt. After the
+// final attempt the subscription is on hold.
+export async function notifyPaymentFailed(sub, { invoiceId, attempt, amount, currency, reason, final }) {
+  const user = await subscriptionRecipient(sub);
+  if (!user) return null;
+
+  return notifyUser(
+    user,
+    final ? "payment-failed-final" : "payment-failed",
+    {
+      plan: await planName(sub.plan),
+      amount: formatAmount(amount, currency, user.language),
+      reason: reason || "the payment was declined",
+      graceUntil: formatDate(sub.graceUntil, user.language),
+    },
+    { dedupeKey: `payment-failed:${invoiceId}:${attempt}` }
+  );
+}
+
+// The subscription has ended (sent once, however many paths report it)
+export async function notifySubscriptionCanceled(sub) {
+  const user = await subscriptionRecipient(sub);
+  if (!user) return null;
+
+  return notifyUser(
+    user,
+    "subscription-canceled",
+    { plan: await planName(sub.plan), date: formatDate(sub.canceledAt || new Date(), user.language) },
+    { dedupeKey: `subscription-canceled:${sub._id}` }
+  );
+}
+
+// The customer asked not to renew; access continues until the period end
+export async function notifyCancellationScheduled(sub) {
+  const user = await subscriptionRecipient(sub);
+  if (!user || !sub.currentPeriodEnd) return null;
+
+  return notifyUser(
+    user,
+    "subscription-cancel-scheduled",
+    { plan: await planName(sub.plan), date: formatDate(sub.currentPeriodEnd, user.language) },
+    { dedupeKey: `subscription-cancel-scheduled:${sub._id}:${sub.currentPeriodEnd.toISOString()}` }
+  );
+}
+
+// ============================================
+// Delivery worker
+// ============================================
+
+// 1, 2, 4, 8 ... minutes between attempts, capped at six hours
+const retryDelay = (attempts) => Math.min(MINUTE * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY);
+
+// Take the next due message (or one abandoned mid-send) for this worker
+function claimNext() {
+  const now = new Date();
+  return Notification.findOneAndUpdate(
+    {
+      $or: [
+        { status: "pending", nextAttemptAt: { $lte: now } },
+        { status: "sending", lockedUntil: { $lte: now } }
+      ]
+    },
+    { $set: { status: "sending", lockedUntil: new Date(now.getTime() + SEND_LOCK_MS) }, $inc: { attempts: 1 } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+}
+
+async function deliver(notification) {
+  try {
+    await sendMail({ to: notification.to, subject: notification.subject, text: notification.text, html: notification.html || undefined });
+    await Notification.updateOne(
+      { _id: notification._id },
+      { $set: { status: "sent", sentAt: new Date(), lockedUntil: null, lastError: null } }
+    );
+    return "sent";
+  } catch (err) {
+    const giveUp = notification.attempts >= maxAttempts();
+    await Notification.updateOne(
+      { _id: notification._id },
+      {
+        $set: {
+          status: giveUp ? "failed" : "pending",
+          nextAttemptAt: new Date(Date.now() + retryDelay(notification.attempts)),
+          lockedUntil: null,
+          lastError: err?.message || String(err),
+        }
+      }
+    );
+    console.error(`❌ Notification ${notification._id} (${notification.template}) attempt ${notification.attempts} failed:`, err.message);
+    return giveUp ? "failed" : "retrying";
+  }
+}
+
+// Send due messages, at most `limit` per call. Safe to run from several workers at once.
+export async function deliverPendingNotifications({ limit = DELIVERY_BATCH_SIZE } = {}) {
+  const result = { sent: 0, retrying: 0, failed: 0 };
+  for (let i = 0; i < limit; i++) {
+    const notification = await claimNext();
+    if (!notification) break;
+    result[await deliver(notification)]++;
+  }
+  return result;
+}
+
+// Deliver freshly queued messages right away instead of waiting for the next worker run
+let deliveryScheduled = false;
+function deliverSoon() {
+  if (deliveryScheduled) return;
+  deliveryScheduled = true;
+  setImmediate(() => {
+    deliverPendingNotifications()
+      .catch((err) => console.error("❌ Notification delivery failed:", err.message))
+      .finally(() => {
+        deliveryScheduled = false;
+      });
+  });
+}
+
+// Put a failed message back in the queue with a fresh set of attempts
+export async function retryNotification(id) {
+  const notification = await Notification.findOneAndUpdate(
+    { _id: id, status: "failed" },
+    { $set: { status: "pending", attempts: 0, nextAttemptAt: new Date(), lockedUntil: null } },
+    { new: true }
+  );
+  if (notification) deliverSoon();
+  return notification;
+}
@@ -0,0 +1,47 @@
+import Invitation from "../model/Invitation.js";
+import { getGateway } from "../config/gateway.js";
+import { getOrganizationSubscription, syncStripeSubscription } from "./subscriptionService.js";
+
+// Maximum members a plan allows; a plan without MaxUsers is unlimited
+export function seatLimit(plan) {
+  const max = Number(plan?.MaxUsers);
+  return Number.isFinite(max) && max > 0 ? max : Infinity;
+}
+
+// Seats taken by members plus outstanding invitations
+export async function seatsInUse(org) {
+  const pending = await Invitation.countDocuments({
+    organization: org._id,
+    status: "pending",
+    expiresAt: { $gt: new Date() }
+  });
+  return org.members.length + pending;
+}
+
+// Bill one seat per member: push the member count to the subscription item quantity
+export async function syncSeats(org) {
+  const sub = await getOrganizationSubscription(org._id);
+  if (!sub) return null;
+
+  const quantity = Math.max(org.members.length, 1);
+  if (sub.quantity === quantity) return sub;
+
+  if (!sub.stripeSubscriptionId) {
+    sub.quantity = quantity;
+    await sub.save();
+    return sub;
+  }
+
+  const gateway = getGateway();
+  if (!gateway) throw new Error("Payment gateway not configured");
+
+  const stripeSub = await gateway.retrieveSubscription(sub.stripeSubscriptionId);
+  const item = stripeSub.items.data[0];
+  const updated = await gateway.updateSubscription(sub.stripeSubscriptionId, {
+    items: [{ id: item.id, quantity }],
+    proration_behavior: "create_prorations",
+  });
+
+  console.log(`✅ Organization ${org._id} seats updated to ${quantity}`);
+  return syncStripeSubscription(updated);
+}
@@ -0,0 +1,386 @@
+import crypto from "crypto";
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+import WebhookDelivery from "../model/WebhookDelivery.js";
+import WebhookEndpoint from "../model/WebhookEndpoint.js";
+
+// Events other services can subscribe to
+export const WEBHOOK_EVENT_TYPES = [
+  "subscription.activated",
+  "subscription.renewed",
+  "subscription.past_due",
+  "subscription.unpaid",
+  "subscription.reactivated",
+  "subscription.cancellation_scheduled",
+  "subscription.canceled",
+  "subscription.expired",
+  "payment.succeeded",
+  "payment.failed",
+  "payment.refunded",
+];
+
+export const SIGNATURE_HEADER = "X-Webhook-Signature";
+
+const MINUTE = 60 * 1000;
+const MAX_RETRY_DELAY = 12 * 60 * MINUTE;
+
+// Kept in the delivery log so a receiver's error page can be read without filling the document
+const MAX_LOGGED_RESPONSE = 1024;
+
+const DELIVERY_BATCH_SIZE = 50;
+
+function maxAttempts() {
+  const attempts = Number(process.env.WEBHOOK_MAX_ATTEMPTS);
+  return Number.isInteger(attempts) && attempts > 0 ? attempts : 8;
+}
+
+function requestTimeoutMs() {
+  const ms = Number(process.env.WEBHOOK_TIMEOUT_MS);
+  return Number.isFinite(ms) && ms > 0 ? ms : 10000;
+}
+
+// ============================================
+// Endpoint targets
+// ============================================
+
+// Where webhooks may never go: this host, private networks, link-local (cloud metadata
+// services live at 169.254.169.254), carrier-grade NAT, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.168.0.0", 16], ["224.0.0.0", 4], ["240.0.0.0", 4],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv4");
+}
+// ::/96 covers ::, ::1 and IPv4-compatible addresses (::127.0.0.1); 64:ff9b::/96 is NAT64
+for (const [network, prefix] of [["::", 96], ["64:ff9b::", 96], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv6");
+}
+
+function isBlockedAddress(address) {
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1) reaches the IPv4 address
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], "ipv4");
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+}
+
+// Local receivers can be allowed while developing, never in production
+function allowPrivateTargets() {
+  return process.env.NODE_ENV !== "production" && process.env.WEBHOOK_ALLOW_PRIVATE_URLS === "true";
+}
+
+// Resolve an endpoint URL's host and refuse internal addresses, so endpoints can't be used
+// to make this server call its own network. Returns an error message, or null if allowed.
+// Checked when an endpoint is registered and again before every delivery (DNS can change).
+export async function checkWebhookTarget(url) {
+  if (allowPrivateTargets()) return null;
+
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, "");
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true, verbatim: true });
+  } catch (err) {
+    return `Could not resolve ${host}`;
+  }
+
+  const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+  return blocked ? `url points to a private or local address (${blocked.address})` : null;
+}
+
+// dns.lookup for delivery requests that refuses internal addresses. The request connects to
+// the address checked here, so a host can't pass checkWebhookTarget and then resolve to an
+// internal address for the delivery itself (DNS rebinding).
+function vettedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+
+    const blocked = allowPrivateTargets() ? null : addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) return callback(new Error(`url points to a private or local address (${blocked.address})`));
+    if (addresses.length === 0) return callback(new Error(`Could not resolve ${hostname}`));
+
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+export function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("hex")}`;
+}
+
+// Signature header value for a body: "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${body}`>".
+// Receivers recompute the HMAC with their endpoint's secret and reject stale timestamps.
+export function signWebhookPayload(body, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+}
+
+// ============================================
+// Event payloads
+// ============================================
+
+const refId = (ref) => (ref ? String(ref._id || ref) : null);
+
+export function serializeSubscription(sub) {
+  return {
+    id: String(sub._id),
+    status: sub.status,
+    plan: refId(sub.plan),
+    user: refId(sub.user),
+    organization: refId(sub.organization),
+    quantity: sub.quantity,
+    unitAmount: sub.unitAmount ?? null,
+    currency: sub.currency || null,
+    currentPeriodStart: sub.currentPeriodStart || null,
+    currentPeriodEnd: sub.currentPeriodEnd || null,
+    cancelAtPeriodEnd: Boolean(sub.cancelAtPeriodEnd),
+    canceledAt: sub.canceledAt || null,
+    trialEnd: sub.trialEnd || null,
+    graceUntil: sub.graceUntil || null,
+    stripeSubscriptionId: sub.stripeSubscriptionId || null,
+  };
+}
+
+export function serializePayment(payment) {
+  return {
+    id: String(payment._id),
+    status: payment.status,
+    amount: payment.amount,
+    amountRefunded: payment.amountRefunded || 0,
+    currency: String(payment.currency || "").toUpperCase(),
+    user: refId(payment.user),
+    plan: refId(payment.plan),
+    periodStart: payment.periodStart || null,
+    periodEnd: payment.periodEnd || null,
+    stripeSubscriptionId: payment.stripeSubscriptionId || null,
+    stripeInvoiceId: payment.stripeInvoiceId || null,
+    createdAt: payment.createdAt || null,
+  };
+}
+
+// ============================================
+// Publish
+// ============================================
+
+// Event ids derived from a dedupe key are stable, so reporting the same event twice
+// (e.g. a redelivered Stripe webhook) queues it only once per endpoint
+const eventIdFor = (dedupeKey) =>
+  `evt_${dedupeKey ? crypto.createHash("sha256").update(dedupeKey).digest("hex").slice(0, 24) : crypto.randomBytes(12).toString("hex")}`;
+
+// Queue an event for every enabled endpoint subscribed to its type. `object` is the
+// serialized subscription or payment; `extra` adds event-specific fields to data.
+export async function publishEvent(type, object, { extra = {}, dedupeKey = null } = {}) {
+  if (!WEBHOOK_EVENT_TYPES.includes(type)) throw new Error(`Unknown webhook event type "${type}"`);
+
+  const endpoints = await WebhookEndpoint.find({
+    enabled: true,
+    $or: [{ events: { $size: 0 } }, { events: type }]
+  }).select("_id");
+  if (endpoints.length === 0) return 0;
+
+  const event = {
+    id: eventIdFor(dedupeKey),
+    type,
+    created: new Date().toISOString(),
+    data: { object, ...extra },
+  };
+
+  let queued = 0;
+  for (const endpoint of endpoints) {
+    try {
+      await WebhookDelivery.create({ endpoint: endpoint._id, eventId: event.id, eventType: type, payload: event });
+      queued++;
+    } catch (err) {
+      // Already queued for this endpoint
+      if (err.code !== 11000) throw err;
+    }
+  }
+
+  if (queued > 0) deliverSoon();
+  return queued;
+}
+
+export function publishSubscriptionEvent(type, sub, { extra, dedupeKey } = {}) {
+  return publishEvent(type, serializeSubscription(sub), { extra, dedupeKey });
+}
+
+export function publishPaymentEvent(type, payment, { extra, dedupeKey } = {}) {
+  return publishEvent(type, serializePayment(payment), { extra, dedupeKey });
+}
+
+// ============================================
+// Delivery worker
+// ============================================
+
+// 1, 2, 4, 8 ... minutes between attempts, capped at twelve hours
+const retryDelay = (attempts) => Math.min(MINUTE * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY);
+
+// Take the next due delivery (or one abandoned mid-request) for this worker
+function claimNext() {
+  const now = new Date();
+  return WebhookDelivery.findOneAndUpdate(
+    {
+      $or: [
+        { status: "pending", nextAttemptAt: { $lte: now } },
+        { status: "delivering", lockedUntil: { $lte: now } }
+      ]
+    },
+    { $set: { status: "delivering", lockedUntil: new Date(now.getTime() + requestTimeoutMs() + MINUTE) }, $inc: { attempts: 1 } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+}
+
+// POST the signed event; resolves with the receiver's status and (truncated) body.
+// Uses http(s).request rather than fetch so the host is resolved through vettedLookup.
+// Redirects are not followed.
+function post(endpoint, delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const url = new URL(endpoint.url);
+  const client = url.protocol === "https:" ? https : http;
+
+  // IP addresses in the URL are connected to without a lookup
+  const literal = url.hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(literal) && !allowPrivateTargets() && isBlockedAddress(literal)) {
+    return Promise.reject(new Error(`url points to a private or local address (${literal})`));
+  }
+
+  return new Promise((resolve, reject) => {
+    const request = client.request(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "Content-Length": Buffer.byteLength(body),
+        "User-Agent": "subscriptions-webhooks/1.0",
+        "X-Webhook-Id": delivery.eventId,
+        "X-Webhook-Event": delivery.eventType,
+        [SIGNATURE_HEADER]: signWebhookPayload(body, endpoint.secret),
+      },
+      lookup: vettedLookup,
+    }, (response) => {
+      let text = "";
+      response.setEncoding("utf8");
+      response.on("data", (chunk) => {
+        if (text.length < MAX_LOGGED_RESPONSE) text += chunk;
+      });
+      response.on("end", () => {
+        clearTimeout(timer);
+        const status = response.statusCode;
+        resolve({ status, ok: status >= 200 && status < 300, body: text.slice(0, MAX_LOGGED_RESPONSE) });
+      });
+      response.on("error", reject);
+    });
+
+    const timer = setTimeout(() => {
+      const err = new Error("Webhook request timed out");
+      err.name = "TimeoutError";
+      request.destroy(err);
+    }, requestTimeoutMs());
+
+    request.on("error", (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    request.end(body);
+  });
+}
+
+async function deliver(delivery) {
+  const endpoint = await WebhookEndpoint.findById(delivery.endpoint).select("+secret");
+  const startedAt = Date.now();
+
+  let response = null;
+  let error = null;
+  if (!endpoint || !endpoint.enabled) {
+    error = endpoint ? "Endpoint disabled" : "Endpoint deleted";
+  } else {
+    try {
+      error = await checkWebhookTarget(endpoint.url);
+      if (!error) {
+        response = await post(endpoint, delivery);
+        if (!response.ok) error = `Endpoint responded with HTTP ${response.status}`;
+      }
+    } catch (err) {
+      error = err.name === "TimeoutError" ? `No response within ${requestTimeoutMs()} ms` : err.message;
+    }
+  }
+
+  const entry = {
+    at: new Date(startedAt),
+    attempt: delivery.attempts,
+    responseStatus: response?.status ?? null,
+    responseBody: response?.body || null,
+    error,
+    durationMs: Date.now() - startedAt,
+  };
+
+  if (!error) {
+    await WebhookDelivery.updateOne(
+      { _id: delivery._id },
+      {
+        $set: { status: "succeeded", deliveredAt: new Date(), lockedUntil: null, lastError: null, lastResponseStatus: response.status },
+        $push: { log: entry }
+      }
+    );
+    return "succeeded";
+  }
+
+  // A disabled or deleted endpoint won't start accepting by itself; an admin can redeliver later
+  const giveUp = !endpoint?.enabled || delivery.attempts >= maxAttempts();
+  await WebhookDelivery.updateOne(
+    { _id: delivery._id },
+    {
+      $set: {
+        status: giveUp ? "failed" : "pending",
+        nextAttemptAt: new Date(Date.now() + retryDelay(delivery.attempts)),
+        lockedUntil: null,
+        lastError: error,
+        lastResponseStatus: response?.status ?? null,
+      },
+      $push: { log: entry }
+    }
+  );
+  console.error(`❌ Webhook ${delivery.eventType} (${delivery.eventId}) to endpoint ${delivery.endpoint} attempt ${delivery.attempts} failed:`, error);
+  return giveUp ? "failed" : "retrying";
+}
+
+// Send due deliveries, at most `limit` per call. Safe to run from several workers at once.
+export async function deliverPendingWebhooks({ limit = DELIVERY_BATCH_SIZE } = {}) {
+  const result = { succeeded: 0, retrying: 0, failed: 0 };
+  for (let i = 0; i < limit; i++) {
+    const delivery = await claimNext();
+    if (!delivery) break;
+    result[await deliver(delivery)]++;
+  }
+  return result;
+}
+
+// Deliver freshly queued events right away instead of waiting for the next worker run
+let deliveryScheduled = false;
+function deliverSoon() {
+  if (deliveryScheduled) return;
+  deliveryScheduled = true;
+  setImmediate(() => {
+    deliverPendingWebhooks()
+      .catch((err) => console.error("❌ Webhook delivery failed:", err.message))
+      .finally(() => {
+        deliveryScheduled = false;
+      });
+  });
+}
+
+// Send a delivery again with a fresh set of attempts: failed ones, or succeeded ones a
+// receiver lost. The event keeps its id so receivers can tell it is the same event.
+// Returns null when the delivery doesn't exist and false while it is being sent.
+export async function redeliverWebhook(id) {
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: id, status: { $in: ["pending", "succeeded", "failed"] } },
+    { $set: { status: "pending", attempts: 0, nextAttemptAt: new Date(), lockedUntil: null } },
+    { new: true }
+  );
+  if (delivery) {
+    deliverSoon();
+    return delivery;
+  }
+  return (await WebhookDelivery.exists({ _id: id })) ? false : null;
+}
@@ -0,0 +1,94 @@
+import mongoose from "mongoose";
+import Payment from "../model/Payment.js";
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Raw Stripe payloads are large and may contain data we don't want to hand out
+export const PAYMENT_PROJECTION = "-stripeRaw";
+
+// What customers see of their own payments: no admin refund notes or who issued the refund
+export const CUSTOMER_PAYMENT_PROJECTION = `${PAYMENT_PROJECTION} -refunds.note -refunds.refundedBy`;
+
+// Build a Payment filter from query params: status (comma-separated), plan, currency, from, to.
+// Returns { filter } or { error } with a client-facing message.
+export function buildPaymentFilter(query = {}) {
+  const filter = {};
+
+  if (query.status) {
+    const statuses = String(query.status).split(",").map((s) => s.trim()).filter(Boolean);
+    const allowed = Payment.schema.path("status").enumValues;
+    const unknown = statuses.filter((s) => !allowed.includes(s));
+    if (unknown.length > 0) return { error: `status must be one of: ${allowed.join(", ")}` };
+    filter.status = { $in: statuses };
+  }
+
+  if (query.plan) {
+    if (!mongoose.isValidObjectId(query.plan)) return { error: "plan must be a valid id" };
+    filter.plan = query.plan;
+  }
+
+  // Stripe records currencies in lower case and we write upper case, so match both
+  if (query.currency) {
+    const currency = String(query.currency).trim();
+    filter.currency = { $in: [currency.toUpperCase(), currency.toLowerCase()] };
+  }
+
+  if (query.from || query.to) {
+    const from = query.from ? new Date(query.from) : null;
+    const to = query.to ? new Date(query.to) : null;
+    if ((from && Number.isNaN(from.getTime())) || (to && Number.isNaN(to.getTime()))) {
+      return { error: "from and to must be valid dates" };
+    }
+    filter.createdAt = { ...(from ? { $gte: from } : {}), ...(to ? { $lte: to } : {}) };
+  }
+
+  return { filter };
+}
+
+// Cursors are opaque to clients: the sort key of the last item on the page
+export function encodeCursor(payment) {
+  return Buffer.from(JSON.stringify({ t: payment.createdAt.getTime(), id: String(payment._id) })).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (!Number.isFinite(t) || !mongoose.isValidObjectId(id)) return null;
+    return { createdAt: new Date(t), _id: new mongoose.Types.ObjectId(id) };
+  } catch {
+    return null;
+  }
+}
+
+// One page of payments, newest first. Returns { payments, nextCursor } or { error }.
+export async function listPayments(filter, { cursor, limit, projection = PAYMENT_PROJECTION } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  const query = { ...filter };
+  if (cursor) {
+    const after = decodeCursor(cursor);
+    if (!after) return { error: "Invalid cursor" };
+    query.$and = [
+      ...(query.$and || []),
+      {
+        $or: [
+          { createdAt: { $lt: after.createdAt } },
+          { createdAt: after.createdAt, _id: { $lt: after._id } }
+        ]
+      }
+    ];
+  }
+
+  // Fetch one extra row to know whether another page exists
+  const rows = await Payment.find(query)
+    .select(projection)
+    .populate("plan", "PlanName Price Currency BillingPeriod")
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(pageSize + 1);
+
+  const payments = rows.slice(0, pageSize);
+  const nextCursor = rows.length > pageSize ? encodeCursor(payments[payments.length - 1]) : null;
+
+  return { payments, nextCursor };
+}
@@ -0,0 +1,167 @@
+import Plan from "../model/Plan.js";
+
+// Fields that are baked into a Stripe price; changing any of them requires a new price
+export const PRICING_FIELDS = ["Price", "Currency", "Prices", "BillingPeriod", "BillingInterval"];
+
+// Fields mirrored onto the Stripe product
+export const PRODUCT_FIELDS = ["PlanName", "Description"];
+
+// Create the plan's Stripe product if it doesn't exist yet and return its id
+export async function ensureStripeProduct(stripe, plan) {
+  if (plan.stripeProductId) return plan.stripeProductId;
+
+  const product = await stripe.products.create({
+    name: plan.PlanName,
+    description: plan.Description || `${plan.BillingPeriod} subscription plan`,
+    metadata: {
+      planId: plan._id.toString(),
+    },
+  });
+
+  plan.stripeProductId = product.id;
+  await Plan.findByIdAndUpdate(plan._id, { stripeProductId: product.id });
+  return product.id;
+}
+
+// Currency suggested by a locale's region, e.g. "en-IN" → INR
+const REGION_CURRENCIES = {
+  IN: "INR", US: "USD", GB: "GBP", AU: "AUD", CA: "CAD", SG: "SGD", AE: "AED", NZ: "NZD",
+  DE: "EUR", FR: "EUR", ES: "EUR", IT: "EUR", NL: "EUR", IE: "EUR", BE: "EUR", AT: "EUR", PT: "EUR", FI: "EUR", GR: "EUR"
+};
+
+// Price of the plan in `currency` ({ currency, amount, stripePriceId }), or null if not offered.
+// Without a currency the plan's base price (Price/Currency) is returned.
+export function getPlanPrice(plan, currency) {
+  const base = String(plan.Currency || "INR").toUpperCase();
+  const code = String(currency || base).toUpperCase();
+
+  if (code === base) {
+    return { currency: base, amount: Number(plan.Price) || 0, stripePriceId: plan.stripePriceId || null };
+  }
+
+  const entry = (plan.Prices || []).find((p) => p.currency === code);
+  return entry ? { currency: code, amount: entry.amount, stripePriceId: entry.stripePriceId || null } : null;
+}
+
+// All currencies the plan can be bought in
+export function planCurrencies(plan) {
+  return [String(plan.Currency || "INR").toUpperCase(), ...(plan.Prices || []).map((p) => p.currency)];
+}
+
+// First language tag of an Accept-Language header, e.g. "en-IN"
+export function preferredLocale(acceptLanguage) {
+  const tag = String(acceptLanguage || "").split(",")[0].split(";")[0].trim();
+  return tag || null;
+}
+
+export function currencyFromLocale(locale) {
+  const region = String(locale || "").split(/[-_]/)[1];
+  return region ? REGION_CURRENCIES[region.toUpperCase()] || null : null;
+}
+
+// Pick the currency for a purchase: explicit `currency` in body/query (must be offered),
+// then the customer's locale if the plan is offered in it, then the plan's base currency.
+export function resolveCurrency(req, plan) {
+  const requested = req.body?.currency || req.query?.currency;
+  if (requested) {
+    const code = String(requested).toUpperCase();
+    if (!planCurrencies(plan).includes(code)) return { error: `Plan is not available in ${code}` };
+    return { currency: code };
+  }
+
+  const fromLocale = currencyFromLocale(preferredLocale(req.headers?.["accept-language"]));
+  if (fromLocale && planCurrencies(plan).includes(fromLocale)) return { currency: fromLocale };
+
+  return { currency: String(plan.Currency || "INR").toUpperCase() };
+}
+
+// Price with a display string formatted for the locale
+export function localizePrice(price, locale) {
+  let formatted;
+  try {
+    formatted = new Intl.NumberFormat(locale || "en", { style: "currency", currency: price.currency }).format(price.amount);
+  } catch (e) {
+    formatted = `${price.currency} ${price.amount}`;
+  }
+  return { currency: price.currency, amount: price.amount, formatted };
+}
+
+// Create a recurring Stripe price for one of the plan's prices, without touching the plan
+async function newStripePrice(stripe, plan, price) {
+  const stripeProductId = await ensureStripeProduct(stripe, plan);
+
+  return stripe.prices.create({
+    product: stripeProductId,
+    unit_amount: Math.round(price.amount * 100),
+    currency: price.currency.toLowerCase(),
+    recurring: {
+      interval: plan.BillingPeriod.toLowerCase() === "monthly" ? "month" : "year",
+      interval_count: plan.BillingInterval,
+    },
+    metadata: {
+      planId: plan._id.toString(),
+    },
+  });
+}
+
+// Create a recurring Stripe price for the plan in `currency` (default: base currency) and store it on the plan
+export async function createStripePrice(stripe, plan, currency) {
+  const price = getPlanPrice(plan, currency);
+  if (!price) throw new Error(`Plan is not available in ${currency}`);
+
+  const recurringPrice = await newStripePrice(stripe, plan, price);
+
+  if (price.currency === String(plan.Currency || "INR").toUpperCase()) {
+    plan.stripePriceId = recurringPrice.id;
+    await Plan.findByIdAndUpdate(plan._id, { stripePriceId: recurringPrice.id });
+  } else {
+    plan.Prices.find((p) => p.currency === price.currency).stripePriceId = recurringPrice.id;
+    await Plan.updateOne(
+      { _id: plan._id, "Prices.currency": price.currency },
+      { $set: { "Prices.$.stripePriceId": recurringPrice.id } }
+    );
+  }
+
+  return recurringPrice.id;
+}
+
+// Every Stripe price id the plan currently references
+export function stripePriceIds(plan) {
+  return [plan.stripePriceId, ...(plan.Prices || []).map((p) => p.stripePriceId)].filter(Boolean);
+}
+
+// Stripe prices are immutable: for paid plans create a replacement base price first, then
+// deactivate the old ones (every currency). Other currencies get new prices lazily at checkout.
+// Only the in-memory plan is changed and the caller saves it, so a Stripe failure part-way
+// leaves the stored plan untouched (at worst an unused new price is left in Stripe).
+// Pass previousPriceIds when the plan's Prices were already replaced in memory.
+export async function rotateStripePrice(stripe, plan, previousPriceIds = stripePriceIds(plan)) {
+  // Free plans never go through Stripe checkout; unsynced plans get a price lazily at checkout
+  const replacement = plan.stripeProductId && Number(plan.Price) > 0
+    ? await newStripePrice(stripe, plan, getPlanPrice(plan))
+    : null;
+
+  for (const priceId of previousPriceIds) {
+    await stripe.prices.update(priceId, { active: false });
+  }
+
+  plan.stripePriceId = replacement?.id || null;
+  for (const entry of plan.Prices || []) entry.stripePriceId = null;
+  return plan.stripePriceId;
+}
+
+// Give plans created before slugs existed one, so slug lookups work for the whole catalog.
+// Saving runs the model's slug assignment; safe to run on every start.
+export async function backfillPlanSlugs() {
+  const plans = await Plan.find({ slug: { $not: { $type: "string" } } });
+  let updated = 0;
+  for (const plan of plans) {
+    try {
+      await plan.save();
+      updated++;
+    } catch (err) {
+      console.warn(`⚠️ Could not assign a slug to plan ${plan._id}:`, err.message);
+    }
+  }
+  return updated;
+}
@@ -0,0 +1,373 @@
+import mongoose from "mongoose";
+import Invoice from "../model/Invoice.js";
+import Payment from "../model/Payment.js";
+import Subscription from "../model/Subscription.js";
+import { issueInvoiceForPayment } from "./invoiceService.js";
+import { recordRefund } from "./refundService.js";
+import { fromUnix, recordCancellationPayment, resolvePlanId, syncStripeSubscription } from "./subscriptionService.js";
+
+// Compares what the payment gateway holds with our Payment (and Subscription) rows for a
+// date range, and optionally repairs the local side. The range applies to the creation
+// time of the gateway objects. Only the local database is ever changed.
+//
+// Checks:
+//   charges        every paid charge has exactly one Payment with matching amount, currency,
+//                  status and refunded amount (failed charges are retries and are skipped)
+//   invoices       paid invoices' Payments cover the invoiced period; $0 invoices have a Payment
+//   subscriptions  each has a local Subscription in the same state, and ended ones a canceled Payment entry
+//   payments       Payments in the range that point at a charge the gateway doesn't know
+
+export const MAX_RANGE_DAYS = 366;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Period dates may differ by rounding; anything closer than this counts as equal
+const PERIOD_TOLERANCE_MS = 60 * 1000;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const sameTime = (a, b) => (!a && !b) || (a && b && Math.abs(new Date(a) - new Date(b)) <= PERIOD_TOLERANCE_MS);
+const isoOrNull = (date) => (date ? new Date(date).toISOString() : null);
+
+// Parse from/to (default: the last 30 days). Returns { from, to } or { error }.
+export function parseReconciliationRange({ from, to } = {}) {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - 30 * DAY);
+
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) return { error: "from and to must be valid dates" };
+  if (start > end) return { error: "from must be before to" };
+  if (end - start > MAX_RANGE_DAYS * DAY) return { error: `range can be at most ${MAX_RANGE_DAYS} days` };
+
+  return { from: start, to: end };
+}
+
+// Payment status a charge implies
+function chargeStatus(charge) {
+  if (charge.refunded) return "refunded";
+  if (charge.amount_refunded > 0) return "partially_refunded";
+  return "succeeded";
+}
+
+// Fields of a Payment that should equal the gateway's charge
+function chargeDifferences(charge, payment) {
+  const differences = {};
+  const expected = {
+    amount: round2(charge.amount / 100),
+    currency: String(charge.currency).toLowerCase(),
+    status: chargeStatus(charge),
+    amountRefunded: round2((charge.amount_refunded || 0) / 100),
+    stripeChargeId: charge.id,
+  };
+  const actual = {
+    amount: round2(payment.amount || 0),
+    currency: String(payment.currency || "").toLowerCase(),
+    status: payment.status,
+    amountRefunded: round2(payment.amountRefunded || 0),
+    stripeChargeId: payment.stripeChargeId || null,
+  };
+
+  for (const field of Object.keys(expected)) {
+    if (expected[field] !== actual[field]) differences[field] = { stripe: expected[field], local: actual[field] };
+  }
+  return differences;
+}
+
+function paymentsForCharge(charge) {
+  const or = [{ stripeChargeId: charge.id }];
+  if (charge.payment_intent) or.push({ stripePaymentIntentId: charge.payment_intent });
+  return Payment.find({ $or: or, status: { $ne: "canceled" } }).select("-stripeRaw");
+}
+
+function paymentsForInvoice(invoice) {
+  const or = [{ stripeInvoiceId: invoice.id }];
+  if (invoice.payment_intent) or.push({ stripePaymentIntentId: invoice.payment_intent });
+  return Payment.find({ $or: or, status: { $ne: "canceled" } }).select("-stripeRaw");
+}
+
+const invoicePeriod = (invoice) => invoice.lines?.data?.[0]?.period || {};
+
+// Payment fields for a gateway invoice (and its charge), as the invoice webhook would write them
+async function paymentFromInvoice(invoice, charge, gateway) {
+  const period = invoicePeriod(invoice);
+  let planId = invoice.lines?.data?.[0]?.price?.metadata?.planId || null;
+  let user = null;
+
+  if (invoice.subscription) {
+    const local = await Subscription.findOne({ stripeSubscriptionId: invoice.subscription });
+    user = local?.user || null;
+    planId = planId || local?.plan || resolvePlanId(await gateway.retrieveSubscription(invoice.subscription));
+  }
+
+  return {
+    plan: planId,
+    user,
+    amount: invoice.amount_paid / 100,
+    currency: invoice.currency,
+    status: "succeeded",
+    stripeInvoiceId: invoice.id,
+    stripePaymentIntentId: invoice.payment_intent || null,
+    stripeChargeId: charge?.id || null,
+    stripeSubscriptionId: invoice.subscription || null,
+    stripeCustomerId: invoice.customer,
+    cardBrand: charge?.payment_method_details?.card?.brand || null,
+    cardLast4: charge?.payment_method_details?.card?.last4 || null,
+    periodStart: fromUnix(period.start),
+    periodEnd: fromUnix(period.end),
+    createdAt: fromUnix(invoice.created),
+    stripeRaw: { note: "recorded by reconciliation", invoice: invoice.id },
+  };
+}
+
+// Payment fields for a one-off charge (PaymentIntent checkout)
+async function paymentFromCharge(charge, gateway) {
+  if (charge.invoice) {
+    const invoice = typeof charge.invoice === "string" ? await gateway.retrieveInvoice(charge.invoice) : charge.invoice;
+    return paymentFromInvoice(invoice, charge, gateway);
+  }
+
+  const pi = charge.payment_intent ? await gateway.retrievePaymentIntent(charge.payment_intent) : null;
+  return {
+    plan: pi?.metadata?.planId || charge.metadata?.planId || null,
+    user: mongoose.isValidObjectId(pi?.metadata?.userId) ? pi.metadata.userId : null,
+    amount: charge.amount / 100,
+    currency: charge.currency,
+    status: "succeeded",
+    stripePaymentIntentId: charge.payment_intent || null,
+    stripeChargeId: charge.id,
+    stripeCustomerId: charge.customer || null,
+    cardBrand: charge.payment_method_details?.card?.brand || null,
+    cardLast4: charge.payment_method_details?.card?.last4 || null,
+    couponCode: pi?.metadata?.couponCode || null,
+    discountAmount: Number(pi?.metadata?.discountAmount) || 0,
+    createdAt: fromUnix(charge.created),
+    stripeRaw: { note: "recorded by reconciliation", charge: charge.id },
+  };
+}
+
+// Create the missing Payment; plan is required, so this fails when it can't be worked out
+async function createPayment(data) {
+  if (!data.plan) throw new Error("cannot determine the plan");
+  const payment = await Payment.create(data);
+  await issueInvoiceForPayment(payment);
+  return payment;
+}
+
+// Bring refunds, and with them amountRefunded and status, in line with the charge
+async function syncRefunds(payment, charge, gateway) {
+  const refunds = charge.refunds?.data || (await gateway.listRefunds(charge.id));
+  for (const refund of refunds) {
+    await recordRefund(payment, refund);
+  }
+}
+
+// Of several Payments for one charge keep the one an Invoice points at (or the most complete,
+// then the oldest) and delete the rest. Refuses when more than one has an Invoice.
+async function mergeDuplicates(payments) {
+  const invoiced = new Set((await Invoice.find({ payment: { $in: payments.map((p) => p._id) } }).distinct("payment")).map(String));
+  if (invoiced.size > 1) throw new Error("more than one of the payments has an invoice");
+
+  const ranked = [...payments].sort((a, b) =>
+    Number(invoiced.has(String(b._id))) - Number(invoiced.has(String(a._id))) ||
+    Number(Boolean(b.stripeChargeId)) - Number(Boolean(a.stripeChargeId)) ||
+    a.createdAt - b.createdAt
+  );
+  const [keep, ...remove] = ranked;
+  await Payment.deleteMany({ _id: { $in: remove.map((p) => p._id) } });
+  return keep;
+}
+
+// Run `fix` when fixing is on, recording the outcome on the discrepancy
+async function tryFix(discrepancy, enabled, fix) {
+  if (!enabled) return;
+  try {
+    await fix();
+    discrepancy.fixed = true;
+  } catch (err) {
+    discrepancy.fixError = err.message;
+  }
+}
+
+// ============================================
+// Passes
+// ============================================
+async function reconcileCharges(gateway, range, report, fix) {
+  for await (const charge of gateway.listCharges(range)) {
+    report.checked.charges++;
+    report.seenCharges.add(charge.id);
+    if (charge.status !== "succeeded" || !charge.paid) continue;
+
+    const payments = await paymentsForCharge(charge);
+
+    if (payments.length === 0) {
+      const discrepancy = report.add({ type: "missing", side: "local", object: "charge", id: charge.id, amount: charge.amount / 100, currency: charge.currency });
+      await tryFix(discrepancy, fix, async () => {
+        const payment = await createPayment(await paymentFromCharge(charge, gateway));
+        if (charge.amount_refunded > 0) await syncRefunds(payment, charge, gateway);
+        discrepancy.paymentIds = [payment._id];
+      });
+      continue;
+    }
+
+    let payment = payments[0];
+    if (payments.length > 1) {
+      const discrepancy = report.add({ type: "duplicate", object: "charge", id: charge.id, paymentIds: payments.map((p) => p._id) });
+      await tryFix(discrepancy, fix, async () => {
+        payment = await mergeDuplicates(payments);
+      });
+      if (!discrepancy.fixed) continue;
+    }
+
+    const differences = chargeDifferences(charge, payment);
+    if (Object.keys(differences).length === 0) continue;
+
+    const discrepancy = report.add({ type: "mismatch", object: "charge", id: charge.id, paymentIds: [payment._id], differences });
+    await tryFix(discrepancy, fix, async () => {
+      payment.amount = charge.amount / 100;
+      payment.currency = charge.currency;
+      payment.stripeChargeId = charge.id;
+      if (!["refunded", "partially_refunded"].includes(chargeStatus(charge))) payment.status = "succeeded";
+      await payment.save();
+      await syncRefunds(payment, charge, gateway);
+    });
+  }
+}
+
+async function reconcileInvoices(gateway, range, report, fix) {
+  for await (const invoice of gateway.listInvoices(range)) {
+    report.checked.invoices++;
+    if (invoice.status !== "paid") continue;
+
+    const payments = await paymentsForInvoice(invoice);
+
+    // Invoices that took money are counted through their charge; $0 invoices (trials) only here
+    if (payments.length === 0 && invoice.amount_paid === 0) {
+      const discrepancy = report.add({ type: "missing", side: "local", object: "invoice", id: invoice.id, amount: 0, currency: invoice.currency });
+      await tryFix(discrepancy, fix, async () => {
+        const payment = await createPayment(await paymentFromInvoice(invoice, null, gateway));
+        discrepancy.paymentIds = [payment._id];
+      });
+      continue;
+    }
+    if (payments.length !== 1) continue;
+
+    const [payment] = payments;
+    const period = invoicePeriod(invoice);
+    const differences = {};
+    if (payment.stripeInvoiceId !== invoice.id) differences.stripeInvoiceId = { stripe: invoice.id, local: payment.stripeInvoiceId || null };
+    if (period.start && !sameTime(fromUnix(period.start), payment.periodStart)) {
+      differences.periodStart = { stripe: isoOrNull(fromUnix(period.start)), local: isoOrNull(payment.periodStart) };
+    }
+    if (period.end && !sameTime(fromUnix(period.end), payment.periodEnd)) {
+      differences.periodEnd = { stripe: isoOrNull(fromUnix(period.end)), local: isoOrNull(payment.periodEnd) };
+    }
+    if (Object.keys(differences).length === 0) continue;
+
+    const discrepancy = report.add({ type: "mismatch", object: "invoice", id: invoice.id, paymentIds: [payment._id], differences });
+    await tryFix(discrepancy, fix, () =>
+      Payment.updateOne(
+        { _id: payment._id },
+        { $set: { stripeInvoiceId: invoice.id, periodStart: fromUnix(period.start) || payment.periodStart, periodEnd: fromUnix(period.end) || payment.periodEnd } }
+      )
+    );
+  }
+}
+
+async function reconcileSubscriptions(gateway, range, report, fix) {
+  for await (const stripeSub of gateway.listSubscriptions(range)) {
+    report.checked.subscriptions++;
+
+    const local = await Subscription.findOne({ stripeSubscriptionId: stripeSub.id });
+    if (!local) {
+      const discrepancy = report.add({ type: "missing", side: "local", object: "subscription", id: stripeSub.id });
+      await tryFix(discrepancy, fix, async () => {
+        if (!(await syncStripeSubscription(stripeSub))) throw new Error("cannot determine the plan");
+      });
+      continue;
+    }
+
+    const differences = {};
+    const status = stripeSub.status === "incomplete_expired" ? "expired" : stripeSub.status;
+    if (status !== local.status) differences.status = { stripe: status, local: local.status };
+    if (!sameTime(fromUnix(stripeSub.current_period_end), local.currentPeriodEnd)) {
+      differences.currentPeriodEnd = { stripe: isoOrNull(fromUnix(stripeSub.current_period_end)), local: isoOrNull(local.currentPeriodEnd) };
+    }
+    if (Boolean(stripeSub.cancel_at_period_end) !== Boolean(local.cancelAtPeriodEnd)) {
+      differences.cancelAtPeriodEnd = { stripe: Boolean(stripeSub.cancel_at_period_end), local: Boolean(local.cancelAtPeriodEnd) };
+    }
+
+    if (Object.keys(differences).length > 0) {
+      const discrepancy = report.add({ type: "mismatch", object: "subscription", id: stripeSub.id, subscriptionId: local._id, differences });
+      await tryFix(discrepancy, fix, async () => {
+        const synced = await syncStripeSubscription(stripeSub);
+        if (synced?.status !== status) throw new Error(`status change ${local.status} → ${status} is not allowed`);
+      });
+    }
+
+    // Ended subscriptions carry a zero-amount "canceled" entry in the payment history
+    if (stripeSub.status === "canceled" && !(await Payment.exists({ stripeSubscriptionId: stripeSub.id, status: "canceled" }))) {
+      const discrepancy = report.add({ type: "missing", side: "local", object: "subscription", id: stripeSub.id, note: "no canceled payment entry" });
+      await tryFix(discrepancy, fix, async () => {
+        const synced = (await syncStripeSubscription(stripeSub)) || local;
+        await recordCancellationPayment(synced, "canceled (recorded by reconciliation)");
+      });
+    }
+  }
+}
+
+// Payments in the range whose charge the gateway has never heard of
+async function reconcileLocalPayments(gateway, range, report) {
+  const payments = Payment.find({
+    createdAt: { $gte: range.from, $lte: range.to },
+    stripeChargeId: { $type: "string" }
+  }).select("_id stripeChargeId").cursor();
+
+  for await (const payment of payments) {
+    report.checked.payments++;
+    if (report.seenCharges.has(payment.stripeChargeId)) continue;
+
+    try {
+      await gateway.retrieveCharge(payment.stripeChargeId);
+    } catch (err) {
+      if (err.statusCode !== 404) throw err;
+      report.add({ type: "missing", side: "stripe", object: "payment", id: String(payment._id), stripeChargeId: payment.stripeChargeId });
+    }
+  }
+}
+
+// ============================================
+// Run a reconciliation over [from, to]. With fix, repairs what it can in the local data.
+// ============================================
+export async function reconcilePayments(gateway, { from, to, fix = false } = {}) {
+  const range = { from, to };
+  const discrepancies = [];
+  const report = {
+    checked: { charges: 0, invoices: 0, subscriptions: 0, payments: 0 },
+    seenCharges: new Set(),
+    add(discrepancy) {
+      const entry = { ...discrepancy, fixed: false };
+      discrepancies.push(entry);
+      return entry;
+    },
+  };
+
+  // Charges first: they create missing Payments the later passes then find
+  await reconcileCharges(gateway, range, report, fix);
+  await reconcileInvoices(gateway, range, report, fix);
+  await reconcileSubscriptions(gateway, range, report, fix);
+  await reconcileLocalPayments(gateway, range, report);
+
+  const count = (type) => discrepancies.filter((d) => d.type === type).length;
+  return {
+    gateway: gateway.name,
+    from: range.from,
+    to: range.to,
+    fix,
+    checked: report.checked,
+    summary: {
+      missing: count("missing"),
+      duplicate: count("duplicate"),
+      mismatch: count("mismatch"),
+      fixed: discrepancies.filter((d) => d.fixed).length,
+    },
+    discrepancies,
+  };
+}
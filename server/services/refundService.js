@@ -0,0 +1,130 @@
+import Payment from "../model/Payment.js";
+import { fromUnix } from "./subscriptionService.js";
+import { publishPaymentEvent } from "./outboundWebhookService.js";
+
+// Payments that still have money left to give back
+export const REFUNDABLE_STATUSES = ["succeeded", "partially_refunded"];
+
+// Reasons Stripe accepts on a refund; free-text explanations go in the note
+export const REFUND_REASONS = ["duplicate", "fraudulent", "requested_by_customer"];
+
+// Refund states that count against the payment (failed/canceled refunds returned nothing)
+const COUNTED_REFUND_STATUSES = ["pending", "requires_action", "succeeded"];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+export function refundableAmount(payment) {
+  return round2((payment.amount || 0) - (payment.amountRefunded || 0));
+}
+
+// Payment that a Stripe charge or refund belongs to
+export function findPaymentForCharge({ chargeId, paymentIntentId }) {
+  const or = [];
+  if (chargeId) or.push({ stripeChargeId: chargeId });
+  if (paymentIntentId) or.push({ stripePaymentIntentId: paymentIntentId });
+  return or.length > 0 ? Payment.findOne({ $or: or }) : null;
+}
+
+// Statuses a late "succeeded" event (invoice.paid, charge.succeeded ...) must not overwrite
+export const REFUNDED_STATUSES = ["refunded", "partially_refunded"];
+
+// Mark the payments matching `filter` succeeded, leaving refunded ones as they are
+export function markPaymentsSucceeded(filter) {
+  return Payment.updateMany({ ...filter, status: { $nin: REFUNDED_STATUSES } }, { $set: { status: "succeeded" } });
+}
+
+const refundedTotal = {
+  $round: [
+    {
+      $sum: {
+        $map: {
+          input: { $filter: { input: "$refunds", cond: { $in: ["$$this.status", COUNTED_REFUND_STATUSES] } } },
+          in: "$$this.amount"
+        }
+      }
+    },
+    2
+  ]
+};
+
+// Recompute amountRefunded and the refund status from the refunds list, in the database so
+// refunds recorded at the same time by a webhook and an admin both count
+const applyRefundTotals = [
+  { $set: { amountRefunded: refundedTotal } },
+  {
+    $set: {
+      status: {
+        $switch: {
+          branches: [
+            {
+              case: { $gt: ["$amountRefunded", 0] },
+              then: { $cond: [{ $gte: ["$amountRefunded", "$amount"] }, "refunded", "partially_refunded"] }
+            },
+            // every refund failed or was canceled
+            { case: { $in: ["$status", REFUNDED_STATUSES] }, then: "succeeded" },
+          ],
+          default: "$status"
+        }
+      },
+      refundedAt: {
+        $cond: [
+          { $gt: ["$amountRefunded", 0] },
+          { $ifNull: ["$refundedAt", "$$NOW"] },
+          { $cond: [{ $in: ["$status", REFUNDED_STATUSES] }, null, "$refundedAt"] }
+        ]
+      }
+    }
+  }
+];
+
+// Update a refund already recorded on the payment; false if it isn't there
+async function updateRecordedRefund(paymentId, refundId, data) {
+  const { matchedCount } = await Payment.updateOne(
+    { _id: paymentId, "refunds.stripeRefundId": refundId },
+    { $set: { "refunds.$.amount": data.amount, "refunds.$.status": data.status, "refunds.$.reason": data.reason } }
+  );
+  return matchedCount > 0;
+}
+
+// Add or update a Stripe refund on the payment, then recompute its totals and status.
+// `details` (note, refundedBy) is only used when the refund is first recorded.
+// Returns the updated payment; the document passed in is left as it was.
+export async function recordRefund(payment, refund, details = {}) {
+  const data = {
+    amount: refund.amount / 100,
+    status: refund.status,
+    reason: refund.reason || null,
+  };
+
+  // Update the refund if it is already recorded, otherwise add it; the $ne guard keeps a
+  // webhook and the admin request that made the refund from adding it twice
+  if (!(await updateRecordedRefund(payment._id, refund.id, data))) {
+    const added = await Payment.updateOne(
+      { _id: payment._id, "refunds.stripeRefundId": { $ne: refund.id } },
+      {
+        $push: {
+          refunds: {
+            stripeRefundId: refund.id,
+            ...data,
+            note: details.note ?? refund.metadata?.note ?? null,
+            refundedBy: details.refundedBy || refund.metadata?.refundedBy || null,
+            createdAt: fromUnix(refund.created) || new Date(),
+          }
+        }
+      }
+    );
+    // Added by someone else in between
+    if (added.matchedCount === 0) await updateRecordedRefund(payment._id, refund.id, data);
+  }
+
+  const updated = await Payment.findOneAndUpdate({ _id: payment._id }, applyRefundTotals, { new: true, updatePipeline: true });
+  if (!updated) return null;
+
+  if (COUNTED_REFUND_STATUSES.includes(refund.status)) {
+    await publishPaymentEvent("payment.refunded", updated, {
+      extra: { refund: { id: refund.id, amount: refund.amount / 100, status: refund.status, reason: refund.reason || null } },
+      dedupeKey: `payment.refunded:${refund.id}`,
+    });
+  }
+  return updated;
+}
@@ -0,0 +1,82 @@
+import Subscription from "../model/Subscription.js";
+import { formatDate, notifyUser, subscriptionRecipient } from "./notificationService.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const daysFromEnv = (name, fallback) => {
+  const days = Number(process.env[name]);
+  return Number.isFinite(days) && days >= 0 ? days : fallback;
+};
+
+// Days before a renewal (or a local plan's expiry) the subscriber is reminded
+export const renewalReminderDays = () => daysFromEnv("RENEWAL_REMINDER_DAYS", 7);
+
+// Days before a trial ends the subscriber is reminded
+export const trialReminderDays = () => daysFromEnv("TRIAL_REMINDER_DAYS", 3);
+
+// Mark the reminder as sent for `at`; false if it already was (by another instance or path)
+async function claimReminder(sub, field, at) {
+  const claimed = await Subscription.findOneAndUpdate(
+    { _id: sub._id, [field]: { $ne: at } },
+    { $set: { [field]: at } },
+    { new: true }
+  );
+  return Boolean(claimed);
+}
+
+// Remind the subscriber that the current period ends on `at` (default: currentPeriodEnd).
+// Paid subscriptions renew then; free/local ones expire. Sent once per period.
+export async function sendRenewalReminder(sub, at = sub.currentPeriodEnd) {
+  if (!at || !(await claimReminder(sub, "renewalReminderFor", at))) return false;
+
+  const user = await subscriptionRecipient(sub);
+  if (!user) return false;
+
+  const renews = Boolean(sub.stripeSubscriptionId);
+  await notifyUser(
+    user,
+    renews ? "renewal-reminder" : "plan-expiring",
+    { plan: sub.plan?.PlanName || "", date: formatDate(at, user.language) },
+    { dedupeKey: `renewal-reminder:${sub._id}:${at.toISOString()}` }
+  );
+
+  console.log(`✅ Renewal reminder queued for subscription ${sub._id}`);
+  return true;
+}
+
+// Remind the subscriber that the trial ends on trialEnd. Sent once per trial.
+export async function sendTrialReminder(sub, { needsCard = false } = {}) {
+  if (!sub.trialEnd || !(await claimReminder(sub, "trialReminderFor", sub.trialEnd))) return false;
+
+  const user = await subscriptionRecipient(sub);
+  if (!user) return false;
+
+  await notifyUser(
+    user,
+    needsCard ? "trial-ending-add-card" : "trial-ending",
+    { date: formatDate(sub.trialEnd, user.language) },
+    { dedupeKey: `trial-reminder:${sub._id}:${sub.trialEnd.toISOString()}` }
+  );
+
+  console.log(`✅ Trial reminder queued for subscription ${sub._id}`);
+  return true;
+}
+
+// Subscriptions whose renewal/expiry or trial end falls within the reminder window
+export function dueRenewalReminders(now = new Date()) {
+  return Subscription.find({
+    status: "active",
+    cancelAtPeriodEnd: false,
+    collectionPaused: { $ne: true },
+    currentPeriodEnd: { $gt: now, $lte: new Date(now.getTime() + renewalReminderDays() * DAY) },
+    $expr: { $ne: ["$renewalReminderFor", "$currentPeriodEnd"] }
+  }).populate("plan", "PlanName");
+}
+
+export function dueTrialReminders(now = new Date()) {
+  return Subscription.find({
+    status: "trialing",
+    trialEnd: { $gt: now, $lte: new Date(now.getTime() + trialReminderDays() * DAY) },
+    $expr: { $ne: ["$trialReminderFor", "$trialEnd"] }
+  });
+}
@@ -0,0 +1,123 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Session from "../model/Session.js";
+import User from "../model/User.js";
+import { accessTokenTtl, generateToken } from "../config/auth.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Days a session stays signed in without being refreshed
+function refreshTokenTtlDays() {
+  const days = Number(process.env.REFRESH_TOKEN_TTL_DAYS);
+  return Number.isFinite(days) && days > 0 ? days : 30;
+}
+
+const hashToken = (secret) => crypto.createHash("sha256").update(secret).digest("hex");
+
+// Refresh tokens are "<session id>.<secret>"; only the secret's hash is stored
+function newRefreshToken(sessionId) {
+  const secret = crypto.randomBytes(32).toString("base64url");
+  return {
+    refreshToken: `${sessionId}.${secret}`,
+    tokenHash: hashToken(secret),
+    expiresAt: new Date(Date.now() + refreshTokenTtlDays() * DAY),
+  };
+}
+
+function parseRefreshToken(token) {
+  const [sessionId, secret] = String(token || "").split(".");
+  if (!secret || !mongoose.isValidObjectId(sessionId)) return null;
+  return { sessionId, secret };
+}
+
+function sameHash(a, b) {
+  const left = Buffer.from(a || "");
+  const right = Buffer.from(b || "");
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+const tokensFor = (user, session, refreshToken) => ({
+  token: generateToken(user._id, session._id),
+  refreshToken,
+  expiresIn: accessTokenTtl(),
+  refreshExpiresAt: session.expiresAt,
+});
+
+// Start a session for a user who just proved their credentials
+export async function createSession(user, { userAgent = "", ip = "" } = {}) {
+  const sessionId = new mongoose.Types.ObjectId();
+  const { refreshToken, tokenHash, expiresAt } = newRefreshToken(sessionId);
+  const session = await Session.create({ _id: sessionId, user: user._id, tokenHash, expiresAt, userAgent, ip });
+  return tokensFor(user, session, refreshToken);
+}
+
+// Whether a session may still be used: not revoked, not expired, and started after the
+// user's last password change or "log out everywhere"
+export function sessionIsActive(session, user, now = new Date()) {
+  if (!session || session.revokedAt || session.expiresAt <= now) return false;
+  const cutoff = Math.max(user.passwordChangedAt?.getTime() || 0, user.tokensRevokedAt?.getTime() || 0);
+  return session.createdAt.getTime() >= cutoff;
+}
+
+// Swap a refresh token for a new access token and a new refresh token. Presenting a refresh
+// token that was already swapped means it was copied, so the whole session is revoked.
+// Returns { error } when the token can't be used.
+export async function refreshSession(refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return { error: "Invalid refresh token" };
+
+  const session = await Session.findById(parsed.sessionId);
+  const user = session ? await User.findById(session.user) : null;
+  if (!session || !user || !sessionIsActive(session, user)) return { error: "Session expired, please log in again" };
+
+  const presentedHash = hashToken(parsed.secret);
+  if (!sameHash(presentedHash, session.tokenHash)) {
+    await revokeSession(session._id, "refresh token reuse");
+    console.warn(`⚠️ Refresh token reuse on session ${session._id}; session revoked`);
+    return { error: "Session expired, please log in again" };
+  }
+
+  // Swap atomically so two requests racing with the same token can't both succeed
+  const { refreshToken: nextToken, tokenHash, expiresAt } = newRefreshToken(session._id);
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: presentedHash, revokedAt: null },
+    { $set: { tokenHash, expiresAt, lastUsedAt: new Date() } },
+    { new: true }
+  );
+  if (!rotated) return { error: "Session expired, please log in again" };
+
+  return tokensFor(user, rotated, nextToken);
+}
+
+// Log out the session a refresh token belongs to; false if the token doesn't match
+export async function endSession(refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return false;
+
+  const ended = await Session.findOneAndUpdate(
+    { _id: parsed.sessionId, tokenHash: hashToken(parsed.secret), revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: "logout" } }
+  );
+  return Boolean(ended);
+}
+
+export function revokeSession(sessionId, reason = "logout") {
+  return Session.findOneAndUpdate(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+    { new: true }
+  );
+}
+
+// End every session of a user (log out all devices, password change). Access tokens issued
+// before now are rejected by authMiddleware even if their session lookup were skipped.
+export async function revokeAllSessions(userId, reason = "logout all devices") {
+  const now = new Date();
+  const { modifiedCount } = await Session.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: now, revokedReason: reason } }
+  );
+  // JWT iat has second precision, so back-date by a second to keep the next login valid
+  await User.updateOne({ _id: userId }, { $set: { tokensRevokedAt: new Date(now.getTime() - 1000) } });
+  return modifiedCount;
+}
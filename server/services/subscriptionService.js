@@ -0,0 +1,349 @@
+import mongoose from "mongoose";
+import Payment from "../model/Payment.js";
+import Subscription from "../model/Subscription.js";
+import Organization from "../model/Organization.js";
+import { publishSubscriptionEvent } from "./outboundWebhookService.js";
+
+// Statuses that grant access to the subscribed plan
+export const ACTIVE_STATUSES = ["trialing", "active"];
+
+// Statuses in which we are trying to collect a failed payment
+export const DUNNING_STATUSES = ["past_due", "unpaid"];
+
+// Allowed status transitions. Anything else is a stale or out-of-order update and is ignored.
+const TRANSITIONS = {
+  incomplete: ["incomplete", "trialing", "active", "past_due", "canceled", "expired"],
+  trialing: ["trialing", "active", "past_due", "unpaid", "canceled", "expired"],
+  active: ["active", "past_due", "unpaid", "canceled", "expired"],
+  past_due: ["past_due", "active", "unpaid", "canceled", "expired"],
+  unpaid: ["unpaid", "active", "canceled", "expired"],
+  canceled: ["canceled"],
+  expired: ["expired"],
+};
+
+export function canTransition(from, to) {
+  return !from || (TRANSITIONS[from] || []).includes(to);
+}
+
+// Days a past_due subscriber keeps access while Stripe retries the payment
+export function gracePeriodDays() {
+  const days = Number(process.env.SUBSCRIPTION_GRACE_DAYS);
+  return Number.isFinite(days) && days >= 0 ? days : 3;
+}
+
+// Fields reset once a subscription is back in good standing
+const CLEARED_DUNNING = { dunningStartedAt: null, graceUntil: null, failedPaymentCount: 0, lastPaymentError: null };
+
+// Convert a Stripe unix timestamp (seconds) to a Date
+export function fromUnix(ts) {
+  return ts ? new Date(ts * 1000) : null;
+}
+
+// Compute the end of a billing period based on plan tenure
+export function computePeriodEnd(plan, start = new Date()) {
+  const end = new Date(start);
+  const bp = (plan?.BillingPeriod || "monthly").toString().toLowerCase();
+  const interval = Number(plan?.BillingInterval) || 1;
+
+  if (bp === "monthly") {
+    end.setMonth(end.getMonth() + interval);
+  } else {
+    // treat anything else as yearly
+    end.setFullYear(end.getFullYear() + interval);
+  }
+  return end;
+}
+
+// Map a Stripe subscription status onto our local status enum
+function mapStripeStatus(status) {
+  if (status === "incomplete_expired") return "expired";
+  if (Subscription.schema.path("status").enumValues.includes(status)) return status;
+  return "incomplete";
+}
+
+// Resolve planId from a Stripe subscription (subscription metadata, then price metadata)
+export function resolvePlanId(stripeSub) {
+  return stripeSub?.metadata?.planId ||
+    stripeSub?.items?.data?.[0]?.price?.metadata?.planId ||
+    null;
+}
+
+// Per-seat price and currency of the subscription's item, when Stripe included it
+function billedPrice(stripeSub) {
+  const price = stripeSub?.items?.data?.[0]?.price;
+  if (!price || price.unit_amount == null) return {};
+  return { unitAmount: price.unit_amount / 100, currency: String(price.currency).toUpperCase() };
+}
+
+// Create or update the local Subscription mirroring a Stripe subscription object.
+// Pass eventAt (the Stripe event's creation time) when the object comes from an event
+// payload, so an older snapshot delivered late cannot overwrite newer state.
+export async function syncStripeSubscription(stripeSub, overrides = {}, { eventAt = null } = {}) {
+  if (!stripeSub?.id) return null;
+
+  const existing = await Subscription.findOne({ stripeSubscriptionId: stripeSub.id });
+
+  if (eventAt && existing?.lastEventAt && existing.lastEventAt > eventAt) {
+    console.log(`ℹ️ Ignoring stale snapshot of subscription ${stripeSub.id}`);
+    return existing;
+  }
+
+  const update = {
+    stripeSubscriptionId: stripeSub.id,
+    stripeCustomerId: typeof stripeSub.customer === "string" ? stripeSub.customer : stripeSub.customer?.id || null,
+    status: mapStripeStatus(stripeSub.status),
+    currentPeriodStart: fromUnix(stripeSub.current_period_start),
+    currentPeriodEnd: fromUnix(stripeSub.current_period_end),
+    cancelAtPeriodEnd: Boolean(stripeSub.cancel_at_period_end),
+    canceledAt: fromUnix(stripeSub.canceled_at),
+    collectionPaused: Boolean(stripeSub.pause_collection),
+    pausedUntil: fromUnix(stripeSub.pause_collection?.resumes_at),
+    trialStart: fromUnix(stripeSub.trial_start),
+    trialEnd: fromUnix(stripeSub.trial_end),
+    quantity: stripeSub.items?.data?.[0]?.quantity || 1,
+    ...billedPrice(stripeSub),
+    ...(eventAt ? { lastEventAt: eventAt } : {}),
+    ...overrides,
+  };
+
+  const planId = overrides.plan || resolvePlanId(stripeSub);
+  if (planId) update.plan = planId;
+
+  const userId = overrides.user || stripeSub.metadata?.userId;
+  if (userId) update.user = userId;
+
+  const organizationId = overrides.organization || stripeSub.metadata?.organizationId;
+  if (organizationId) update.organization = organizationId;
+
+  // A scheduled plan change has taken effect
+  if (existing?.pendingPlan && update.plan && String(existing.pendingPlan) === String(update.plan)) {
+    update.pendingPlan = null;
+    update.pendingPlanEffectiveAt = null;
+  }
+
+  if (!canTransition(existing?.status, update.status)) {
+    console.warn(`⚠️ Subscription ${stripeSub.id}: ignoring status change ${existing.status} → ${update.status}`);
+    delete update.status;
+  } else if (ACTIVE_STATUSES.includes(update.status)) {
+    Object.assign(update, CLEARED_DUNNING);
+  } else if (update.status === "past_due" && !existing?.graceUntil && !("graceUntil" in overrides)) {
+    // customer.subscription.updated can arrive before invoice.payment_failed: start the
+    // grace window here so the subscriber isn't cut off before the failure is recorded
+    const startedAt = existing?.dunningStartedAt || new Date();
+    update.dunningStartedAt = startedAt;
+    update.graceUntil = new Date(startedAt.getTime() + gracePeriodDays() * 24 * 60 * 60 * 1000);
+  }
+
+  // plan is required, so only insert when we know it; otherwise update an existing row
+  const synced = update.plan
+    ? await Subscription.findOneAndUpdate(
+      { stripeSubscriptionId: stripeSub.id },
+      { $set: update },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    )
+    : await Subscription.findOneAndUpdate({ stripeSubscriptionId: stripeSub.id }, { $set: update }, { new: true });
+
+  await publishSubscriptionChange(existing, synced);
+  return synced;
+}
+
+// Outbound webhook events for a subscription going from `before` (null when new) to `after`
+export function subscriptionChangeEvents(before, after) {
+  if (!after) return [];
+
+  const was = before?.status || null;
+  const is = after.status;
+  const id = String(after._id);
+  const iso = (date) => (date ? new Date(date).toISOString() : "");
+  const events = [];
+
+  if (is !== was) {
+    if (ACTIVE_STATUSES.includes(is) && (!was || was === "incomplete")) {
+      events.push(["subscription.activated", id]);
+    } else if (ACTIVE_STATUSES.includes(is) && DUNNING_STATUSES.includes(was)) {
+      events.push(["subscription.reactivated", `${id}:${iso(before.dunningStartedAt)}`]);
+    } else if (DUNNING_STATUSES.includes(is)) {
+      events.push([`subscription.${is}`, `${id}:${iso(after.dunningStartedAt)}`]);
+    } else if (is === "canceled" || is === "expired") {
+      events.push([`subscription.${is}`, id]);
+    }
+  }
+
+  // A new period on a subscription that already had access (including a trial converting)
+  if (
+    was && ACTIVE_STATUSES.includes(was) && is === "active" &&
+    before.currentPeriodEnd && after.currentPeriodEnd && after.currentPeriodEnd > before.currentPeriodEnd
+  ) {
+    events.push(["subscription.renewed", `${id}:${iso(after.currentPeriodEnd)}`]);
+  }
+
+  if (after.cancelAtPeriodEnd && !before?.cancelAtPeriodEnd && ["trialing", "active", "past_due", "unpaid"].includes(is)) {
+    events.push(["subscription.cancellation_scheduled", `${id}:${iso(after.currentPeriodEnd)}`]);
+  }
+
+  return events.map(([type, key]) => ({ type, dedupeKey: `${type}:${key}` }));
+}
+
+// Tell webhook subscribers what changed. Local (non-Stripe) subscriptions call this
+// directly with a snapshot taken before the change.
+export async function publishSubscriptionChange(before, after) {
+  for (const { type, dedupeKey } of subscriptionChangeEvents(before, after)) {
+    await publishSubscriptionEvent(type, after, { dedupeKey });
+  }
+}
+
+// Record a failed renewal payment and move the subscription into dunning.
+// While Stripe still has retries left the subscriber is past_due and keeps access
+// until graceUntil; once retries are exhausted the subscription becomes unpaid.
+export async function recordPaymentFailure(stripeSubscriptionId, { error = null, retriesExhausted = false } = {}) {
+  const sub = await Subscription.findOne({ stripeSubscriptionId });
+  if (!sub) return null;
+
+  const nextStatus = retriesExhausted ? "unpaid" : "past_due";
+  if (!canTransition(sub.status, nextStatus)) {
+    console.warn(`⚠️ Subscription ${stripeSubscriptionId}: ignoring payment failure in status ${sub.status}`);
+    return sub;
+  }
+
+  const before = sub.toObject();
+  const now = new Date();
+  sub.status = nextStatus;
+  sub.dunningStartedAt = sub.dunningStartedAt || now;
+  sub.graceUntil = retriesExhausted
+    ? now
+    : sub.graceUntil || new Date(sub.dunningStartedAt.getTime() + gracePeriodDays() * 24 * 60 * 60 * 1000);
+  sub.failedPaymentCount = (sub.failedPaymentCount || 0) + 1;
+  sub.lastPaymentError = error;
+  await sub.save();
+
+  await publishSubscriptionChange(before, sub);
+  return sub;
+}
+
+// Add a zero-amount "canceled" entry to the subscriber's Payment history.
+// Stripe subscriptions get at most one such entry, however many paths report the cancellation.
+export async function recordCancellationPayment(sub, note) {
+  const paymentData = {
+    user: sub.user,
+    plan: sub.plan?._id || sub.plan,
+    amount: 0,
+    currency: (process.env.STRIPE_CURRENCY || "INR").toUpperCase(),
+    status: "canceled",
+    stripeSubscriptionId: sub.stripeSubscriptionId,
+    stripeCustomerId: sub.stripeCustomerId,
+    periodStart: sub.currentPeriodStart,
+    periodEnd: sub.canceledAt || new Date(),
+    stripeRaw: { note },
+  };
+
+  if (!sub.stripeSubscriptionId) return Payment.create(paymentData);
+
+  return Payment.findOneAndUpdate(
+    { stripeSubscriptionId: sub.stripeSubscriptionId, status: "canceled" },
+    { $setOnInsert: paymentData },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+}
+
+// Mongo filter for subscriptions that currently grant access
+function accessFilter(now = new Date()) {
+  return {
+    $and: [
+      {
+        $or: [
+          { status: { $in: ACTIVE_STATUSES } },
+          { status: "past_due", graceUntil: { $gt: now } }
+        ]
+      },
+      { $or: [{ currentPeriodEnd: null }, { currentPeriodEnd: { $gt: now } }] }
+    ]
+  };
+}
+
+// Whether a subscription document currently grants access (active, trialing or within grace)
+export function hasAccess(sub, now = new Date()) {
+  if (!sub) return false;
+  if (sub.currentPeriodEnd && sub.currentPeriodEnd <= now) return false;
+  if (ACTIVE_STATUSES.includes(sub.status)) return true;
+  return sub.status === "past_due" && Boolean(sub.graceUntil) && sub.graceUntil > now;
+}
+
+// Fetch the user's current subscription (most recent one that still grants access),
+// either bought by the user or owned by an organization the user belongs to
+export async function getActiveSubscription(userId) {
+  if (!userId) return null;
+
+  const organizationIds = await Organization.find({ "members.user": userId }).distinct("_id");
+
+  return Subscription.findOne({
+    $and: [
+      ...accessFilter().$and,
+      { $or: [{ user: userId, organization: null }, { organization: { $in: organizationIds } }] }
+    ]
+  })
+    .sort({ currentPeriodEnd: -1 })
+    .populate("plan");
+}
+
+// Active subscription owned by an organization
+export async function getOrganizationSubscription(organizationId) {
+  return Subscription.findOne({ organization: organizationId, ...accessFilter() })
+    .sort({ currentPeriodEnd: -1 })
+    .populate("plan");
+}
+
+// The subscription a user may change (cancel, pause, switch plan): their own first, else one
+// of an organization they own/administer (pass organizationId to pick that organization's).
+// Dunning subscriptions are included even after grace, so a customer can still cancel
+// while the gateway keeps retrying the charge.
+export async function getManageableSubscription(userId, { organizationId = null } = {}) {
+  if (!userId) return null;
+  if (organizationId && !mongoose.isValidObjectId(organizationId)) return null;
+
+  const managed = await Organization.find({
+    ...(organizationId ? { _id: organizationId } : {}),
+    members: { $elemMatch: { user: userId, role: { $in: ["owner", "admin"] } } }
+  }).distinct("_id");
+
+  const owners = organizationId
+    ? [{ organization: { $in: managed } }]
+    : [{ user: userId, organization: null }, { organization: { $in: managed } }];
+
+  const now = new Date();
+  return Subscription.findOne({
+    $and: [
+      { $or: owners },
+      { status: { $in: [...ACTIVE_STATUSES, ...DUNNING_STATUSES] } },
+      { $or: [{ currentPeriodEnd: null }, { currentPeriodEnd: { $gt: now } }, { status: { $in: DUNNING_STATUSES } }] }
+    ]
+  })
+    // Personal (organization: null) before team subscriptions, then the latest period
+    .sort({ organization: 1, currentPeriodEnd: -1 })
+    .populate("plan");
+}
+
+// Individuals manage their own subscription; for team subscriptions only org owners/admins can
+export async function canManageSubscription(sub, userId) {
+  if (!sub.organization) return String(sub.user) === String(userId);
+
+  const org = await Organization.findById(sub.organization);
+  return ["owner", "admin"].includes(org?.roleOf(userId));
+}
+
+// Subscriptions currently in dunning. state: "grace" (past_due, still has access),
+// "revoked" (grace over or retries exhausted) or "all".
+export async function getDunningSubscriptions(state = "all") {
+  const now = new Date();
+  const filter = { status: { $in: DUNNING_STATUSES } };
+
+  if (state === "grace") {
+    Object.assign(filter, { status: "past_due", graceUntil: { $gt: now } });
+  } else if (state === "revoked") {
+    filter.$or = [{ status: "unpaid" }, { graceUntil: { $lte: now } }, { graceUntil: null }];
+  }
+
+  return Subscription.find(filter)
+    .sort({ dunningStartedAt: 1 })
+    .populate("user", "email fullName")
+    .populate("plan", "PlanName Price BillingPeriod");
+}
@@ -0,0 +1,63 @@
+// English notification templates. {{name}} placeholders are filled from the message data;
+// values are HTML-escaped in the html body.
+export default {
+  welcome: {
+    subject: "Welcome to {{appName}}",
+    text: "Hi {{name}},\n\nYour account has been created. Sign in and pick a plan to get started: {{plansUrl}}\n\nThanks for joining us!",
+    html: "<p>Hi {{name}},</p><p>Your account has been created. <a href=\"{{plansUrl}}\">Sign in and pick a plan</a> to get started.</p><p>Thanks for joining us!</p>",
+  },
+
+  "payment-succeeded": {
+    subject: "Payment received: {{amount}}",
+    text: "Hi {{name}},\n\nWe received your payment of {{amount}} for {{plan}}. Your invoice number is {{invoiceNumber}}.\n\nView your billing history: {{accountUrl}}",
+    html: "<p>Hi {{name}},</p><p>We received your payment of <strong>{{amount}}</strong> for {{plan}}. Your invoice number is {{invoiceNumber}}.</p><p><a href=\"{{accountUrl}}\">View your billing history</a></p>",
+  },
+
+  "payment-failed": {
+    subject: "Your payment for {{plan}} failed",
+    text: "Hi {{name}},\n\nWe couldn't collect {{amount}} for {{plan}}: {{reason}}\n\nWe'll try again automatically and you keep access until {{graceUntil}}. Please check your payment method: {{accountUrl}}",
+    html: "<p>Hi {{name}},</p><p>We couldn't collect <strong>{{amount}}</strong> for {{plan}}: {{reason}}</p><p>We'll try again automatically and you keep access until {{graceUntil}}. <a href=\"{{accountUrl}}\">Please check your payment method</a>.</p>",
+  },
+
+  "payment-failed-final": {
+    subject: "Your {{plan}} subscription is on hold",
+    text: "Hi {{name}},\n\nWe couldn't collect {{amount}} for {{plan}} after several attempts ({{reason}}), so your subscription is on hold.\n\nUpdate your payment method to restore access: {{accountUrl}}",
+    html: "<p>Hi {{name}},</p><p>We couldn't collect <strong>{{amount}}</strong> for {{plan}} after several attempts ({{reason}}), so your subscription is on hold.</p><p><a href=\"{{accountUrl}}\">Update your payment method</a> to restore access.</p>",
+  },
+
+  "subscription-canceled": {
+    subject: "Your {{plan}} subscription has ended",
+    text: "Hi {{name}},\n\nYour {{plan}} subscription was canceled on {{date}}. You can subscribe again at any time: {{plansUrl}}",
+    html: "<p>Hi {{name}},</p><p>Your {{plan}} subscription was canceled on {{date}}.</p><p><a href=\"{{plansUrl}}\">You can subscribe again at any time.</a></p>",
+  },
+
+  "subscription-cancel-scheduled": {
+    subject: "Your {{plan}} subscription will end on {{date}}",
+    text: "Hi {{name}},\n\nAs requested, your {{plan}} subscription will not renew. You keep access until {{date}}.\n\nChanged your mind? Resume it from your account: {{accountUrl}}",
+    html: "<p>Hi {{name}},</p><p>As requested, your {{plan}} subscription will not renew. You keep access until {{date}}.</p><p>Changed your mind? <a href=\"{{accountUrl}}\">Resume it from your account.</a></p>",
+  },
+
+  "renewal-reminder": {
+    subject: "Your subscription renews soon",
+    text: "Hi {{name}},\n\nYour {{plan}} subscription renews on {{date}} and your saved payment method will be charged then.\n\nManage your subscription: {{accountUrl}}",
+    html: "<p>Hi {{name}},</p><p>Your {{plan}} subscription renews on {{date}} and your saved payment method will be charged then.</p><p><a href=\"{{accountUrl}}\">Manage your subscription</a></p>",
+  },
+
+  "plan-expiring": {
+    subject: "Your plan is about to expire",
+    text: "Hi {{name}},\n\nYour {{plan}} plan expires on {{date}}. Choose a plan to keep access: {{plansUrl}}",
+    html: "<p>Hi {{name}},</p><p>Your {{plan}} plan expires on {{date}}.</p><p><a href=\"{{plansUrl}}\">Choose a plan to keep access</a></p>",
+  },
+
+  "trial-ending": {
+    subject: "Your free trial is ending soon",
+    text: "Hi {{name}},\n\nYour free trial ends on {{date}}. Your saved payment method will be charged then.",
+    html: "<p>Hi {{name}},</p><p>Your free trial ends on {{date}}. Your saved payment method will be charged then.</p>",
+  },
+
+  "trial-ending-add-card": {
+    subject: "Your free trial is ending soon",
+    text: "Hi {{name}},\n\nYour free trial ends on {{date}}. Add a payment method to keep your subscription: {{accountUrl}}",
+    html: "<p>Hi {{name}},</p><p>Your free trial ends on {{date}}. <a href=\"{{accountUrl}}\">Add a payment method</a> to keep your subscription.</p>",
+  },
+};
@@ -0,0 +1,62 @@
+// Hindi notification templates (same keys and placeholders as en.js)
+export default {
+  welcome: {
+    subject: "{{appName}} में आपका स्वागत है",
+    text: "नमस्ते {{name}},\n\nआपका खाता बन गया है। साइन इन करें और शुरू करने के लिए एक प्लान चुनें: {{plansUrl}}\n\nहमसे जुड़ने के लिए धन्यवाद!",
+    html: "<p>नमस्ते {{name}},</p><p>आपका खाता बन गया है। <a href=\"{{plansUrl}}\">साइन इन करें और एक प्लान चुनें</a>।</p><p>हमसे जुड़ने के लिए धन्यवाद!</p>",
+  },
+
+  "payment-succeeded": {
+    subject: "भुगतान प्राप्त हुआ: {{amount}}",
+    text: "नमस्ते {{name}},\n\n{{plan}} के लिए आपका {{amount}} का भुगतान हमें मिल गया है। आपका इनवॉइस नंबर {{invoiceNumber}} है।\n\nअपना बिलिंग इतिहास देखें: {{accountUrl}}",
+    html: "<p>नमस्ते {{name}},</p><p>{{plan}} के लिए आपका <strong>{{amount}}</strong> का भुगतान हमें मिल गया है। आपका इनवॉइस नंबर {{invoiceNumber}} है।</p><p><a href=\"{{accountUrl}}\">अपना बिलिंग इतिहास देखें</a></p>",
+  },
+
+  "payment-failed": {
+    subject: "{{plan}} के लिए आपका भुगतान विफल रहा",
+    text: "नमस्ते {{name}},\n\nहम {{plan}} के लिए {{amount}} प्राप्त नहीं कर सके: {{reason}}\n\nहम अपने आप फिर से प्रयास करेंगे और {{graceUntil}} तक आपकी पहुँच बनी रहेगी। कृपया अपनी भुगतान विधि जाँचें: {{accountUrl}}",
+    html: "<p>नमस्ते {{name}},</p><p>हम {{plan}} के लिए <strong>{{amount}}</strong> प्राप्त नहीं कर सके: {{reason}}</p><p>हम अपने आप फिर से प्रयास करेंगे और {{graceUntil}} तक आपकी पहुँच बनी रहेगी। <a href=\"{{accountUrl}}\">कृपया अपनी भुगतान विधि जाँचें</a>।</p>",
+  },
+
+  "payment-failed-final": {
+    subject: "आपकी {{plan}} सदस्यता रोक दी गई है",
+    text: "नमस्ते {{name}},\n\nकई प्रयासों के बाद भी हम {{plan}} के लिए {{amount}} प्राप्त नहीं कर सके ({{reason}}), इसलिए आपकी सदस्यता रोक दी गई है।\n\nपहुँच वापस पाने के लिए अपनी भुगतान विधि अपडेट करें: {{accountUrl}}",
+    html: "<p>नमस्ते {{name}},</p><p>कई प्रयासों के बाद भी हम {{plan}} के लिए <strong>{{amount}}</strong> प्राप्त नहीं कर सके ({{reason}}), इसलिए आपकी सदस्यता रोक दी गई है।</p><p>पहुँच वापस पाने के लिए <a href=\"{{accountUrl}}\">अपनी भुगतान विधि अपडेट करें</a>।</p>",
+  },
+
+  "subscription-canceled": {
+    subject: "आपकी {{plan}} सदस्यता समाप्त हो गई है",
+    text: "नमस्ते {{name}},\n\nआपकी {{plan}} सदस्यता {{date}} को रद्द कर दी गई। आप कभी भी फिर से सदस्यता ले सकते हैं: {{plansUrl}}",
+    html: "<p>नमस्ते {{name}},</p><p>आपकी {{plan}} सदस्यता {{date}} को रद्द कर दी गई।</p><p><a href=\"{{plansUrl}}\">आप कभी भी फिर से सदस्यता ले सकते हैं।</a></p>",
+  },
+
+  "subscription-cancel-scheduled": {
+    subject: "आपकी {{plan}} सदस्यता {{date}} को समाप्त होगी",
+    text: "नमस्ते {{name}},\n\nआपके अनुरोध के अनुसार आपकी {{plan}} सदस्यता का नवीनीकरण नहीं होगा। {{date}} तक आपकी पहुँच बनी रहेगी।\n\nमन बदल गया? अपने खाते से इसे फिर से शुरू करें: {{accountUrl}}",
+    html: "<p>नमस्ते {{name}},</p><p>आपके अनुरोध के अनुसार आपकी {{plan}} सदस्यता का नवीनीकरण नहीं होगा। {{date}} तक आपकी पहुँच बनी रहेगी।</p><p>मन बदल गया? <a href=\"{{accountUrl}}\">अपने खाते से इसे फिर से शुरू करें।</a></p>",
+  },
+
+  "renewal-reminder": {
+    subject: "आपकी सदस्यता जल्द ही नवीनीकृत होगी",
+    text: "नमस्ते {{name}},\n\nआपकी {{plan}} सदस्यता {{date}} को नवीनीकृत होगी और तब आपकी सहेजी गई भुगतान विधि से शुल्क लिया जाएगा।\n\nअपनी सदस्यता प्रबंधित करें: {{accountUrl}}",
+    html: "<p>नमस्ते {{name}},</p><p>आपकी {{plan}} सदस्यता {{date}} को नवीनीकृत होगी और तब आपकी सहेजी गई भुगतान विधि से शुल्क लिया जाएगा।</p><p><a href=\"{{accountUrl}}\">अपनी सदस्यता प्रबंधित करें</a></p>",
+  },
+
+  "plan-expiring": {
+    subject: "आपका प्लान जल्द ही समाप्त होने वाला है",
+    text: "नमस्ते {{name}},\n\nआपका {{plan}} प्लान {{date}} को समाप्त हो रहा है। पहुँच बनाए रखने के लिए एक प्लान चुनें: {{plansUrl}}",
+    html: "<p>नमस्ते {{name}},</p><p>आपका {{plan}} प्लान {{date}} को समाप्त हो रहा है।</p><p><a href=\"{{plansUrl}}\">पहुँच बनाए रखने के लिए एक प्लान चुनें</a></p>",
+  },
+
+  "trial-ending": {
+    subject: "आपका मुफ़्त ट्रायल जल्द ही समाप्त हो रहा है",
+    text: "नमस्ते {{name}},\n\nआपका मुफ़्त ट्रायल {{date}} को समाप्त हो रहा है। तब आपकी सहेजी गई भुगतान विधि से शुल्क लिया जाएगा।",
+    html: "<p>नमस्ते {{name}},</p><p>आपका मुफ़्त ट्रायल {{date}} को समाप्त हो रहा है। तब आपकी सहेजी गई भुगतान विधि से शुल्क लिया जाएगा।</p>",
+  },
+
+  "trial-ending-add-card": {
+    subject: "आपका मुफ़्त ट्रायल जल्द ही समाप्त हो रहा है",
+    text: "नमस्ते {{name}},\n\nआपका मुफ़्त ट्रायल {{date}} को समाप्त हो रहा है। अपनी सदस्यता बनाए रखने के लिए भुगतान विधि जोड़ें: {{accountUrl}}",
+    html: "<p>नमस्ते {{name}},</p><p>आपका मुफ़्त ट्रायल {{date}} को समाप्त हो रहा है। अपनी सदस्यता बनाए रखने के लिए <a href=\"{{accountUrl}}\">भुगतान विधि जोड़ें</a>।</p>",
+  },
+};